@@ -90,6 +90,14 @@ function validateEnum(value, allowed, label) {
   return value;
 }
 
+/**
+ * Append --negative-prompt/--style-prompt args shared by every generation tool.
+ */
+function pushSteeringPromptArgs(args, params) {
+  if (params.negative_prompt) args.push('--negative-prompt', sanitizeString(params.negative_prompt, 'negative_prompt'));
+  if (params.style_prompt) args.push('--style-prompt', sanitizeString(params.style_prompt, 'style_prompt'));
+}
+
 // ---------------------------------------------------------------------------
 // CLI spawning helper
 // ---------------------------------------------------------------------------
@@ -97,13 +105,16 @@ function validateEnum(value, allowed, label) {
 /**
  * Spawn `node sogni-gen.mjs --json ...args`, collect stdout, parse JSON.
  * Returns the parsed object on success or throws on failure.
+ * Aborting `signal` (MCP request cancellation) sends SIGTERM so the CLI can
+ * cancel its Sogni projects and report a CANCELLED result.
  */
-function runSogniGen(args, { timeoutMs = 30_000 } = {}) {
+function runSogniGen(args, { timeoutMs = 30_000, signal } = {}) {
   return new Promise((resolve, reject) => {
     execaNode(SOGNI_GEN, ['--json', '--quiet', ...args], {
       timeout: timeoutMs,
       reject: false,
-    }).then(({ stdout, stderr, exitCode, timedOut }) => {
+      ...(signal ? { cancelSignal: signal } : {}),
+    }).then(({ stdout, stderr, exitCode, timedOut, isCanceled }) => {
       const trimmedStdout = (stdout || '').trim();
       const trimmedStderr = (stderr || '').trim();
 
@@ -112,6 +123,10 @@ function runSogniGen(args, { timeoutMs = 30_000 } = {}) {
           reject(new Error(`sogni-gen timed out after ${timeoutMs}ms`));
           return;
         }
+        if (isCanceled) {
+          reject(new Error('sogni-gen was cancelled'));
+          return;
+        }
         reject(new Error(trimmedStderr || `sogni-gen exited with code ${exitCode} and no output`));
         return;
       }
@@ -187,6 +202,7 @@ async function formatSuccess(result) {
 
   // Image / video result
   if (result.prompt) parts.push(`Prompt: ${result.prompt}`);
+  if (result.negativePrompt) parts.push(`Negative prompt: ${result.negativePrompt}`);
   parts.push(`Model: ${result.model}`);
   parts.push(`Size: ${result.width}x${result.height}`);
   if (result.seed != null) parts.push(`Seed: ${result.seed}`);
@@ -197,7 +213,10 @@ async function formatSuccess(result) {
     if (result.fps) parts.push(`FPS: ${result.fps}`);
   }
 
-  if (result.localPath) parts.push(`Saved to: ${result.localPath}`);
+  const localPaths = result.localPaths?.length ? result.localPaths : (result.localPath ? [result.localPath] : []);
+  localPaths.forEach((p, i) => {
+    parts.push(localPaths.length === 1 ? `Saved to: ${p}` : `Saved to #${i + 1}: ${p}`);
+  });
 
   // URLs
   const urls = result.urls || [];
@@ -282,12 +301,12 @@ async function formatResult(result) {
   return formatSuccess(result);
 }
 
-async function runAndFormat(args, { timeoutMs = 30_000, requireCredentials = true } = {}) {
+async function runAndFormat(args, { timeoutMs = 30_000, requireCredentials = true, signal } = {}) {
   if (requireCredentials) {
     const credErr = checkCredentials();
     if (credErr) return credErr;
   }
-  const result = await runSogniGen(args, { timeoutMs });
+  const result = await runSogniGen(args, { timeoutMs, signal });
   return formatResult(result);
 }
 
@@ -336,6 +355,14 @@ Cost: Uses Spark tokens. 512x512 is most cost-efficient. Claim 50 free daily Spa
           type: 'string',
           description: 'Image description / generation prompt',
         },
+        negative_prompt: {
+          type: 'string',
+          description: 'What to steer away from (e.g. "extra fingers, text, watermark")',
+        },
+        style_prompt: {
+          type: 'string',
+          description: 'Optional style prompt applied alongside the main prompt',
+        },
         model: {
           type: 'string',
           description: 'Model ID (default: z_image_turbo_bf16)',
@@ -358,7 +385,7 @@ Cost: Uses Spark tokens. 512x512 is most cost-efficient. Claim 50 free daily Spa
         },
         output: {
           type: 'string',
-          description: 'Save image to this file path',
+          description: 'Save image to this file path; may contain template variables such as {date}, {model}, {seed}, {index}, {ext} or {prompt_slug}',
         },
         output_format: {
           type: 'string',
@@ -385,7 +412,7 @@ Cost: Uses Spark tokens. 512x512 is most cost-efficient. Claim 50 free daily Spa
 
 Workflows:
   t2v             — Text-to-video (default). Just provide a prompt.
-  i2v             — Image-to-video. Provide ref (reference image). Supports looping.
+  i2v             — Image-to-video. Provide ref (reference image). Supports looping (loop_mode boomerang renders once).
   s2v             — Sound-to-video. Provide ref (face image) + ref_audio.
   ia2v            — Image+audio-to-video (LTX). Provide ref + ref_audio.
   a2v             — Audio-to-video (LTX). Provide ref_audio only.
@@ -404,6 +431,14 @@ Generation takes 3-5 minutes. Cost: Uses Spark tokens. Claim 50 free daily Spark
           type: 'string',
           description: 'Video description / generation prompt',
         },
+        negative_prompt: {
+          type: 'string',
+          description: 'What to steer away from (e.g. "extra fingers, text, watermark")',
+        },
+        style_prompt: {
+          type: 'string',
+          description: 'Optional style prompt applied alongside the main prompt',
+        },
         workflow: {
           type: 'string',
           enum: ['t2v', 'i2v', 's2v', 'ia2v', 'a2v', 'v2v', 'animate-move', 'animate-replace'],
@@ -427,7 +462,7 @@ Generation takes 3-5 minutes. Cost: Uses Spark tokens. Claim 50 free daily Spark
         },
         duration: {
           type: 'number',
-          description: 'Duration in seconds (default: 5)',
+          description: 'Duration in seconds (default: 5; s2v/ia2v/a2v default to the ref_audio length)',
         },
         frames: {
           type: 'number',
@@ -480,11 +515,53 @@ Generation takes 3-5 minutes. Cost: Uses Spark tokens. Claim 50 free daily Spark
         },
         output: {
           type: 'string',
-          description: 'Save video to this file path',
+          description: 'Save video to this file path; may contain template variables such as {date}, {model}, {seed}, {index}, {ext} or {prompt_slug}',
         },
         looping: {
           type: 'boolean',
-          description: 'Generate seamless loop (i2v only)',
+          description: 'Generate seamless loop (i2v only, WAN or LTX)',
+        },
+        loop_mode: {
+          type: 'string',
+          enum: ['render', 'boomerang'],
+          description: 'Loop construction: render (second i2v clip back to the start, default) or boomerang (reverse the clip locally; half the cost). Implies looping',
+        },
+        mux_audio: {
+          type: 'string',
+          description: 'Audio track to mux into the saved video (requires output). s2v/ia2v/a2v renders re-attach ref_audio by default',
+        },
+        no_mux_audio: {
+          type: 'boolean',
+          description: 'Keep the rendered audio instead of re-attaching ref_audio',
+        },
+        audio_offset: {
+          type: 'number',
+          description: 'Seconds to skip at the start of the muxed track',
+        },
+        ref_video_start: {
+          type: 'number',
+          description: 'Upload ref_video from this second',
+        },
+        ref_video_end: {
+          type: 'number',
+          description: 'Upload ref_video up to this second',
+        },
+        ref_audio_start: {
+          type: 'number',
+          description: 'Upload ref_audio from this second',
+        },
+        ref_audio_end: {
+          type: 'number',
+          description: 'Upload ref_audio up to this second',
+        },
+        long_audio: {
+          type: 'boolean',
+          description: 'a2v/ia2v: render ref_audio longer than one clip as chained segments joined into output, with the full track muxed back',
+        },
+        audio_fit: {
+          type: 'string',
+          enum: ['trim', 'loop', 'pad'],
+          description: 'When track and video lengths differ: trim the track (default), loop it, or pad the video by holding its last frame',
         },
       },
       required: ['prompt'],
@@ -510,6 +587,14 @@ Models:
           type: 'string',
           description: 'Editing instruction describing the desired change',
         },
+        negative_prompt: {
+          type: 'string',
+          description: 'What to steer away from (e.g. "extra fingers, text, watermark")',
+        },
+        style_prompt: {
+          type: 'string',
+          description: 'Optional style prompt applied alongside the main prompt',
+        },
         context_images: {
           type: 'array',
           items: { type: 'string' },
@@ -531,7 +616,7 @@ Models:
         },
         output: {
           type: 'string',
-          description: 'Save edited image to this file path',
+          description: 'Save edited image to this file path; may contain template variables such as {date}, {model}, {seed}, {index}, {ext} or {prompt_slug}',
         },
       },
       required: ['prompt', 'context_images'],
@@ -556,6 +641,14 @@ The face likeness is preserved while applying the style from the prompt.`,
           type: 'string',
           description: 'Style/scene description for the portrait',
         },
+        negative_prompt: {
+          type: 'string',
+          description: 'What to steer away from (e.g. "extra fingers, text, watermark")',
+        },
+        style_prompt: {
+          type: 'string',
+          description: 'Optional style prompt applied alongside the main prompt',
+        },
         reference_face: {
           type: 'string',
           description: 'Face image file path or URL',
@@ -586,7 +679,7 @@ The face likeness is preserved while applying the style from the prompt.`,
         },
         output: {
           type: 'string',
-          description: 'Save image to this file path',
+          description: 'Save image to this file path; may contain template variables such as {date}, {model}, {seed}, {index}, {ext} or {prompt_slug}',
         },
       },
       required: ['prompt', 'reference_face'],
@@ -676,7 +769,7 @@ The face likeness is preserved while applying the style from the prompt.`,
 // Tool handlers
 // ---------------------------------------------------------------------------
 
-async function handleGenerateImage(params) {
+async function handleGenerateImage(params, signal) {
   sanitizeString(params.prompt, 'prompt');
   const args = [];
   if (params.model) args.push('-m', sanitizeString(params.model, 'model'));
@@ -691,15 +784,16 @@ async function handleGenerateImage(params) {
     args.push('--loras', params.loras.join(','));
   }
   if (params.lora_strengths?.length) args.push('--lora-strengths', params.lora_strengths.join(','));
+  pushSteeringPromptArgs(args, params);
   args.push('--', params.prompt);
 
-  return runAndFormat(args, { timeoutMs: 60_000 });
+  return runAndFormat(args, { timeoutMs: 60_000, signal });
 }
 
-async function handleGenerateVideo(params) {
+async function handleGenerateVideo(params, signal) {
   sanitizeString(params.prompt, 'prompt');
   const args = ['--video'];
-  if (params.workflow) args.push('--workflow', validateEnum(params.workflow, ['t2v', 'i2v', 's2v', 'v2v', 'animate-move', 'animate-replace'], 'workflow'));
+  if (params.workflow) args.push('--workflow', validateEnum(params.workflow, ['t2v', 'i2v', 's2v', 'ia2v', 'a2v', 'v2v', 'animate-move', 'animate-replace'], 'workflow'));
   if (params.model) args.push('-m', sanitizeString(params.model, 'model'));
   if (params.width) args.push('-w', String(params.width));
   if (params.height) args.push('-h', String(params.height));
@@ -710,6 +804,10 @@ async function handleGenerateVideo(params) {
   if (params.ref_end) args.push('--ref-end', sanitizeString(params.ref_end, 'ref_end'));
   if (params.ref_audio) args.push('--ref-audio', sanitizeString(params.ref_audio, 'ref_audio'));
   if (params.ref_video) args.push('--ref-video', sanitizeString(params.ref_video, 'ref_video'));
+  if (params.ref_video_start != null) args.push('--ref-video-start', String(params.ref_video_start));
+  if (params.ref_video_end != null) args.push('--ref-video-end', String(params.ref_video_end));
+  if (params.ref_audio_start != null) args.push('--ref-audio-start', String(params.ref_audio_start));
+  if (params.ref_audio_end != null) args.push('--ref-audio-end', String(params.ref_audio_end));
   if (params.controlnet_name) args.push('--controlnet-name', validateEnum(params.controlnet_name, ['canny', 'pose', 'depth', 'detailer'], 'controlnet_name'));
   if (params.controlnet_strength != null) args.push('--controlnet-strength', String(params.controlnet_strength));
   if (params.sam2_coordinates) args.push('--sam2-coordinates', sanitizeString(params.sam2_coordinates, 'sam2_coordinates'));
@@ -719,12 +817,19 @@ async function handleGenerateVideo(params) {
   if (params.seed != null) args.push('-s', String(params.seed));
   if (params.output) args.push('-o', sanitizeString(params.output, 'output'));
   if (params.looping) args.push('--looping');
+  if (params.loop_mode) args.push('--loop-mode', validateEnum(params.loop_mode, ['render', 'boomerang'], 'loop_mode'));
+  if (params.mux_audio) args.push('--mux-audio', sanitizeString(params.mux_audio, 'mux_audio'));
+  if (params.no_mux_audio) args.push('--no-mux-audio');
+  if (params.audio_offset != null) args.push('--audio-offset', String(params.audio_offset));
+  if (params.long_audio) args.push('--long-audio');
+  if (params.audio_fit) args.push('--audio-fit', validateEnum(params.audio_fit, ['trim', 'loop', 'pad'], 'audio_fit'));
+  pushSteeringPromptArgs(args, params);
   args.push('--', params.prompt);
 
-  return runAndFormat(args, { timeoutMs: 600_000 });
+  return runAndFormat(args, { timeoutMs: 600_000, signal });
 }
 
-async function handleEditImage(params) {
+async function handleEditImage(params, signal) {
   sanitizeString(params.prompt, 'prompt');
   const args = [];
   for (const img of params.context_images) {
@@ -734,12 +839,13 @@ async function handleEditImage(params) {
   if (params.width) args.push('-w', String(params.width));
   if (params.height) args.push('-h', String(params.height));
   if (params.output) args.push('-o', sanitizeString(params.output, 'output'));
+  pushSteeringPromptArgs(args, params);
   args.push('--', params.prompt);
 
-  return runAndFormat(args, { timeoutMs: 60_000 });
+  return runAndFormat(args, { timeoutMs: 60_000, signal });
 }
 
-async function handlePhotobooth(params) {
+async function handlePhotobooth(params, signal) {
   sanitizeString(params.prompt, 'prompt');
   sanitizeString(params.reference_face, 'reference_face');
   const args = ['--photobooth', '--ref', params.reference_face];
@@ -750,9 +856,10 @@ async function handlePhotobooth(params) {
   if (params.height) args.push('-h', String(params.height));
   if (params.count) args.push('-n', String(params.count));
   if (params.output) args.push('-o', sanitizeString(params.output, 'output'));
+  pushSteeringPromptArgs(args, params);
   args.push('--', params.prompt);
 
-  return runAndFormat(args, { timeoutMs: 60_000 });
+  return runAndFormat(args, { timeoutMs: 60_000, signal });
 }
 
 async function handleCheckBalance() {
@@ -832,18 +939,20 @@ const server = new Server(
 
 server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools: TOOLS }));
 
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
+server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
   const { name, arguments: params } = request.params;
+  // Aborted when the client sends notifications/cancelled for this request.
+  const signal = extra?.signal;
   try {
     switch (name) {
       case 'generate_image':
-        return await handleGenerateImage(params);
+        return await handleGenerateImage(params, signal);
       case 'generate_video':
-        return await handleGenerateVideo(params);
+        return await handleGenerateVideo(params, signal);
       case 'edit_image':
-        return await handleEditImage(params);
+        return await handleEditImage(params, signal);
       case 'photobooth':
-        return await handlePhotobooth(params);
+        return await handlePhotobooth(params, signal);
       case 'check_balance':
         return await handleCheckBalance();
       case 'list_models':
@@ -7,9 +7,10 @@
 import { SogniClientWrapper, ClientEvent, getMaxContextImages } from '@sogni-ai/sogni-client-wrapper';
 import JSON5 from 'json5';
 import { createHash, randomBytes } from 'crypto';
-import { readFileSync, writeFileSync, existsSync, mkdirSync, mkdtempSync, statSync, readdirSync, realpathSync, lstatSync } from 'fs';
-import { join, dirname, basename, extname, sep } from 'path';
+import { readFileSync, writeFileSync, appendFileSync, copyFileSync, existsSync, mkdirSync, mkdtempSync, statSync, readdirSync, realpathSync, lstatSync, renameSync, rmSync } from 'fs';
+import { join, dirname, basename, extname, resolve, sep } from 'path';
 import { homedir, tmpdir } from 'os';
+import { crc32 } from 'zlib';
 import sharp from 'sharp';
 import { getEnv, hasEnv } from './env.mjs';
 import { PACKAGE_VERSION } from './version.mjs';
@@ -56,6 +57,8 @@ const IS_OPENCLAW_INVOCATION = Boolean(getEnv('OPENCLAW_PLUGIN_CONFIG'));
 const RAW_ARGS = process.argv.slice(2);
 const CLI_WANTS_JSON = RAW_ARGS.includes('--json');
 const JSON_ERROR_MODE = CLI_WANTS_JSON || IS_OPENCLAW_INVOCATION;
+let execaPromise = null;
+let yamlPromise = null;
 const VIDEO_WORKFLOW_DEFAULT_MODELS = {
   't2v': 'wan_v2.2-14b-fp8_t2v_lightx2v',
   'i2v': 'wan_v2.2-14b-fp8_i2v_lightx2v',
@@ -70,6 +73,14 @@ const VIDEO_WORKFLOW_DEFAULT_MODELS = {
 function isLtx2Model(modelId) { return modelId?.startsWith('ltx2-') || modelId?.startsWith('ltx23-') || false; }
 function isWanModel(modelId) { return modelId?.startsWith('wan_') || false; }
 
+// Workflows driven by --ref-audio; their --duration follows the audio length.
+const AUDIO_VIDEO_WORKFLOWS = ['s2v', 'ia2v', 'a2v'];
+
+// Longest clip (seconds) one project may request per model family.
+function maxVideoDurationFor(modelId) {
+  return isLtx2Model(modelId) ? 20 : 10;
+}
+
 function expandHomePath(rawPath) {
   if (typeof rawPath !== 'string') return rawPath;
   if (rawPath === '~') return homedir();
@@ -215,6 +226,9 @@ function computePromptHashSeed(opts) {
     steps: opts.steps ?? null,
     guidance: opts.guidance ?? null
   };
+  // Only hash steering prompts when present so existing prompt-hash seeds stay stable.
+  if (opts.negativePrompt) payload.negativePrompt = opts.negativePrompt;
+  if (opts.stylePrompt) payload.stylePrompt = opts.stylePrompt;
   const hash = createHash('sha256').update(JSON.stringify(payload)).digest();
   return hash.readUInt32BE(0);
 }
@@ -273,6 +287,65 @@ function parsePositiveIntegerValue(raw, flagName, min = 1) {
   return num;
 }
 
+const USAGE_GROUP_BY = ['day', 'model', 'workflow'];
+const LOOP_MODES = ['render', 'boomerang'];
+const AUDIO_FIT_MODES = ['trim', 'loop', 'pad'];
+const REF_RANGE_FLAGS = {
+  '--ref-video-start': 'refVideoStart',
+  '--ref-video-end': 'refVideoEnd',
+  '--ref-audio-start': 'refAudioStart',
+  '--ref-audio-end': 'refAudioEnd'
+};
+const MUX_VIDEO_PATTERN = /\.(mp4|mov|m4v|mkv|webm)$/i;
+const SINCE_UNITS_MS = { m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+
+// --since accepts a relative age (30m, 24h, 7d, 2w) or a date; returns an ISO timestamp.
+function parseSinceValue(raw, flagName) {
+  const relative = /^(\d+)\s*([mhdw])$/i.exec(raw.trim());
+  const since = relative
+    ? Date.now() - Number(relative[1]) * SINCE_UNITS_MS[relative[2].toLowerCase()]
+    : Date.parse(raw);
+  if (!Number.isFinite(since)) {
+    fatalCliError(`${flagName} must be an age like 7d, 24h or 30m, or a date like 2025-01-31.`, {
+      code: 'INVALID_ARGUMENT',
+      details: { flag: flagName, value: raw }
+    });
+  }
+  return new Date(since).toISOString();
+}
+
+const KEYFRAME_ARG_PATTERN = /^(https?:\/\/\S+|[^-].*\.(png|jpe?g|webp|gif|bmp|tiff?))$/i;
+
+const SWEEP_KEYS = {
+  steps: 'steps',
+  guidance: 'guidance',
+  model: 'model',
+  sampler: 'sampler',
+  scheduler: 'scheduler',
+  'lora-strength': 'loraStrength',
+  lorastrength: 'loraStrength'
+};
+const SWEEP_MAX_CELLS = 64;
+
+function parseSweepAxis(raw) {
+  const eq = raw.indexOf('=');
+  const key = SWEEP_KEYS[raw.slice(0, eq).trim().toLowerCase()];
+  const values = eq > 0 ? parseCsv(raw.slice(eq + 1)) : [];
+  if (!key || values.length === 0) {
+    fatalCliError(`--sweep must look like key=v1,v2 with key one of: steps, guidance, model, sampler, scheduler, lora-strength.`, {
+      code: 'INVALID_ARGUMENT',
+      details: { flag: '--sweep', value: raw }
+    });
+  }
+  if (key === 'steps') {
+    return { key, values: values.map((value) => parsePositiveIntegerValue(value, '--sweep steps')) };
+  }
+  if (key === 'guidance' || key === 'loraStrength') {
+    return { key, values: values.map((value) => parseNumberValue(value, `--sweep ${key === 'guidance' ? 'guidance' : 'lora-strength'}`)) };
+  }
+  return { key, values };
+}
+
 function parseSeedValue(raw, flagName) {
   const num = parseIntegerValue(raw, flagName);
   if (num < 0 || num > 0xFFFFFFFF) {
@@ -327,6 +400,14 @@ function buildBalanceError(message, details) {
   return err;
 }
 
+function buildBudgetError(message, details, hint) {
+  const err = new Error(message);
+  err.code = 'BUDGET_EXCEEDED';
+  err.details = details || null;
+  err.hint = hint;
+  return err;
+}
+
 function gcdInt(a, b) {
   let x = Math.abs(Math.trunc(a));
   let y = Math.abs(Math.trunc(b));
@@ -623,6 +704,46 @@ const MULTI_ANGLE_DISTANCE_ALIASES = new Map([
   ['wide shot', 'wide']
 ]);
 
+const OUTPUT_TEMPLATE_VARIABLES = [
+  'date', 'time', 'model', 'workflow', 'seed', 'index', 'ext', 'prompt_slug',
+  'project_id', 'width', 'height', 'azimuth'
+];
+const OUTPUT_TEMPLATE_PATTERN = /\{([a-z_]+)\}/gi;
+const OUTPUT_TEMPLATE_STARTED_AT = new Date();
+const METADATA_KEY = 'sogni-gen';
+const METADATA_XMP_NAMESPACE = 'https://sogni.ai/ns/sogni-gen/1.0/';
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Maps embedded metadata fields onto options; [optionKey, cliSetKey].
+const EMBEDDED_METADATA_FIELDS = [
+  ['prompt', null],
+  ['negativePrompt', 'negativePrompt'],
+  ['stylePrompt', 'stylePrompt'],
+  ['model', 'model'],
+  ['seed', 'seed'],
+  ['width', 'width'],
+  ['height', 'height'],
+  ['steps', 'steps'],
+  ['guidance', 'guidance'],
+  ['sampler', 'sampler'],
+  ['scheduler', 'scheduler'],
+  ['loras', 'loras'],
+  ['loraStrengths', 'loraStrengths'],
+  ['outputFormat', 'outputFormat'],
+  ['videoWorkflow', 'workflow'],
+  ['fps', 'fps'],
+  ['duration', 'duration'],
+  ['frames', 'frames'],
+  ['looping', 'looping'],
+  ['loopMode', 'loopMode'],
+  ['cnStrength', 'cnStrength'],
+  ['cnGuidanceEnd', 'cnGuidanceEnd'],
+  ['azimuth', 'azimuth'],
+  ['elevation', 'elevation'],
+  ['distance', 'distance'],
+  ['angleDescription', 'angleDescription']
+];
+
 function normalizeMultiAngleValue(value, aliases, allowedKeys, label) {
   if (!value) return null;
   const normalized = value.toLowerCase().replace(/_/g, '-').replace(/\s+/g, ' ').trim();
@@ -675,16 +796,31 @@ const LAST_RENDER_PATH = resolveConfiguredPath(
   DEFAULT_LAST_RENDER_PATH,
   'SOGNI last render path'
 );
+const HISTORY_PATH = resolveConfiguredPath(
+  getEnv('SOGNI_HISTORY_PATH') || openclawConfig?.historyPath,
+  join(dirname(LAST_RENDER_PATH), 'history.jsonl'),
+  'SOGNI history path'
+);
+// Resumable multi-segment runs (--angles-360-video, --looping) keep their state here.
+const JOBS_DIR = join(dirname(LAST_RENDER_PATH), 'jobs');
+const SPEND_LEDGER_PATH = join(dirname(LAST_RENDER_PATH), 'spend.jsonl');
 const MEDIA_INBOUND_DIR = resolveConfiguredPath(
   getEnv('SOGNI_MEDIA_INBOUND_DIR') || openclawConfig?.mediaInboundDir,
   DEFAULT_MEDIA_INBOUND_DIR,
   'SOGNI media inbound path'
 );
 
-// Parse arguments
-const args = process.argv.slice(2);
+// Parse arguments. --resume replays the arguments stored in a job state file;
+// flags given next to it (e.g. --json, --timeout) are appended. The run moves
+// into the job's original working directory, so relative paths resolve as before.
+const RESUME_STATE = readResumeStateFromArgv(RAW_ARGS);
+const args = RESUME_STATE
+  ? [...RESUME_STATE.argv, ...stripResumeArgs(RAW_ARGS)]
+  : process.argv.slice(2);
 const options = {
   prompt: null,
+  negativePrompt: null,
+  stylePrompt: null,
   output: null,
   model: null, // Will be set based on type
   width: 512,
@@ -711,6 +847,31 @@ const options = {
   angleDescription: '',
   seed: null,
   lastSeed: false,
+  fromFile: null, // --from-file <path>: reuse parameters embedded in a saved render
+  rerun: null, // --rerun <id>: replay a history entry
+  batch: null, // --batch <jobs.jsonl|.json|.yaml>
+  batchResults: null, // --batch-results <path> (default: <jobs>.results.jsonl)
+  concurrency: 1, // Max projects in flight (batch, sweep, 360 angles and i2v segments)
+  maxCost: null, // --max-cost <tokens>: per-run spending cap (config maxCostPerRun)
+  maxCostPerDay: null, // config maxCostPerDay: cap on tokens reserved since local midnight
+  retries: 0, // --retries <n>: resubmit projects that fail transiently
+  retryBackoff: 5, // --retry-backoff <sec>: delay before the first retry, doubled per attempt
+  queueTimeout: null, // --queue-timeout <sec> (ms): fail if a project shows no progress after submission
+  idleTimeout: null, // --idle-timeout <sec> (ms): fail if progress stops for this long
+  maxRuntime: null, // --max-runtime <sec> (ms): hard deadline per submission (default: --timeout)
+  sweep: [], // --sweep key=v1,v2 (repeatable): [{ key, values }]
+  storyboard: null, // --storyboard <story.yaml|.json>
+  extend: null, // --extend <clip.mp4>: continue a video from its last frame
+  keyframes: [], // --keyframes <img1> <img2> [...]: i2v between consecutive images
+  closeLoop: false, // --close-loop: add a keyframe segment from the last image back to the first
+  longAudio: false, // --long-audio: split --ref-audio into model-sized a2v/ia2v segments and join them
+  history: false, // --history: list past renders
+  historyLimit: 20,
+  historyType: null,
+  historySearch: null,
+  usage: false, // --usage: summarize the spend ledger
+  usageSince: null, // --since <7d|24h|date>: ISO timestamp
+  usageGroupBy: 'day', // --group-by model|day|workflow
   seedStrategy: null,
   video: false,
   videoWorkflow: null,
@@ -719,6 +880,7 @@ const options = {
   frames: null,
   autoResizeVideoAssets: null,
   estimateVideoCost: false,
+  estimateCost: false, // --estimate-cost: per-step cost breakdown for any mode, then exit
   showBalance: false,
   showVersion: false,
   angles360Video: null,
@@ -726,8 +888,18 @@ const options = {
   refImageEnd: null, // End frame for video interpolation
   refAudio: null, // Reference audio for s2v
   refVideo: null, // Reference video for animate workflows
+  refVideoStart: null, // --ref-video-start/--ref-video-end: seconds of --ref-video to upload
+  refVideoEnd: null,
+  refAudioStart: null, // --ref-audio-start/--ref-audio-end: seconds of --ref-audio to upload
+  refAudioEnd: null,
   contextImages: [], // Context images for image editing
   looping: false, // Create looping video (i2v only): generate A→B then B→A and concatenate
+  loopMode: 'render', // --loop-mode: render (second i2v clip B→A) | boomerang (reverse A→B locally)
+  muxAudio: null, // --mux-audio <track>: soundtrack for the saved video (s2v/ia2v/a2v default to --ref-audio)
+  muxVideo: null, // --mux-audio <track> <video>: mux into an existing local video, then exit
+  noMuxAudio: false, // --no-mux-audio: keep the rendered clip's own audio
+  audioOffset: 0, // --audio-offset: seconds to skip at the start of the track
+  audioFit: 'trim', // --audio-fit: trim|loop|pad when track and video lengths differ
   photobooth: false, // Photobooth mode (InstantID face transfer)
   cnStrength: null, // ControlNet strength override
   cnGuidanceEnd: null, // ControlNet guidance end override
@@ -735,6 +907,8 @@ const options = {
   videoControlNetStrength: null, // ControlNet strength for v2v (0.0-1.0)
   sam2Coordinates: null, // SAM2 coordinates for animate-replace [{x,y}]
   trimEndFrame: false, // Trim last frame for seamless stitching
+  embedMetadata: true, // Write generation parameters into saved files
+  tokenFallback: false, // --token-fallback: pay with the other token when the balance is short
   firstFrameStrength: null, // Keyframe interpolation (0.0-1.0)
   lastFrameStrength: null, // Keyframe interpolation (0.0-1.0)
   extractLastFrame: null, // --extract-last-frame <video> <image>
@@ -744,6 +918,8 @@ const options = {
   listMedia: null // --list-media [images|audio|all]
 };
 const cliSet = {
+  negativePrompt: false,
+  stylePrompt: false,
   output: false,
   model: false,
   width: false,
@@ -767,6 +943,12 @@ const cliSet = {
   angleDescription: false,
   seed: false,
   seedStrategy: false,
+  maxCost: false,
+  retries: false,
+  retryBackoff: false,
+  queueTimeout: false,
+  idleTimeout: false,
+  maxRuntime: false,
   video: false,
   workflow: false,
   fps: false,
@@ -781,6 +963,10 @@ const cliSet = {
   refVideo: false,
   context: false,
   looping: false,
+  loopMode: false,
+  muxAudio: false,
+  audioOffset: false,
+  audioFit: false,
   photobooth: false,
   cnStrength: false,
   cnGuidanceEnd: false,
@@ -788,6 +974,8 @@ const cliSet = {
   videoControlNetStrength: false,
   sam2Coordinates: false,
   trimEndFrame: false,
+  embedMetadata: false,
+  tokenFallback: false,
   firstFrameStrength: false,
   lastFrameStrength: false
 };
@@ -800,6 +988,16 @@ for (let i = 0; i < args.length; i++) {
     i++;
     options.output = raw;
     cliSet.output = true;
+  } else if (arg === '--negative-prompt' || arg === '--negative') {
+    const raw = requireFlagValue(args, i, arg);
+    i++;
+    options.negativePrompt = raw;
+    cliSet.negativePrompt = true;
+  } else if (arg === '--style-prompt') {
+    const raw = requireFlagValue(args, i, arg);
+    i++;
+    options.stylePrompt = raw;
+    cliSet.stylePrompt = true;
   } else if (arg === '-m' || arg === '--model') {
     const raw = requireFlagValue(args, i, arg);
     i++;
@@ -825,11 +1023,20 @@ for (let i = 0; i < args.length; i++) {
     i++;
     options.timeout = parsePositiveIntegerValue(raw, arg) * 1000;
     cliSet.timeout = true;
+  } else if (arg === '--queue-timeout' || arg === '--idle-timeout' || arg === '--max-runtime') {
+    const raw = requireFlagValue(args, i, arg);
+    i++;
+    const key = { '--queue-timeout': 'queueTimeout', '--idle-timeout': 'idleTimeout', '--max-runtime': 'maxRuntime' }[arg];
+    options[key] = parsePositiveIntegerValue(raw, arg) * 1000;
+    cliSet[key] = true;
   } else if (arg === '--token-type' || arg === '--token') {
     const raw = requireFlagValue(args, i, arg);
     i++;
     options.tokenType = raw;
     cliSet.tokenType = true;
+  } else if (arg === '--token-fallback') {
+    options.tokenFallback = true;
+    cliSet.tokenFallback = true;
   } else if (arg === '--steps') {
     const raw = requireFlagValue(args, i, arg);
     i++;
@@ -930,6 +1137,111 @@ for (let i = 0; i < args.length; i++) {
     cliSet.seedStrategy = true;
   } else if (arg === '--last-seed' || arg === '--reseed') {
     options.lastSeed = true;
+  } else if (arg === '--from-file') {
+    const raw = requireFlagValue(args, i, arg);
+    i++;
+    options.fromFile = raw;
+  } else if (arg === '--rerun') {
+    const raw = requireFlagValue(args, i, arg);
+    i++;
+    options.rerun = raw;
+  } else if (arg === '--history') {
+    options.history = true;
+  } else if (arg === '--usage') {
+    options.usage = true;
+  } else if (arg === '--since') {
+    const raw = requireFlagValue(args, i, arg);
+    i++;
+    options.usageSince = parseSinceValue(raw, arg);
+  } else if (arg === '--group-by') {
+    const raw = requireFlagValue(args, i, arg);
+    i++;
+    if (!USAGE_GROUP_BY.includes(raw)) {
+      fatalCliError(`--group-by must be one of: ${USAGE_GROUP_BY.join(', ')}.`, {
+        code: 'INVALID_ARGUMENT',
+        details: { flag: arg, value: raw }
+      });
+    }
+    options.usageGroupBy = raw;
+  } else if (arg === '--batch') {
+    const raw = requireFlagValue(args, i, arg);
+    i++;
+    options.batch = raw;
+  } else if (arg === '--batch-results') {
+    const raw = requireFlagValue(args, i, arg);
+    i++;
+    options.batchResults = raw;
+  } else if (arg === '--keyframes') {
+    // Consume following image paths/URLs; anything else (e.g. the prompt) ends the list.
+    while (i + 1 < args.length && KEYFRAME_ARG_PATTERN.test(args[i + 1])) {
+      i++;
+      options.keyframes.push(args[i]);
+    }
+    if (options.keyframes.length < 2) {
+      fatalCliError('--keyframes requires at least 2 image paths or URLs.', {
+        code: 'INVALID_ARGUMENT',
+        details: { flag: '--keyframes', imagesProvided: options.keyframes.length }
+      });
+    }
+  } else if (arg === '--close-loop') {
+    options.closeLoop = true;
+  } else if (arg === '--long-audio') {
+    options.longAudio = true;
+  } else if (arg === '--extend') {
+    const raw = requireFlagValue(args, i, arg);
+    i++;
+    options.extend = raw;
+  } else if (arg === '--storyboard') {
+    const raw = requireFlagValue(args, i, arg);
+    i++;
+    options.storyboard = raw;
+  } else if (arg === '--sweep') {
+    const raw = requireFlagValue(args, i, arg);
+    i++;
+    options.sweep.push(parseSweepAxis(raw));
+  } else if (arg === '--concurrency') {
+    const raw = requireFlagValue(args, i, arg);
+    i++;
+    options.concurrency = parsePositiveIntegerValue(raw, arg);
+  } else if (arg === '--max-cost') {
+    const raw = requireFlagValue(args, i, arg);
+    i++;
+    options.maxCost = parseNumberValue(raw, arg);
+    if (options.maxCost <= 0) {
+      fatalCliError('--max-cost must be greater than 0.', {
+        code: 'INVALID_ARGUMENT',
+        details: { flag: arg, value: raw }
+      });
+    }
+    cliSet.maxCost = true;
+  } else if (arg === '--retries') {
+    const raw = requireFlagValue(args, i, arg);
+    i++;
+    options.retries = parsePositiveIntegerValue(raw, arg, 0);
+    cliSet.retries = true;
+  } else if (arg === '--retry-backoff') {
+    const raw = requireFlagValue(args, i, arg);
+    i++;
+    options.retryBackoff = parseNumberValue(raw, arg);
+    if (options.retryBackoff < 0) {
+      fatalCliError('--retry-backoff must be >= 0.', {
+        code: 'INVALID_ARGUMENT',
+        details: { flag: arg, value: raw }
+      });
+    }
+    cliSet.retryBackoff = true;
+  } else if (arg === '--limit') {
+    const raw = requireFlagValue(args, i, arg);
+    i++;
+    options.historyLimit = parsePositiveIntegerValue(raw, arg);
+  } else if (arg === '--type') {
+    const raw = requireFlagValue(args, i, arg);
+    i++;
+    options.historyType = raw;
+  } else if (arg === '--search') {
+    const raw = requireFlagValue(args, i, arg);
+    i++;
+    options.historySearch = raw;
   } else if (arg === '--video' || arg === '-v') {
     options.video = true;
     cliSet.video = true;
@@ -979,9 +1291,70 @@ for (let i = 0; i < args.length; i++) {
     i++;
     options.refVideo = raw;
     cliSet.refVideo = true;
+  } else if (REF_RANGE_FLAGS[arg]) {
+    const raw = requireFlagValue(args, i, arg);
+    i++;
+    const seconds = parseNumberValue(raw, arg);
+    if (seconds < 0) {
+      fatalCliError(`${arg} must be 0 or more seconds.`, {
+        code: 'INVALID_ARGUMENT',
+        details: { flag: arg, value: raw }
+      });
+    }
+    options[REF_RANGE_FLAGS[arg]] = seconds;
   } else if (arg === '--looping' || arg === '--loop') {
     options.looping = true;
     cliSet.looping = true;
+  } else if (arg === '--loop-mode') {
+    const raw = requireFlagValue(args, i, arg);
+    i++;
+    if (!LOOP_MODES.includes(raw)) {
+      fatalCliError(`--loop-mode must be one of: ${LOOP_MODES.join(', ')}.`, {
+        code: 'INVALID_ARGUMENT',
+        details: { flag: arg, value: raw }
+      });
+    }
+    options.loopMode = raw;
+    options.looping = true;
+    cliSet.loopMode = true;
+    cliSet.looping = true;
+  } else if (arg === '--mux-audio') {
+    // Optional trailing video path switches to utility mode: --mux-audio <track> <video>
+    const raw = requireFlagValue(args, i, arg);
+    i++;
+    options.muxAudio = raw;
+    const next = args[i + 1];
+    if (next && !next.startsWith('-') && MUX_VIDEO_PATTERN.test(next)) {
+      i++;
+      options.muxVideo = next;
+    }
+    cliSet.muxAudio = true;
+  } else if (arg === '--no-mux-audio') {
+    options.noMuxAudio = true;
+    cliSet.muxAudio = true;
+  } else if (arg === '--audio-offset') {
+    const raw = requireFlagValue(args, i, arg);
+    i++;
+    const offset = parseNumberValue(raw, arg);
+    if (offset < 0) {
+      fatalCliError('--audio-offset must be 0 or more seconds.', {
+        code: 'INVALID_ARGUMENT',
+        details: { flag: arg, value: raw }
+      });
+    }
+    options.audioOffset = offset;
+    cliSet.audioOffset = true;
+  } else if (arg === '--audio-fit') {
+    const raw = requireFlagValue(args, i, arg);
+    i++;
+    if (!AUDIO_FIT_MODES.includes(raw)) {
+      fatalCliError(`--audio-fit must be one of: ${AUDIO_FIT_MODES.join(', ')}.`, {
+        code: 'INVALID_ARGUMENT',
+        details: { flag: arg, value: raw }
+      });
+    }
+    options.audioFit = raw;
+    cliSet.audioFit = true;
   } else if (arg === '-c' || arg === '--context') {
     const raw = requireFlagValue(args, i, arg);
     i++;
@@ -1073,8 +1446,8 @@ for (let i = 0; i < args.length; i++) {
     }
   } else if (arg === '--last-image') {
     // Use image from last render as reference/context
-    if (existsSync(LAST_RENDER_PATH)) {
-      const lastRender = JSON.parse(readFileSync(LAST_RENDER_PATH, 'utf8'));
+    const lastRender = loadLastRender();
+    if (lastRender) {
       let lastImagePath = null;
       if (lastRender.localPath && existsSync(lastRender.localPath)) {
         lastImagePath = lastRender.localPath;
@@ -1088,8 +1461,9 @@ for (let i = 0; i < args.length; i++) {
     }
   } else if (arg === '--last') {
     // Show last render info
-    if (existsSync(LAST_RENDER_PATH)) {
-      console.log(readFileSync(LAST_RENDER_PATH, 'utf8'));
+    const lastRender = loadLastRender();
+    if (lastRender) {
+      console.log(JSON.stringify(lastRender, null, 2));
     } else {
       console.error('No previous render found.');
     }
@@ -1099,10 +1473,15 @@ for (let i = 0; i < args.length; i++) {
   } else if (arg === '--strict-size') {
     options.strictSize = true;
     cliSet.strictSize = true;
+  } else if (arg === '--no-metadata') {
+    options.embedMetadata = false;
+    cliSet.embedMetadata = true;
   } else if (arg === '-q' || arg === '--quiet') {
     options.quiet = true;
   } else if (arg === '--estimate-video-cost') {
     options.estimateVideoCost = true;
+  } else if (arg === '--estimate-cost') {
+    options.estimateCost = true;
   } else if (arg === '--balance' || arg === '--balances') {
     options.showBalance = true;
   } else if (arg === '--version' || arg === '-V') {
@@ -1114,17 +1493,22 @@ sogni-gen - Generate images and videos using Sogni AI
 Usage: sogni-gen [options] "prompt"
 
 Image Options:
-  -o, --output <path>   Save to file (otherwise prints URL)
+  -o, --output <path>   Save to file (otherwise prints URL); -n > 1 saves out-1.png, out-2.png, ...
+                        Path may use {date} {time} {model} {workflow} {seed} {index} {ext}
+                        {prompt_slug} {project_id} {width} {height} {azimuth}
   -m, --model <id>      Model (default: z_image_turbo_bf16)
+  --negative-prompt <text>  What to steer away from (all pipelines)
+  --style-prompt <text> Style prompt appended by the model (all pipelines)
   -w, --width <px>      Width (default: 512)
   -h, --height <px>     Height (default: 512)
   -n, --count <num>     Number of images (default: 1)
   -s, --seed <num>      Use specific seed
   --last-seed           Reuse seed from previous render
+  --from-file <path>    Reuse parameters embedded in a saved PNG/JPEG/MP4 (other flags override)
   --seed-strategy <s>   Seed strategy: random|prompt-hash
   --multi-angle         Multiple angles LoRA mode (Qwen Image Edit)
   --angles-360          Generate 8 azimuths (front -> front-left)
-  --angles-360-video [path]  Assemble a looping 360 mp4 using i2v between angles (requires ffmpeg)
+  --angles-360-video [path]  Assemble a looping 360 mp4 using i2v between angles (requires ffmpeg; path may be a template)
   --video-model <id>    Override i2v model for 360 video (e.g. wan_v2.2-14b-fp8_i2v for higher quality)
   --azimuth <key>       front|front-right|right|back-right|back|back-left|left|front-left
   --elevation <key>     low-angle|eye-level|elevated|high-angle
@@ -1151,22 +1535,34 @@ Video Options:
   --video, -v           Generate video instead of image
   --workflow <type>     Video workflow: t2v|i2v|s2v|v2v|animate-move|animate-replace
   --fps <num>           Frames per second (default: 16)
-  --duration <sec>      Duration in seconds (default: 5)
+  --duration <sec>      Duration in seconds (default: 5; s2v/ia2v/a2v: length of --ref-audio)
   --frames <num>        Override total frames (optional)
   --auto-resize-assets  Auto-resize video reference assets (default)
   --no-auto-resize-assets  Disable auto-resize for video assets
   --estimate-video-cost Estimate video cost and exit (requires --steps)
+  --estimate-cost       Estimate the cost of any render (image, edit, photobooth, video, multi-angle,
+                        360 video, keyframes) with a per-step breakdown, then exit
+  --max-cost <tokens>   Refuse to submit when the estimated cost of this run exceeds <tokens>
+                        (config maxCostPerRun; maxCostPerDay caps the daily total)
   --ref <path|url>      Reference image for video (start frame)
   --ref-end <path|url>  End frame for interpolation/morphing
   --ref-audio <path>    Reference audio for s2v
-  --ref-video <path>    Reference video for animate/v2v workflows
+  --ref-video <path>    Reference video for animate/v2v workflows (with ffmpeg: cut to --duration,
+                        downscaled to the video size and capped at --fps before upload)
+  --ref-video-start <sec>, --ref-video-end <sec>  Range of --ref-video to upload (not --batch jobs)
+  --ref-audio-start <sec>, --ref-audio-end <sec>  Range of --ref-audio to upload (requires ffmpeg)
   --controlnet-name <n> ControlNet type for v2v: canny|pose|depth|detailer
   --controlnet-strength <n>  ControlNet strength for v2v (0.0-1.0, default: 0.8)
   --sam2-coordinates <coords>  SAM2 click coords for animate-replace (x,y or x1,y1;x2,y2)
   --trim-end-frame      Trim last frame for seamless video stitching
   --first-frame-strength <n>  Keyframe strength for start frame (0.0-1.0)
   --last-frame-strength <n>   Keyframe strength for end frame (0.0-1.0)
-  --looping, --loop     Create seamless loop (i2v only): A→B→A
+  --looping, --loop     Create seamless loop (i2v only, WAN or LTX): A→B→A
+  --loop-mode <mode>    render: second i2v clip B→A (default) | boomerang: reverse A→B locally, one render
+  --mux-audio <track>   Replace the saved video's audio with <track> (needs -o); s2v/ia2v/a2v
+                        re-attach --ref-audio by default (--no-mux-audio keeps the rendered audio)
+  --audio-offset <sec>  Skip <sec> seconds at the start of the muxed track (default: 0)
+  --audio-fit <mode>    trim (default) | loop the track | pad: hold the last frame until the track ends
   --last-image          Use last generated image as reference
 
 General:
@@ -1174,14 +1570,39 @@ General:
   --steps <num>         Override steps (model-dependent)
   --guidance <num>      Override guidance (model-dependent)
   --token-type <type>   Token type: spark|sogni (default: spark)
+  --token-fallback      Pay with the other token when the --token-type balance cannot cover the estimate
   --balance, --balances Show SPARK/SOGNI balances and exit
   --version, -V         Show sogni-gen version and exit
   --extract-last-frame <video> <image>  Extract last frame from a video (safe ffmpeg wrapper)
   --concat-videos <out> <clips...>      Concatenate video clips (safe ffmpeg wrapper, min 2 clips)
+  --mux-audio <track> <video>           Add or replace the soundtrack of a local video (-o, else <video>-muxed.mp4)
   --list-media [type]   List recent inbound media files (images|audio|all, default: images)
   --last                Show last render info (JSON)
+  --history             List past renders, newest first (filters: --limit <n> --type <t> -m <model> --search <text>)
+  --usage               Summarize estimated and actual spend from the local ledger
+                        (--since <7d|24h|date>, --group-by day|model|workflow, default: day)
+  --rerun <id> [flags]  Replay a history entry; flags override its parameters
+  --batch <file>        Run jobs from a .jsonl/.json/.yaml file over one connection
+  --queue-timeout <sec> Fail a project that shows no progress this long after submission
+  --idle-timeout <sec>  Fail a project whose progress stalls this long
+  --max-runtime <sec>   Hard deadline per project (default: --timeout, or none when
+                        --idle-timeout/--queue-timeout is set; --timeout then caps the queue wait)
+  --retries <n>         Resubmit projects that fail transiently (worker disconnect, network, timeout), same seed (default: 0)
+  --retry-backoff <sec> Delay before the first retry, doubled per attempt (default: 5)
+  --concurrency <n>     Max projects in flight for --batch/--sweep/--angles-360(-video)/--keyframes (default: 1)
+  --keyframes <imgs...> Interpolate i2v segments between 2+ ordered images and join them (-o video.mp4)
+  --close-loop          With --keyframes, add a segment from the last image back to the first
+  --extend <video>      Continue a video from its last frame (i2v at the clip's size/fps) and append it
+  --long-audio          a2v/ia2v: split --ref-audio into model-sized segments, render and join them,
+                        then mux the full track back (requires -o and ffmpeg; ia2v chains last frames)
+  --storyboard <file>   Render a multi-scene .yaml/.json storyboard into one video (requires ffmpeg)
+  --sweep <key=v1,v2>   Render every combination with one seed into a labeled grid (-o grid.png)
+                        Keys: steps, guidance, model, sampler, scheduler, lora-strength (repeatable)
+  --batch-results <path>  Batch results manifest (default: <file>.results.jsonl)
+  --resume <job>        Resume a failed --angles-360-video or --looping render (state.json, job dir or job id)
   --json                Output JSON with all details
   --strict-size         Do not auto-adjust video size to satisfy i2v reference resizing constraints
+  --no-metadata         Do not embed generation parameters in saved files
   -q, --quiet           Suppress progress output
 
 Image Models:
@@ -1245,6 +1666,44 @@ Examples:
   }
 }
 
+validateOutputTemplate(options.output, '--output');
+if (typeof options.angles360Video === 'string') {
+  validateOutputTemplate(options.angles360Video, '--angles-360-video');
+}
+
+// Rebuild options from a saved render. Runs before config defaults so the
+// file's values win over config, while flags on this command line win over both.
+if (options.fromFile) {
+  let embedded;
+  try {
+    embedded = await readEmbeddedMetadata(options.fromFile);
+  } catch (e) {
+    fatalCliError(e.message, {
+      code: e.code || 'INVALID_METADATA',
+      details: { file: options.fromFile, ...(e.details || {}) },
+      hint: e.hint
+    });
+  }
+  const applied = applyEmbeddedMetadata(embedded, options, cliSet);
+  if (!options.quiet) {
+    console.error(`Loaded ${applied.length} parameters from ${options.fromFile} (sogni-gen ${embedded.version || 'unknown'}).`);
+  }
+}
+
+if (options.rerun) {
+  let entry;
+  try {
+    entry = findHistoryEntry(options.rerun);
+  } catch (e) {
+    fatalCliError(e.message, { code: e.code, hint: e.hint, details: { id: options.rerun } });
+  }
+  const applied = applyHistoryEntry(entry, options, cliSet);
+  options.rerun = entry.id;
+  if (!options.quiet) {
+    console.error(`Replaying ${entry.id} (${applied.length} parameters from history).`);
+  }
+}
+
 let timeoutFromConfig = false;
 if (openclawConfig) {
   const isNumber = (value) => Number.isFinite(value);
@@ -1260,9 +1719,44 @@ if (openclawConfig) {
   if (!cliSet.tokenType && openclawConfig.defaultTokenType) {
     options.tokenType = openclawConfig.defaultTokenType;
   }
+  if (!cliSet.loopMode && LOOP_MODES.includes(openclawConfig.loopMode)) {
+    options.loopMode = openclawConfig.loopMode;
+  }
+  if (!cliSet.muxAudio && openclawConfig.muxRefAudio === false) {
+    options.noMuxAudio = true;
+  }
+  if (!cliSet.audioFit && AUDIO_FIT_MODES.includes(openclawConfig.audioFit)) {
+    options.audioFit = openclawConfig.audioFit;
+  }
   if (!cliSet.seedStrategy && openclawConfig.seedStrategy) {
     options.seedStrategy = openclawConfig.seedStrategy;
   }
+  if (!cliSet.negativePrompt && typeof openclawConfig.defaultNegativePrompt === 'string' && openclawConfig.defaultNegativePrompt) {
+    options.negativePrompt = openclawConfig.defaultNegativePrompt;
+  }
+  if (!cliSet.tokenFallback && typeof openclawConfig.tokenFallback === 'boolean') {
+    options.tokenFallback = openclawConfig.tokenFallback;
+  }
+  if (!cliSet.embedMetadata && typeof openclawConfig.embedMetadata === 'boolean') {
+    options.embedMetadata = openclawConfig.embedMetadata;
+  }
+  if (!cliSet.maxCost && isNumber(openclawConfig.maxCostPerRun) && openclawConfig.maxCostPerRun > 0) {
+    options.maxCost = openclawConfig.maxCostPerRun;
+  }
+  if (isNumber(openclawConfig.maxCostPerDay) && openclawConfig.maxCostPerDay > 0) {
+    options.maxCostPerDay = openclawConfig.maxCostPerDay;
+  }
+  if (!cliSet.retries && Number.isInteger(openclawConfig.retries) && openclawConfig.retries >= 0) {
+    options.retries = openclawConfig.retries;
+  }
+  if (!cliSet.retryBackoff && isNumber(openclawConfig.retryBackoffSec) && openclawConfig.retryBackoffSec >= 0) {
+    options.retryBackoff = openclawConfig.retryBackoffSec;
+  }
+  for (const [key, configKey] of [['queueTimeout', 'queueTimeoutSec'], ['idleTimeout', 'idleTimeoutSec'], ['maxRuntime', 'maxRuntimeSec']]) {
+    if (!cliSet[key] && isNumber(openclawConfig[configKey]) && openclawConfig[configKey] > 0) {
+      options[key] = openclawConfig[configKey] * 1000;
+    }
+  }
   if (options.video) {
     if (!cliSet.workflow && openclawConfig.defaultVideoWorkflow) {
       options.videoWorkflow = openclawConfig.defaultVideoWorkflow;
@@ -1445,6 +1939,52 @@ if (options.video && options.loras.length > 0) {
   fatalCliError('--lora options are image-only.', { code: 'INVALID_ARGUMENT' });
 }
 
+if (options.keyframes.length > 0) {
+  if (options.video || options.extend || options.batch || options.storyboard || options.sweep.length > 0 || options.multiAngle || options.photobooth) {
+    fatalCliError('--keyframes renders its own i2v segments; do not combine it with --video or other generation modes.', { code: 'INVALID_ARGUMENT' });
+  }
+  if (!options.output && !options.estimateCost) {
+    fatalCliError('--keyframes requires -o <video.mp4> for the joined video.', { code: 'INVALID_ARGUMENT' });
+  }
+  options.keyframes.forEach((frame, index) => sanitizePath(frame, `--keyframes[${index}]`));
+} else if (options.closeLoop) {
+  fatalCliError('--close-loop requires --keyframes.', { code: 'INVALID_ARGUMENT' });
+}
+
+if (options.extend && (options.video || options.batch || options.storyboard || options.sweep.length > 0 || options.multiAngle || options.photobooth)) {
+  fatalCliError('--extend runs its own i2v render; do not combine it with --video or other generation modes.', { code: 'INVALID_ARGUMENT' });
+}
+
+if (options.storyboard && (options.batch || options.sweep.length > 0 || options.multiAngle || options.photobooth)) {
+  fatalCliError('--storyboard cannot be combined with --batch, --sweep, --multi-angle or --photobooth.', { code: 'INVALID_ARGUMENT' });
+}
+
+if (options.sweep.length > 0) {
+  const keys = options.sweep.map((axis) => axis.key);
+  const cells = options.sweep.reduce((total, axis) => total * axis.values.length, 1);
+  if (options.video || options.photobooth || options.multiAngle || options.batch) {
+    fatalCliError('--sweep works with image generation and editing only.', { code: 'INVALID_ARGUMENT' });
+  }
+  if (!options.output) {
+    fatalCliError('--sweep requires -o <grid.png> for the comparison grid.', { code: 'INVALID_ARGUMENT' });
+  }
+  if (new Set(keys).size !== keys.length) {
+    fatalCliError('--sweep keys must be unique; list all values for a key in one flag.', {
+      code: 'INVALID_ARGUMENT',
+      details: { keys }
+    });
+  }
+  if (cells > SWEEP_MAX_CELLS) {
+    fatalCliError(`--sweep would render ${cells} images (max ${SWEEP_MAX_CELLS}).`, {
+      code: 'INVALID_ARGUMENT',
+      details: { cells, max: SWEEP_MAX_CELLS }
+    });
+  }
+  if (keys.includes('loraStrength') && (options.loras.length === 0 || options.contextImages.length === 0)) {
+    fatalCliError('--sweep lora-strength requires --lora and -c (LoRAs apply to image edits).', { code: 'INVALID_ARGUMENT' });
+  }
+}
+
 if (options.video && (options.sampler || options.scheduler)) {
   fatalCliError('--sampler/--scheduler are image-only options.', { code: 'INVALID_ARGUMENT' });
 }
@@ -1457,6 +1997,13 @@ if (options.estimateVideoCost && !options.video) {
   fatalCliError('--estimate-video-cost requires --video.', { code: 'INVALID_ARGUMENT' });
 }
 
+if (options.estimateCost && (options.batch || options.sweep.length > 0 || options.storyboard || options.extend)) {
+  fatalCliError('--estimate-cost does not support --batch, --sweep, --storyboard or --extend.', {
+    code: 'INVALID_ARGUMENT',
+    hint: 'Estimate a single job by running it with --estimate-cost on its own.'
+  });
+}
+
 if (options.angles360Video && !options.angles360) {
   fatalCliError('--angles-360-video requires --angles-360.', { code: 'INVALID_ARGUMENT' });
 }
@@ -1528,7 +2075,7 @@ if (options.video) {
   options.model = options.model || openclawConfig?.defaultImageModel || 'z_image_turbo_bf16';
 }
 
-if (!options.prompt && !options.estimateVideoCost && !options.multiAngle && !options.showBalance && !options.showVersion && !options.extractLastFrame && !options.concatVideos && !options.listMedia) {
+if (!options.prompt && !options.estimateVideoCost && !options.estimateCost && !options.multiAngle && !options.showBalance && !options.showVersion && !options.extractLastFrame && !options.concatVideos && !options.muxVideo && !options.listMedia && !options.history && !options.usage && !options.batch && !options.storyboard) {
   fatalCliError('No prompt provided. Use --help for usage.', { code: 'INVALID_ARGUMENT' });
 }
 
@@ -1637,6 +2184,50 @@ if (options.video) {
   }
 }
 
+if (options.muxAudio && !options.muxVideo && (!options.video || !options.output)) {
+  fatalCliError('--mux-audio needs --video and --output, or a local video path after the track.', {
+    code: 'INVALID_ARGUMENT',
+    details: { flag: '--mux-audio', value: options.muxAudio },
+    hint: 'Use --mux-audio <track> <video.mp4> to add a soundtrack to an existing video.'
+  });
+}
+const refRanges = [
+  { kind: 'video', ref: options.refVideo, start: options.refVideoStart, end: options.refVideoEnd },
+  { kind: 'audio', ref: options.refAudio, start: options.refAudioStart, end: options.refAudioEnd }
+];
+for (const { kind, ref, start, end } of refRanges) {
+  if ((start !== null || end !== null) && !ref) {
+    fatalCliError(`--ref-${kind}-start/--ref-${kind}-end require --ref-${kind}.`, { code: 'INVALID_ARGUMENT' });
+  }
+  if (start !== null && end !== null && end <= start) {
+    fatalCliError(`--ref-${kind}-end must be after --ref-${kind}-start.`, {
+      code: 'INVALID_ARGUMENT',
+      details: { start, end }
+    });
+  }
+}
+
+if (options.longAudio) {
+  if (!options.video || !['a2v', 'ia2v'].includes(options.videoWorkflow) || !options.refAudio) {
+    fatalCliError('--long-audio requires --video --ref-audio with the a2v or ia2v workflow.', {
+      code: 'INVALID_ARGUMENT',
+      details: { workflow: options.videoWorkflow ?? null },
+      hint: 'With a start image, add --workflow ia2v; segments after the first start from the previous last frame.'
+    });
+  }
+  if (!options.output && !options.estimateCost) {
+    fatalCliError('--long-audio requires -o <video.mp4> for the joined video.', { code: 'INVALID_ARGUMENT' });
+  }
+  if (options.looping || options.count > 1 || options.frames) {
+    fatalCliError('--long-audio cannot be combined with --looping, -n or --frames.', { code: 'INVALID_ARGUMENT' });
+  }
+}
+if ((cliSet.audioOffset || cliSet.audioFit) && !options.muxAudio && !(options.video && options.refAudio)) {
+  fatalCliError('--audio-offset and --audio-fit require --mux-audio or a --ref-audio video render.', {
+    code: 'INVALID_ARGUMENT'
+  });
+}
+
 // Video dimensions:
 // - Sogni video pipelines require dims within [480..1536] and divisible by 16.
 // - When using i2v (or any ref-based workflow), the Sogni client wrapper will *resize the reference image*
@@ -1804,22 +2395,20 @@ if (options.contextImages.length > 0 && !options.video) {
 
 // Load last render seed if requested
 if (options.lastSeed) {
-  if (existsSync(LAST_RENDER_PATH)) {
-    try {
-      const lastRender = JSON.parse(readFileSync(LAST_RENDER_PATH, 'utf8'));
-      if (lastRender.seed) {
-        options.seed = lastRender.seed;
-        if (!options.quiet) console.error(`Using seed from last render: ${options.seed}`);
-      }
-    } catch (e) {
-      console.error('Warning: Could not load last render seed');
+  try {
+    const lastRender = loadLastRender();
+    if (!lastRender) {
+      console.error('Warning: No previous render found, generating seed');
+    } else if (lastRender.seed) {
+      options.seed = lastRender.seed;
+      if (!options.quiet) console.error(`Using seed from last render: ${options.seed}`);
     }
-  } else {
-    console.error('Warning: No previous render found, generating seed');
+  } catch (e) {
+    console.error('Warning: Could not load last render seed');
   }
 }
 
-if (!options.estimateVideoCost && !options.showVersion && !options.extractLastFrame && !options.concatVideos && !options.listMedia && (options.seed === null || options.seed === undefined)) {
+if (!options.estimateVideoCost && !options.estimateCost && !options.showVersion && !options.extractLastFrame && !options.concatVideos && !options.muxVideo && !options.listMedia && !options.history && !options.usage && !options.batch && !options.storyboard && (options.seed === null || options.seed === undefined)) {
   const strategy = options.seedStrategy || openclawConfig?.seedStrategy || 'prompt-hash';
   const normalized = normalizeSeedStrategy(strategy) || 'prompt-hash';
   options.seedStrategy = normalized;
@@ -1871,77 +2460,624 @@ function loadCredentials() {
   throw err;
 }
 
-// Save last render info
-function saveLastRender(info) {
-  try {
-    const dir = dirname(LAST_RENDER_PATH);
-    if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
-    writeFileSync(LAST_RENDER_PATH, JSON.stringify(info, null, 2));
-  } catch (e) {
-    // Ignore save errors
+// --- Resumable job state ---
+// Multi-segment renders record each paid result (frames, clips, seeds) in
+// <jobs dir>/<id>/state.json as soon as it is downloaded. `--resume <state>`
+// re-runs the stored arguments and skips everything already recorded.
+
+function stripResumeArgs(argv) {
+  const rest = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--resume') {
+      i++;
+      continue;
+    }
+    rest.push(argv[i]);
   }
+  return rest;
 }
 
-// Fetch image as buffer
-async function fetchMediaBuffer(pathOrUrl) {
-  if (pathOrUrl.startsWith('http://') || pathOrUrl.startsWith('https://')) {
-    const response = await fetch(pathOrUrl);
-    if (!response.ok) {
-      const err = new Error(`Failed to fetch media (${response.status} ${response.statusText})`);
-      err.code = 'FETCH_FAILED';
-      err.details = { url: pathOrUrl, status: response.status, statusText: response.statusText };
-      throw err;
-    }
-    return Buffer.from(await response.arrayBuffer());
+function readResumeStateFromArgv(argv) {
+  const index = argv.indexOf('--resume');
+  if (index === -1) return null;
+  const raw = argv[index + 1];
+  if (!raw) {
+    fatalCliError('--resume requires a value.', { code: 'INVALID_ARGUMENT', details: { flag: '--resume' } });
+  }
+  sanitizePath(raw, '--resume');
+  let statePath = raw;
+  if (existsSync(raw) && statSync(raw).isDirectory()) {
+    statePath = join(raw, 'state.json');
+  } else if (!existsSync(raw) && existsSync(join(JOBS_DIR, raw, 'state.json'))) {
+    statePath = join(JOBS_DIR, raw, 'state.json');
   }
+  let state;
   try {
-    return readFileSync(pathOrUrl);
+    state = JSON.parse(readFileSync(statePath, 'utf8'));
   } catch (e) {
-    const err = new Error(`Failed to read media file: ${pathOrUrl}`);
-    err.code = 'MISSING_FILE';
-    err.hint = 'Check the path or use a URL.';
-    err.details = { path: pathOrUrl, cause: e?.message || String(e) };
-    throw err;
+    fatalCliError(`Could not read job state: ${statePath}`, {
+      code: 'INVALID_JOB_STATE',
+      details: { path: statePath, reason: e.message },
+      hint: 'Pass the state.json path printed when the run failed.'
+    });
+  }
+  if (!state || !Array.isArray(state.argv) || !state.kind) {
+    fatalCliError(`${statePath} is not a sogni-gen job state file.`, { code: 'INVALID_JOB_STATE', details: { path: statePath } });
   }
+  if (state.status === 'completed') {
+    fatalCliError(`Job ${state.id} already completed.`, { code: 'JOB_ALREADY_COMPLETED', details: { path: statePath } });
+  }
+  state.dir = dirname(resolve(statePath));
+  state.path = resolve(statePath);
+  // Replay from the directory the job started in so relative --ref/-c/-o paths resolve the same way.
+  if (state.cwd) {
+    try {
+      process.chdir(state.cwd);
+    } catch (e) {
+      fatalCliError(`Cannot resume job ${state.id}: its working directory ${state.cwd} is gone.`, {
+        code: 'INVALID_JOB_STATE',
+        details: { path: state.path, cwd: state.cwd, reason: e.message }
+      });
+    }
+  }
+  return state;
 }
 
-function resolveMultiAngleOutputConfig(outputPath, outputFormat) {
-  if (!outputPath) return null;
-  const ext = extname(outputPath);
-  const desiredExt = (outputFormat || 'jpg').replace('.', '');
-  if (!ext) {
-    return { dir: outputPath, prefix: '', ext: desiredExt };
-  }
-  const dir = dirname(outputPath);
-  const prefix = basename(outputPath, ext);
-  return { dir, prefix, ext: ext.replace('.', '') || desiredExt };
+function saveJobState(state) {
+  state.updatedAt = new Date().toISOString();
+  const { dir, path, ...persisted } = state;
+  writeFileSync(path, `${JSON.stringify(persisted, null, 2)}\n`);
 }
 
-async function downloadUrlToFile(url, filePath) {
-  const response = await fetch(url);
-  if (!response.ok) {
-    throw new Error(`Failed to download image: ${response.statusText}`);
+/**
+ * Starts recording a multi-segment run, or continues the one passed to
+ * --resume. The stored arguments pin the resolved seed so a resumed run
+ * renders the missing segments exactly as the original would have.
+ */
+function startJobState(kind) {
+  if (RESUME_STATE) {
+    if (RESUME_STATE.kind !== kind) {
+      const err = new Error(`Job state ${RESUME_STATE.id} is for ${RESUME_STATE.kind}, not ${kind}.`);
+      err.code = 'INVALID_JOB_STATE';
+      throw err;
+    }
+    RESUME_STATE.status = 'running';
+    RESUME_STATE.attempts = (RESUME_STATE.attempts || 1) + 1;
+    saveJobState(RESUME_STATE);
+    ACTIVE_RUN.jobState = RESUME_STATE;
+    return RESUME_STATE;
   }
-  const buffer = Buffer.from(await response.arrayBuffer());
-  writeFileSync(filePath, buffer);
+  const id = generateHistoryId();
+  const dir = join(JOBS_DIR, id);
+  mkdirSync(dir, { recursive: true });
+  const storedArgs = stripResumeArgs(args);
+  const state = {
+    id,
+    kind,
+    status: 'running',
+    argv: cliSet.seed || options.seed === null || options.seed === undefined
+      ? storedArgs
+      : [...storedArgs, '--seed', String(options.seed)],
+    cwd: process.cwd(),
+    attempts: 1,
+    createdAt: new Date().toISOString(),
+    dir,
+    path: join(dir, 'state.json')
+  };
+  saveJobState(state);
+  ACTIVE_RUN.jobState = state;
+  return state;
 }
 
-function removeClientListener(client, event, handler) {
-  if (typeof client.off === 'function') {
-    client.off(event, handler);
-  } else {
-    client.removeListener(event, handler);
+/**
+ * Runs `fn` under a job state: removes the job directory when it succeeds and
+ * marks the state failed (with a resume hint on the error) when it throws.
+ */
+async function runWithJobState(state, fn) {
+  try {
+    const result = await fn();
+    ACTIVE_RUN.jobState = null;
+    rmSync(state.dir, { recursive: true, force: true });
+    return result;
+  } catch (error) {
+    state.status = 'failed';
+    state.error = { message: error.message, code: error.code || null };
+    saveJobState(state);
+    error.details = { ...(error.details || {}), resumeState: state.path };
+    error.hint = `${error.hint ? `${error.hint} ` : ''}Completed segments were kept; resume with: --resume ${state.path}`;
+    throw error;
   }
 }
 
-let execaPromise = null;
-async function loadExeca() {
-  if (!execaPromise) {
-    execaPromise = import('execa');
+// --- Cancellation ---
+// In-flight projects, temp paths and the active job state, so SIGINT/SIGTERM can
+// cancel billing projects and clean up before exiting.
+
+const CANCEL_TIMEOUT_MS = 5000;
+
+const ACTIVE_RUN = {
+  projects: new Map(), // projectId -> client that created it
+  cleanupPaths: new Set(),
+  jobState: null
+};
+
+function trackProject(client, projectId) {
+  if (projectId) ACTIVE_RUN.projects.set(projectId, client);
+}
+
+function untrackProject(projectId) {
+  ACTIVE_RUN.projects.delete(projectId);
+}
+
+function untrackClientProjects(client) {
+  for (const [projectId, owner] of ACTIVE_RUN.projects) {
+    if (owner === client) ACTIVE_RUN.projects.delete(projectId);
+  }
+}
+
+/** Registers a path to delete if the run is cancelled before `releaseCleanupPath()`. */
+function trackCleanupPath(path) {
+  ACTIVE_RUN.cleanupPaths.add(path);
+  return path;
+}
+
+function releaseCleanupPath(path) {
+  ACTIVE_RUN.cleanupPaths.delete(path);
+}
+
+function createTempDir(prefix) {
+  return trackCleanupPath(mkdtempSync(join(tmpdir(), prefix)));
+}
+
+function removeTempDir(dir) {
+  rmSync(dir, { recursive: true, force: true });
+  releaseCleanupPath(dir);
+}
+
+async function cancelTrackedProject(client, projectId, log) {
+  try {
+    if (typeof client.cancelProject !== 'function') {
+      throw new Error('client does not support cancellation');
+    }
+    await client.cancelProject(projectId);
+    log(`Cancelled project ${projectId}`);
+    return true;
+  } catch (e) {
+    log(`Warning: Could not cancel project ${projectId}: ${e.message}`);
+    return false;
+  }
+}
+
+/**
+ * Cancels tracked projects, removes temp dirs and partial files, marks the
+ * job state cancelled (it stays resumable) and records a CANCELLED history
+ * entry (so --last shows it) before exiting with 128 + signal number.
+ */
+async function handleCancelSignal(signal, log) {
+  const exitCode = signal === 'SIGINT' ? 130 : 143;
+  log(`\nReceived ${signal}, cancelling...`);
+  const projects = [...ACTIVE_RUN.projects];
+  const cancelled = await Promise.race([
+    Promise.all(projects.map(([projectId, client]) => cancelTrackedProject(client, projectId, log))),
+    new Promise((resolve) => setTimeout(() => resolve([]), CANCEL_TIMEOUT_MS))
+  ]);
+  for (const path of ACTIVE_RUN.cleanupPaths) {
+    rmSync(path, { recursive: true, force: true });
+  }
+  await settleOpenSpend(null, 'cancelled');
+  const jobState = ACTIVE_RUN.jobState;
+  if (jobState) {
+    jobState.status = 'cancelled';
+    saveJobState(jobState);
+  }
+
+  const projectIds = projects.map(([projectId]) => projectId);
+  const cancelledProjectIds = projectIds.filter((_, i) => cancelled[i]);
+  saveLastRender({
+    timestamp: new Date().toISOString(),
+    status: 'CANCELLED',
+    signal,
+    type: options.video ? 'video' : 'image',
+    prompt: options.prompt ?? null,
+    model: options.model ?? null,
+    seed: options.seed ?? null,
+    projectIds,
+    cancelledProjectIds
+  });
+
+  const payload = buildCliErrorPayload({
+    message: `Cancelled by ${signal}.`,
+    code: 'CANCELLED',
+    details: {
+      signal,
+      projectIds,
+      cancelledProjectIds,
+      ...(jobState ? { resumeState: jobState.path } : {})
+    },
+    hint: jobState ? `Completed segments were kept; resume with: --resume ${jobState.path}` : undefined,
+    prompt: options.prompt ?? null
+  });
+  if (JSON_ERROR_MODE) {
+    console.log(JSON.stringify(payload));
+  } else {
+    console.error(`Error: ${payload.error}`);
+    if (payload.hint) console.error(`Hint: ${payload.hint}`);
+  }
+  process.exit(exitCode);
+}
+
+function installCancelHandlers(log) {
+  let cancelling = false;
+  const onSignal = (signal) => {
+    // A second signal while cancelling exits immediately.
+    if (cancelling) process.exit(signal === 'SIGINT' ? 130 : 143);
+    cancelling = true;
+    handleCancelSignal(signal, log).catch((e) => {
+      log(`Warning: Cancellation did not finish cleanly: ${e.message}`);
+      process.exit(signal === 'SIGINT' ? 130 : 143);
+    });
+  };
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+}
+
+// Save last render info
+/**
+ * Records a finished render: appends it to the history log (assigning `info.id`
+ * and `info.parents`) and rewrites last-render.json for older tooling.
+ */
+function saveLastRender(info) {
+  try {
+    info.id = generateHistoryId();
+    const parents = findParentHistoryIds(info);
+    if (parents.length > 0) info.parents = parents;
+    const dir = dirname(HISTORY_PATH);
+    if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+    // One appendFileSync per entry keeps concurrent invocations from clobbering each other.
+    appendFileSync(HISTORY_PATH, `${JSON.stringify(info)}\n`);
+  } catch (e) {
+    // Ignore save errors
+  }
+  try {
+    const dir = dirname(LAST_RENDER_PATH);
+    if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+    writeFileSync(LAST_RENDER_PATH, JSON.stringify(info, null, 2));
+  } catch (e) {
+    // Ignore save errors
+  }
+}
+
+// --- Render history ---
+
+function generateHistoryId() {
+  return `${Date.now().toString(36)}-${randomBytes(3).toString('hex')}`;
+}
+
+function readHistoryEntries() {
+  if (!existsSync(HISTORY_PATH)) return [];
+  const entries = [];
+  for (const line of readFileSync(HISTORY_PATH, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (entry?.id) entries.push(entry);
+    } catch (e) {
+      // Skip partially written lines
+    }
+  }
+  return entries;
+}
+
+/**
+ * Most recent render: the last history entry, falling back to last-render.json
+ * written by versions without history.
+ */
+function loadLastRender() {
+  const entries = readHistoryEntries();
+  if (entries.length > 0) return entries[entries.length - 1];
+  if (!existsSync(LAST_RENDER_PATH)) return null;
+  return JSON.parse(readFileSync(LAST_RENDER_PATH, 'utf8'));
+}
+
+function normalizeHistoryRef(value) {
+  if (typeof value !== 'string' || !value) return null;
+  return /^[a-z][a-z0-9+.-]*:\/\//i.test(value) || value.startsWith('data:') ? value : resolve(value);
+}
+
+function collectHistoryOutputs(entry) {
+  return [entry.localPath, ...(entry.localPaths || []), entry.videoPath, ...(entry.urls || [])]
+    .map(normalizeHistoryRef)
+    .filter(Boolean);
+}
+
+function collectHistoryInputs(entry) {
+  return [
+    entry.refImage,
+    entry.refImageEnd,
+    entry.refAudio,
+    entry.refVideo,
+    entry.sourceVideo,
+    entry.fromFile,
+    ...(entry.contextImages || []),
+    ...(entry.keyframes || [])
+  ].map(normalizeHistoryRef).filter(Boolean);
+}
+
+// Earlier entries whose outputs this render used as an input.
+function findParentHistoryIds(info) {
+  const inputs = new Set(collectHistoryInputs(info));
+  const parents = info.rerunOf ? [info.rerunOf] : [];
+  if (inputs.size === 0) return parents;
+  for (const entry of readHistoryEntries()) {
+    if (parents.includes(entry.id)) continue;
+    if (collectHistoryOutputs(entry).some((output) => inputs.has(output))) parents.push(entry.id);
+  }
+  return parents;
+}
+
+function findHistoryEntry(id) {
+  const entries = readHistoryEntries();
+  const exact = entries.find((entry) => entry.id === id);
+  if (exact) return exact;
+  const matches = entries.filter((entry) => entry.id.startsWith(id));
+  if (matches.length === 1) return matches[0];
+  const err = new Error(matches.length > 1
+    ? `History id "${id}" is ambiguous (${matches.length} matches).`
+    : `No history entry with id "${id}".`);
+  err.code = matches.length > 1 ? 'AMBIGUOUS_HISTORY_ID' : 'HISTORY_NOT_FOUND';
+  err.hint = 'Use --history to list recent render ids.';
+  throw err;
+}
+
+/**
+ * Newest-first history entries matching the filters, each with the `children`
+ * that used one of its outputs.
+ */
+function queryHistory({ limit, type, model, search }) {
+  const entries = readHistoryEntries();
+  const children = new Map();
+  for (const entry of entries) {
+    for (const parentId of entry.parents || []) {
+      if (!children.has(parentId)) children.set(parentId, []);
+      children.get(parentId).push(entry.id);
+    }
+  }
+  const needle = search ? search.toLowerCase() : null;
+  const matches = entries.filter((entry) => {
+    if (type && entry.type !== type && !String(entry.type || '').startsWith(`${type}-`)) return false;
+    if (model && !String(entry.model || '').toLowerCase().includes(model.toLowerCase())) return false;
+    if (needle) {
+      const haystack = [entry.id, entry.prompt, entry.negativePrompt, entry.stylePrompt, entry.angleDescription, ...(entry.localPaths || [])]
+        .filter(Boolean)
+        .join('\n')
+        .toLowerCase();
+      if (!haystack.includes(needle)) return false;
+    }
+    return true;
+  });
+  return {
+    total: matches.length,
+    entries: matches.reverse().slice(0, limit).map((entry) => (
+      children.has(entry.id) ? { ...entry, children: children.get(entry.id) } : entry
+    ))
+  };
+}
+
+/**
+ * Applies a history entry for --rerun: generation parameters go through
+ * applyEmbeddedMetadata, then reference media that the entry recorded.
+ */
+function applyHistoryEntry(entry, opts, setFlags) {
+  const isMultiAngle = String(entry.type || '').startsWith('multi-angle');
+  let workflow = entry.workflow;
+  if (isMultiAngle) workflow = entry.videoPath ? 'angles-360-video' : 'multi-angle';
+  else if (entry.photobooth) workflow = 'photobooth';
+  const applied = applyEmbeddedMetadata({
+    ...entry,
+    type: entry.type === 'video' ? 'video' : 'image',
+    workflow,
+    videoWorkflow: entry.type === 'video' ? entry.workflow : null,
+    duration: entry.frames ? null : entry.duration,
+    angles360: entry.type === 'multi-angle-360' || null
+  }, opts, setFlags);
+  const refs = [
+    ['refImage', 'refImage'],
+    ['refImageEnd', 'refImageEnd'],
+    ['refAudio', 'refAudio'],
+    ['refVideo', 'refVideo'],
+    ['sam2Coordinates', 'sam2Coordinates'],
+    ['trimEndFrame', 'trimEndFrame'],
+    ['firstFrameStrength', 'firstFrameStrength'],
+    ['lastFrameStrength', 'lastFrameStrength']
+  ];
+  for (const [key, flag] of refs) {
+    if (entry[key] === null || entry[key] === undefined || setFlags[flag]) continue;
+    opts[key] = entry[key];
+    applied.push(key);
+  }
+  if (entry.controlNet?.name && !setFlags.videoControlNetName) {
+    opts.videoControlNetName = entry.controlNet.name;
+    if (entry.controlNet.strength != null) opts.videoControlNetStrength = entry.controlNet.strength;
+    applied.push('controlNet');
+  }
+  if (Array.isArray(entry.contextImages) && entry.contextImages.length > 0 && !setFlags.context) {
+    opts.contextImages = [...entry.contextImages];
+    applied.push('contextImages');
+  }
+  return applied;
+}
+
+// Fetch image as buffer
+async function fetchMediaBuffer(pathOrUrl) {
+  if (pathOrUrl.startsWith('http://') || pathOrUrl.startsWith('https://')) {
+    const response = await fetch(pathOrUrl);
+    if (!response.ok) {
+      const err = new Error(`Failed to fetch media (${response.status} ${response.statusText})`);
+      err.code = 'FETCH_FAILED';
+      err.details = { url: pathOrUrl, status: response.status, statusText: response.statusText };
+      throw err;
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+  try {
+    return readFileSync(pathOrUrl);
+  } catch (e) {
+    const err = new Error(`Failed to read media file: ${pathOrUrl}`);
+    err.code = 'MISSING_FILE';
+    err.hint = 'Check the path or use a URL.';
+    err.details = { path: pathOrUrl, cause: e?.message || String(e) };
+    throw err;
+  }
+}
+
+/**
+ * Returns the save path for result `index` of `total`. A single result keeps the
+ * path as given; multiple results get a 1-based suffix before the extension
+ * (out.png -> out-1.png, out-2.png, ...).
+ */
+function buildIndexedOutputPath(outputPath, index, total) {
+  if (total <= 1) return outputPath;
+  const ext = extname(outputPath);
+  const stem = ext ? outputPath.slice(0, -ext.length) : outputPath;
+  return `${stem}-${index + 1}${ext}`;
+}
+
+function isOutputTemplate(outputPath) {
+  return typeof outputPath === 'string' && /\{[a-z_]+\}/i.test(outputPath);
+}
+
+function templateUsesVariable(template, name) {
+  return typeof template === 'string' && template.includes(`{${name}}`);
+}
+
+function validateOutputTemplate(template, flagName) {
+  if (!isOutputTemplate(template)) return;
+  const unknown = [...template.matchAll(OUTPUT_TEMPLATE_PATTERN)]
+    .map((match) => match[1])
+    .filter((name) => !OUTPUT_TEMPLATE_VARIABLES.includes(name));
+  if (unknown.length > 0) {
+    fatalCliError(`Unknown ${flagName} template variable {${unknown[0]}}.`, {
+      code: 'INVALID_ARGUMENT',
+      details: { flag: flagName, value: template, unknown, allowed: OUTPUT_TEMPLATE_VARIABLES },
+      hint: `Supported variables: ${OUTPUT_TEMPLATE_VARIABLES.map((name) => `{${name}}`).join(' ')}`
+    });
+  }
+}
+
+function slugifyPrompt(prompt, maxLength = 48) {
+  const slug = String(prompt || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, maxLength)
+    .replace(/-+$/g, '');
+  return slug || 'untitled';
+}
+
+function sanitizeTemplateValue(value) {
+  const cleaned = String(value ?? '')
+    .replace(/[^A-Za-z0-9._-]+/g, '-')
+    .replace(/^[-.]+|-+$/g, '');
+  return cleaned || 'none';
+}
+
+function resolveOutputWorkflowLabel(opts) {
+  if (opts.video) return opts.videoWorkflow || 'video';
+  if (opts.multiAngle) return 'multi-angle';
+  if (opts.photobooth) return 'photobooth';
+  if (opts.contextImages?.length > 0) return 'edit';
+  return 'image';
+}
+
+/**
+ * Run-level values for output templates. Per-file values (index, seed,
+ * project_id, azimuth) are passed as overrides by the caller.
+ */
+function buildOutputTemplateVars(opts, overrides = {}) {
+  const iso = OUTPUT_TEMPLATE_STARTED_AT.toISOString();
+  return {
+    date: iso.slice(0, 10),
+    time: iso.slice(11, 19).replace(/:/g, ''),
+    model: opts.model,
+    workflow: resolveOutputWorkflowLabel(opts),
+    seed: opts.seed,
+    index: 1,
+    ext: opts.video ? 'mp4' : (opts.outputFormat || 'png'),
+    prompt_slug: slugifyPrompt(opts.prompt || opts.angleDescription),
+    project_id: null,
+    width: opts.width,
+    height: opts.height,
+    azimuth: opts.azimuth,
+    ...overrides
+  };
+}
+
+function expandOutputTemplate(template, vars) {
+  if (!isOutputTemplate(template)) return template;
+  return template.replace(OUTPUT_TEMPLATE_PATTERN, (match, name) => {
+    if (!OUTPUT_TEMPLATE_VARIABLES.includes(name)) return match;
+    return sanitizeTemplateValue(vars[name]);
+  });
+}
+
+/**
+ * Expands `-o` for one result. Templates without {index} still get an indexed
+ * suffix when a run produces several files, so results never overwrite each other.
+ */
+function resolveResultOutputPath(outputPath, opts, index, total, overrides = {}) {
+  if (!isOutputTemplate(outputPath)) return buildIndexedOutputPath(outputPath, index, total);
+  const vars = buildOutputTemplateVars(opts, { index: index + 1, ...overrides });
+  const expanded = expandOutputTemplate(outputPath, vars);
+  return templateUsesVariable(outputPath, 'index') ? expanded : buildIndexedOutputPath(expanded, index, total);
+}
+
+function resolveMultiAngleOutputConfig(outputPath, outputFormat) {
+  if (!outputPath) return null;
+  const ext = extname(outputPath);
+  const desiredExt = (outputFormat || 'jpg').replace('.', '');
+  if (!ext) {
+    return { dir: outputPath, prefix: '', ext: desiredExt };
+  }
+  const dir = dirname(outputPath);
+  const prefix = basename(outputPath, ext);
+  return { dir, prefix, ext: ext.replace('.', '') || desiredExt };
+}
+
+async function downloadUrlToBuffer(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to download image: ${response.statusText}`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+}
+
+async function downloadUrlToFile(url, filePath) {
+  const buffer = await downloadUrlToBuffer(url);
+  writeFileSync(filePath, buffer);
+}
+
+function removeClientListener(client, event, handler) {
+  if (typeof client.off === 'function') {
+    client.off(event, handler);
+  } else {
+    client.removeListener(event, handler);
+  }
+}
+
+async function loadExeca() {
+  if (!execaPromise) {
+    execaPromise = import('execa');
   }
   return execaPromise;
 }
 
+function loadYaml() {
+  if (!yamlPromise) {
+    yamlPromise = import('yaml');
+  }
+  return yamlPromise;
+}
+
 async function ensureFfmpegAvailable() {
   const ffmpegPath = getEnv('FFMPEG_PATH') || 'ffmpeg';
   sanitizePath(ffmpegPath, 'FFMPEG_PATH');
@@ -1965,6 +3101,70 @@ async function ensureFfmpegAvailable() {
   return ffmpegPath;
 }
 
+function resolveFfprobePath() {
+  const explicit = getEnv('FFPROBE_PATH');
+  if (explicit) return explicit;
+  // A custom ffmpeg usually ships with ffprobe next to it.
+  const ffmpegPath = getEnv('FFMPEG_PATH');
+  if (ffmpegPath && dirname(ffmpegPath) !== '.') {
+    return join(dirname(ffmpegPath), `ffprobe${extname(ffmpegPath)}`);
+  }
+  return 'ffprobe';
+}
+
+function parseFrameRate(value) {
+  const [num, den] = String(value || '').split('/').map(Number);
+  const rate = den ? num / den : num;
+  return Number.isFinite(rate) && rate > 0 ? rate : null;
+}
+
+/**
+ * Reads width, height, fps, duration and audio presence of a media file
+ * with ffprobe.
+ */
+async function probeMediaFile(filePath) {
+  sanitizePath(filePath, 'media path');
+  const ffprobePath = resolveFfprobePath();
+  sanitizePath(ffprobePath, 'FFPROBE_PATH');
+  const result = await runCommand(ffprobePath, [
+    '-v', 'error',
+    '-print_format', 'json',
+    '-show_streams',
+    '-show_format',
+    filePath
+  ], { captureOutput: true });
+  if (result.error?.code === 'ENOENT') {
+    const err = new Error('ffprobe is required to read media properties.');
+    err.code = 'MISSING_FFPROBE';
+    err.hint = 'Install ffmpeg (which includes ffprobe) or set FFPROBE_PATH.';
+    err.details = { ffprobePath };
+    throw err;
+  }
+  let info;
+  try {
+    info = JSON.parse(result.stdout || '');
+  } catch (e) {
+    info = null;
+  }
+  if (result.status !== 0 || !info) {
+    const err = new Error(`Could not read media properties of ${filePath}.`);
+    err.code = 'FFPROBE_FAILED';
+    err.details = { filePath, status: result.status, stderr: result.stderr || '' };
+    throw err;
+  }
+  const streams = Array.isArray(info.streams) ? info.streams : [];
+  const video = streams.find((stream) => stream.codec_type === 'video');
+  const duration = Number(info.format?.duration ?? video?.duration);
+  return {
+    width: video?.width ?? null,
+    height: video?.height ?? null,
+    fps: video ? parseFrameRate(video.avg_frame_rate) ?? parseFrameRate(video.r_frame_rate) : null,
+    duration: Number.isFinite(duration) ? duration : null,
+    hasVideo: Boolean(video),
+    hasAudio: streams.some((stream) => stream.codec_type === 'audio')
+  };
+}
+
 function writeConcatList(filePath, frames, frameDuration) {
   const lines = [];
   frames.forEach((frame) => {
@@ -2003,7 +3203,8 @@ async function runCommand(command, args, { captureOutput = false } = {}) {
     const result = await execa(command, args, options);
     return {
       status: result.exitCode,
-      error: null,
+      // With reject: false a command that could not be spawned (e.g. ENOENT) resolves too.
+      error: result.failed && result.exitCode === undefined ? result : null,
       stdout: result.stdout || '',
       stderr: result.stderr || ''
     };
@@ -2017,42 +3218,408 @@ async function runCommand(command, args, { captureOutput = false } = {}) {
   }
 }
 
-async function buildAngles360Video(outputPath, frames, fps) {
-  sanitizePath(outputPath, '--angles-360-video output path');
-  frames.forEach((f, i) => sanitizePath(f, `frame[${i}]`));
-  const ffmpegPath = await ensureFfmpegAvailable();
-  const tempListPath = outputPath.replace(/\.mp4$/i, '') + '.concat.txt';
-  const frameDuration = 1 / fps;
-  writeConcatList(tempListPath, frames, frameDuration);
-
-  const args = [
-    '-y',
-    '-f', 'concat',
-    '-safe', '0',
-    '-i', tempListPath,
-    '-r', String(fps),
-    '-pix_fmt', 'yuv420p',
-    outputPath
-  ];
-  const result = await runCommand(ffmpegPath, args);
-  if (result.error || result.status !== 0) {
-    // ffmpeg sometimes exits non-zero even when the output file is usable.
-    // Treat it as success if the output exists and is non-empty.
-    if (isNonEmptyFile(outputPath)) {
-      console.warn('Warning: ffmpeg exited non-zero, but output video exists and is non-empty. Continuing.');
-      return;
-    }
-    const err = new Error('ffmpeg failed to build 360 video.');
-    err.code = 'FFMPEG_FAILED';
-    err.details = { outputPath };
-    throw err;
+// --- Embedded generation metadata ---
+// Saved files carry their generation parameters as one JSON document stored under
+// METADATA_KEY (PNG tEXt), in XMP (JPEG) or the comment atom (MP4).
+
+function buildEmbeddedMetadata(opts, overrides = {}) {
+  const metadata = {
+    generator: 'sogni-gen',
+    version: PACKAGE_VERSION,
+    createdAt: new Date().toISOString(),
+    type: opts.video ? 'video' : 'image',
+    workflow: resolveOutputWorkflowLabel(opts),
+    prompt: opts.prompt,
+    negativePrompt: opts.negativePrompt,
+    stylePrompt: opts.stylePrompt,
+    model: opts.model,
+    seed: opts.seed,
+    width: opts.width,
+    height: opts.height,
+    steps: opts.steps,
+    guidance: opts.guidance,
+    sampler: opts.sampler,
+    scheduler: opts.scheduler,
+    loras: opts.loras?.length > 0 ? opts.loras : null,
+    loraStrengths: opts.loraStrengths?.length > 0 ? opts.loraStrengths : null,
+    outputFormat: opts.outputFormat,
+    ...(opts.video ? {
+      videoWorkflow: opts.videoWorkflow,
+      fps: opts.fps,
+      duration: opts.frames ? null : opts.duration,
+      frames: opts.frames,
+      looping: opts.looping || null,
+      loopMode: opts.looping ? opts.loopMode : null
+    } : {}),
+    ...(opts.photobooth ? {
+      cnStrength: opts.cnStrength,
+      cnGuidanceEnd: opts.cnGuidanceEnd
+    } : {}),
+    ...overrides
+  };
+  for (const [key, value] of Object.entries(metadata)) {
+    if (value === null || value === undefined || value === '') delete metadata[key];
   }
+  return metadata;
 }
 
-async function extractLastFrameFromVideo(videoPath, outputImagePath) {
-  sanitizePath(videoPath, 'video path');
-  sanitizePath(outputImagePath, 'output image path');
-  const ffmpegPath = await ensureFfmpegAvailable();
+// tEXt chunks are Latin-1, so non-ASCII characters are kept as JSON \u escapes.
+function serializeEmbeddedMetadata(metadata) {
+  return JSON.stringify(metadata).replace(/[\u007f-\uffff]/g, (ch) => `\\u${ch.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
+
+function buildPngTextChunk(keyword, text) {
+  const data = Buffer.concat([
+    Buffer.from(keyword, 'latin1'),
+    Buffer.from([0]),
+    Buffer.from(text.replace(/[^\x00-\xff]/g, '?'), 'latin1')
+  ]);
+  const type = Buffer.from('tEXt', 'latin1');
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([type, data])));
+  return Buffer.concat([length, type, data, crc]);
+}
+
+/**
+ * Inserts tEXt chunks before IEND without re-encoding the image.
+ * Returns null when the buffer is not a well-formed PNG.
+ */
+function insertPngTextChunks(buffer, entries) {
+  if (buffer.length < PNG_SIGNATURE.length || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return null;
+  let offset = PNG_SIGNATURE.length;
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    if (type === 'IEND') {
+      const chunks = Object.entries(entries).map(([keyword, text]) => buildPngTextChunk(keyword, String(text)));
+      return Buffer.concat([buffer.subarray(0, offset), ...chunks, buffer.subarray(offset)]);
+    }
+    offset += length + 12;
+  }
+  return null;
+}
+
+const JPEG_EXIF_HEADER = Buffer.from('Exif\0\0', 'latin1');
+const JPEG_XMP_HEADER = Buffer.from('http://ns.adobe.com/xap/1.0/\0', 'latin1');
+const EXIF_TAGS = { ImageDescription: 0x010e, Software: 0x0131 };
+
+function buildJpegSegment(marker, payload) {
+  if (payload.length + 2 > 0xffff) throw new Error('metadata is too large for a JPEG segment');
+  const header = Buffer.from([0xff, marker, 0, 0]);
+  header.writeUInt16BE(payload.length + 2, 2);
+  return Buffer.concat([header, payload]);
+}
+
+/** EXIF APP1 payload: a big-endian TIFF block whose IFD0 holds ASCII `tags`. */
+function buildExifPayload(tags) {
+  const entries = Object.entries(tags)
+    .map(([name, text]) => [EXIF_TAGS[name], Buffer.from(`${text}\0`, 'utf8')])
+    .sort(([a], [b]) => a - b);
+  const ifdEnd = 8 + 2 + entries.length * 12 + 4;
+  const tiff = Buffer.alloc(ifdEnd);
+  tiff.write('MM', 0, 'latin1');
+  tiff.writeUInt16BE(42, 2);
+  tiff.writeUInt32BE(8, 4);
+  tiff.writeUInt16BE(entries.length, 8);
+  const values = [];
+  let valueOffset = ifdEnd;
+  entries.forEach(([tag, value], i) => {
+    const entry = 10 + i * 12;
+    tiff.writeUInt16BE(tag, entry);
+    tiff.writeUInt16BE(2, entry + 2); // ASCII
+    tiff.writeUInt32BE(value.length, entry + 4);
+    if (value.length <= 4) {
+      value.copy(tiff, entry + 8);
+      return;
+    }
+    tiff.writeUInt32BE(valueOffset, entry + 8);
+    // Offsets stay word-aligned.
+    const padded = value.length % 2 ? Buffer.concat([value, Buffer.from([0])]) : value;
+    values.push(padded);
+    valueOffset += padded.length;
+  });
+  return Buffer.concat([JPEG_EXIF_HEADER, tiff, ...values]);
+}
+
+/**
+ * Inserts APP `segments` after SOI (and JFIF APP0) without re-encoding the
+ * image, replacing any EXIF/XMP APP1 segments already there. Returns null
+ * when the buffer is not a well-formed JPEG.
+ */
+function insertJpegSegments(buffer, segments) {
+  if (buffer.length < 4 || buffer[0] !== 0xff || buffer[1] !== 0xd8) return null;
+  const kept = [];
+  let insertAt = 0;
+  let offset = 2;
+  while (offset + 4 <= buffer.length && buffer[offset] === 0xff) {
+    const marker = buffer[offset + 1];
+    if (!(marker >= 0xe0 && marker <= 0xef) && marker !== 0xfe) break;
+    const end = offset + 2 + buffer.readUInt16BE(offset + 2);
+    if (end > buffer.length) return null;
+    const segment = buffer.subarray(offset, end);
+    const payload = segment.subarray(4);
+    const replaced = marker === 0xe1 && (
+      payload.subarray(0, JPEG_EXIF_HEADER.length).equals(JPEG_EXIF_HEADER) ||
+      payload.subarray(0, JPEG_XMP_HEADER.length).equals(JPEG_XMP_HEADER)
+    );
+    if (!replaced) {
+      kept.push(segment);
+      if (marker === 0xe0 && kept.length === 1) insertAt = 1;
+    }
+    offset = end;
+  }
+  return Buffer.concat([
+    buffer.subarray(0, 2),
+    ...kept.slice(0, insertAt),
+    ...segments,
+    ...kept.slice(insertAt),
+    buffer.subarray(offset)
+  ]);
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function buildMetadataXmp(metadata) {
+  return [
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+    '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+    `<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:xmp="http://ns.adobe.com/xap/1.0/" xmlns:sogni="${METADATA_XMP_NAMESPACE}">`,
+    `<xmp:CreatorTool>sogni-gen ${escapeXml(PACKAGE_VERSION)}</xmp:CreatorTool>`,
+    metadata.prompt ? `<dc:description><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(metadata.prompt)}</rdf:li></rdf:Alt></dc:description>` : '',
+    `<sogni:params>${escapeXml(JSON.stringify(metadata))}</sogni:params>`,
+    '</rdf:Description>',
+    '</rdf:RDF>',
+    '</x:xmpmeta>'
+  ].join('');
+}
+
+/**
+ * Returns `buffer` with `metadata` embedded: tEXt chunks for PNG, EXIF + XMP
+ * APP1 segments for JPEG, neither re-encoded. Other formats, and failures,
+ * return the buffer as-is.
+ */
+async function embedImageMetadata(buffer, metadata, log) {
+  try {
+    const png = insertPngTextChunks(buffer, {
+      [METADATA_KEY]: serializeEmbeddedMetadata(metadata),
+      ...(metadata.prompt ? { Description: metadata.prompt } : {}),
+      Software: `sogni-gen ${PACKAGE_VERSION}`
+    });
+    if (png) return png;
+    const jpeg = insertJpegSegments(buffer, [
+      buildJpegSegment(0xe1, buildExifPayload({
+        ...(metadata.prompt ? { ImageDescription: metadata.prompt } : {}),
+        Software: `sogni-gen ${PACKAGE_VERSION}`
+      })),
+      buildJpegSegment(0xe1, Buffer.concat([JPEG_XMP_HEADER, Buffer.from(buildMetadataXmp(metadata), 'utf8')]))
+    ]);
+    if (jpeg) return jpeg;
+  } catch (e) {
+    log(`Warning: Could not embed metadata: ${e.message}`);
+  }
+  return buffer;
+}
+
+/**
+ * Rewrites the MP4 at `filePath` with title/comment atoms (stream copy, no re-encode).
+ * Metadata is best-effort: without ffmpeg the file is left untouched.
+ */
+async function embedVideoMetadata(filePath, metadata, log) {
+  const tempPath = trackCleanupPath(`${filePath}.metadata.mp4`);
+  try {
+    const ffmpegPath = await ensureFfmpegAvailable();
+    const args = [
+      '-y',
+      '-i', filePath,
+      '-map', '0',
+      '-c', 'copy',
+      ...(metadata.prompt ? ['-metadata', `title=${metadata.prompt}`] : []),
+      '-metadata', `comment=${JSON.stringify(metadata)}`,
+      '-metadata', `encoder=sogni-gen ${PACKAGE_VERSION}`,
+      '-movflags', '+use_metadata_tags',
+      tempPath
+    ];
+    const result = await runCommand(ffmpegPath, args, { captureOutput: true });
+    if (result.error || result.status !== 0 || !isNonEmptyFile(tempPath)) {
+      throw new Error(`ffmpeg exited with ${result.status ?? 'an error'}`);
+    }
+    renameSync(tempPath, filePath);
+  } catch (e) {
+    const reason = e.code === 'MISSING_FFMPEG' ? 'ffmpeg is not available' : e.message;
+    log(`Warning: Could not embed metadata in ${filePath}: ${reason}`);
+    rmSync(tempPath, { force: true });
+  } finally {
+    releaseCleanupPath(tempPath);
+  }
+}
+
+function readPngTextChunks(buffer) {
+  const chunks = {};
+  let offset = PNG_SIGNATURE.length;
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    if (type === 'tEXt') {
+      const data = buffer.subarray(offset + 8, offset + 8 + length);
+      const separator = data.indexOf(0);
+      if (separator > 0) chunks[data.toString('latin1', 0, separator)] = data.toString('latin1', separator + 1);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += length + 12;
+  }
+  return chunks;
+}
+
+function unescapeXml(value) {
+  return String(value)
+    .replace(/&quot;/g, '"')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+// Reads one tag from `ffmpeg -f ffmetadata` output, which backslash-escapes
+// '=', ';', '#', '\' and newlines inside values.
+function readFfmetadataTag(text, key) {
+  const match = new RegExp(`^${key}=((?:\\\\[\\s\\S]|[^\\\\\\n])*)$`, 'm').exec(text);
+  return match ? match[1].replace(/\\([\s\S])/g, '$1') : null;
+}
+
+async function readVideoMetadataComment(filePath) {
+  const ffmpegPath = await ensureFfmpegAvailable();
+  const result = await runCommand(ffmpegPath, ['-v', 'error', '-i', filePath, '-f', 'ffmetadata', '-'], { captureOutput: true });
+  if (result.error || result.status !== 0) {
+    const err = new Error(`ffmpeg could not read metadata from ${filePath}.`);
+    err.code = 'FFMPEG_FAILED';
+    err.details = { stderr: result.stderr || '' };
+    throw err;
+  }
+  return readFfmetadataTag(result.stdout || '', 'comment');
+}
+
+/**
+ * Reads the generation metadata written by embedImageMetadata/embedVideoMetadata
+ * from a PNG, JPEG or MP4 file.
+ */
+async function readEmbeddedMetadata(filePath) {
+  sanitizePath(filePath, '--from-file');
+  if (!existsSync(filePath)) {
+    const err = new Error(`File not found: ${filePath}`);
+    err.code = 'FILE_NOT_FOUND';
+    throw err;
+  }
+  const buffer = readFileSync(filePath);
+  let raw = null;
+  if (buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    raw = readPngTextChunks(buffer)[METADATA_KEY] || null;
+  } else if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    const { xmp } = await sharp(buffer).metadata();
+    const match = xmp ? /<sogni:params>([\s\S]*?)<\/sogni:params>/.exec(xmp.toString('utf8')) : null;
+    raw = match ? unescapeXml(match[1]) : null;
+  } else if (buffer.toString('latin1', 4, 8) === 'ftyp') {
+    raw = await readVideoMetadataComment(filePath);
+  } else {
+    const err = new Error(`Unsupported file type for --from-file: ${filePath}`);
+    err.code = 'UNSUPPORTED_FILE';
+    err.hint = 'Use a PNG, JPEG or MP4 saved by sogni-gen.';
+    throw err;
+  }
+
+  let metadata = null;
+  try {
+    metadata = raw ? JSON.parse(raw) : null;
+  } catch {
+    metadata = null;
+  }
+  if (!metadata || metadata.generator !== 'sogni-gen') {
+    const err = new Error(`No sogni-gen metadata found in ${filePath}.`);
+    err.code = 'NO_EMBEDDED_METADATA';
+    err.hint = 'Only files saved by sogni-gen with -o (and without --no-metadata) carry generation parameters.';
+    throw err;
+  }
+  return metadata;
+}
+
+/**
+ * Copies embedded parameters into `opts` unless the flag was given on the command
+ * line. Reference media is not embedded, so --ref/--context must be passed again.
+ * Returns the option keys that were applied.
+ */
+function applyEmbeddedMetadata(metadata, opts, setFlags) {
+  const applied = [];
+  const isVideo = metadata.type === 'video' && metadata.workflow !== 'angles-360-video';
+  if (isVideo && !setFlags.video) {
+    opts.video = true;
+  } else if (metadata.workflow === 'photobooth' && !setFlags.photobooth) {
+    opts.photobooth = true;
+  } else if ((metadata.workflow === 'multi-angle' || metadata.workflow === 'angles-360-video') && !setFlags.multiAngle) {
+    opts.multiAngle = true;
+    if (metadata.angles360) opts.angles360 = true;
+    if (metadata.workflow === 'angles-360-video' && !setFlags.angles360Video) opts.angles360Video = true;
+  }
+  for (const [key, flag] of EMBEDDED_METADATA_FIELDS) {
+    const value = metadata[key];
+    if (value === null || value === undefined) continue;
+    if (key === 'prompt' ? opts.prompt : setFlags[flag]) continue;
+    if (key === 'azimuth' && metadata.angles360) continue;
+    opts[key] = value;
+    if (flag) setFlags[flag] = true;
+    applied.push(key);
+  }
+  if (metadata.videoModel && !setFlags.videoModel) {
+    opts.videoModel = metadata.videoModel;
+    applied.push('videoModel');
+  }
+  // The original render had no negative prompt; keep config defaults from adding one.
+  setFlags.negativePrompt = true;
+  return applied;
+}
+
+async function buildAngles360Video(outputPath, frames, fps) {
+  sanitizePath(outputPath, '--angles-360-video output path');
+  frames.forEach((f, i) => sanitizePath(f, `frame[${i}]`));
+  const ffmpegPath = await ensureFfmpegAvailable();
+  const tempListPath = outputPath.replace(/\.mp4$/i, '') + '.concat.txt';
+  const frameDuration = 1 / fps;
+  writeConcatList(tempListPath, frames, frameDuration);
+
+  const args = [
+    '-y',
+    '-f', 'concat',
+    '-safe', '0',
+    '-i', tempListPath,
+    '-r', String(fps),
+    '-pix_fmt', 'yuv420p',
+    outputPath
+  ];
+  const result = await runCommand(ffmpegPath, args);
+  if (result.error || result.status !== 0) {
+    // ffmpeg sometimes exits non-zero even when the output file is usable.
+    // Treat it as success if the output exists and is non-empty.
+    if (isNonEmptyFile(outputPath)) {
+      console.warn('Warning: ffmpeg exited non-zero, but output video exists and is non-empty. Continuing.');
+      return;
+    }
+    const err = new Error('ffmpeg failed to build 360 video.');
+    err.code = 'FFMPEG_FAILED';
+    err.details = { outputPath };
+    throw err;
+  }
+}
+
+async function extractLastFrameFromVideo(videoPath, outputImagePath) {
+  sanitizePath(videoPath, 'video path');
+  sanitizePath(outputImagePath, 'output image path');
+  const ffmpegPath = await ensureFfmpegAvailable();
 
   // Extract the last frame by reading through the video with update mode
   // This processes all frames but only keeps the last one
@@ -2096,7 +3663,8 @@ async function buildConcatVideoFromClips(outputPath, clips) {
   const ffmpegPath = await ensureFfmpegAvailable();
   const tempListPath = outputPath.replace(/\.mp4$/i, '') + '.concat.txt';
   const lines = clips.map((clip) => `file '${clip.replace(/'/g, "'\\''")}'`);
-  writeFileSync(tempListPath, lines.join('\n'));
+  writeFileSync(trackCleanupPath(tempListPath), lines.join('\n'));
+  trackCleanupPath(outputPath);
 
   const args = [
     '-y',
@@ -2108,106 +3676,608 @@ async function buildConcatVideoFromClips(outputPath, clips) {
     outputPath
   ];
   const result = await runCommand(ffmpegPath, args);
+  rmSync(tempListPath, { force: true });
+  releaseCleanupPath(tempListPath);
+  releaseCleanupPath(outputPath);
   if (result.error || result.status !== 0) {
     if (isNonEmptyFile(outputPath)) {
       console.warn('Warning: ffmpeg exited non-zero, but output video exists and is non-empty. Continuing.');
       return;
     }
-    const err = new Error('ffmpeg failed to concatenate 360 video clips.');
+    const err = new Error('ffmpeg failed to concatenate video clips.');
     err.code = 'FFMPEG_FAILED';
     err.details = { outputPath, clips: clips?.length ?? null };
     throw err;
   }
 }
 
-async function runImageEditProjectWithEvents(client, editConfig, expectedCount, log, timeoutMs, label) {
-  const results = [];
-  let completed = 0;
-  let projectId = null;
+/**
+ * Writes `clipPath` followed by itself in reverse. The reversed half drops B
+ * (the forward clip already ends on it) and A (the next pass starts on it),
+ * so the loop never shows a frame twice in a row; its audio drops the same
+ * two frames' worth to stay in sync.
+ */
+async function buildBoomerangVideo(clipPath, outputPath) {
+  sanitizePath(clipPath, 'clip path');
+  sanitizePath(outputPath, '--output path');
+  const ffmpegPath = await ensureFfmpegAvailable();
+  const { hasAudio, fps } = await probeMediaFile(clipPath);
+  const frameSec = (1 / (fps || options.fps)).toFixed(6);
+  const filters = [
+    '[0:v]split[fwd][src]',
+    '[src]trim=start_frame=1,setpts=PTS-STARTPTS,reverse,trim=start_frame=1,setpts=PTS-STARTPTS[rev]',
+    ...(hasAudio
+      ? [
+          '[0:a]asplit[afwd][asrc]',
+          `[asrc]atrim=start=${frameSec},asetpts=PTS-STARTPTS,areverse,atrim=start=${frameSec},asetpts=PTS-STARTPTS[arev]`,
+          '[fwd][afwd][rev][arev]concat=n=2:v=1:a=1[v][a]'
+        ]
+      : ['[fwd][rev]concat=n=2:v=1:a=0[v]'])
+  ];
+  trackCleanupPath(outputPath);
+  const result = await runCommand(ffmpegPath, [
+    '-y',
+    '-i', clipPath,
+    '-filter_complex', filters.join(';'),
+    '-map', '[v]',
+    ...(hasAudio ? ['-map', '[a]'] : []),
+    '-c:v', 'libx264',
+    '-pix_fmt', 'yuv420p',
+    outputPath
+  ]);
+  releaseCleanupPath(outputPath);
+  if (result.error || result.status !== 0 || !isNonEmptyFile(outputPath)) {
+    const err = new Error('ffmpeg failed to build the boomerang loop.');
+    err.code = 'FFMPEG_FAILED';
+    err.details = { clipPath, outputPath, status: result.status ?? null };
+    throw err;
+  }
+}
 
-  let resolvePromise;
-  let rejectPromise;
-  const completionPromise = new Promise((resolve, reject) => {
-    resolvePromise = resolve;
-    rejectPromise = reject;
-  });
+/**
+ * Appends `extensionPath` to `sourcePath` with the concat filter. The extension
+ * is scaled and cropped to the source's size and frame rate, and a part
+ * without audio gets silence when the other has some, so the streams line up.
+ */
+async function buildExtendedVideo(sourcePath, extensionPath, outputPath) {
+  sanitizePath(sourcePath, '--extend');
+  sanitizePath(extensionPath, 'extension path');
+  sanitizePath(outputPath, '--output path');
+  const ffmpegPath = await ensureFfmpegAvailable();
+  const parts = [await probeMediaFile(sourcePath), await probeMediaFile(extensionPath)];
+  const [source] = parts;
+  const fps = source.fps || parts[1].fps || 24;
+  // Silence needs a length; without one the extension's audio is dropped.
+  const withAudio = parts.some((part) => part.hasAudio) && parts.every((part) => part.hasAudio || part.duration);
+  const audioOf = (part, i) => (part.hasAudio
+    ? `[${i}:a]aformat=sample_rates=48000:channel_layouts=stereo[a${i}]`
+    : `anullsrc=r=48000:cl=stereo,atrim=duration=${part.duration.toFixed(3)}[a${i}]`);
+  const filters = [
+    `[0:v]fps=${fps},setsar=1[v0]`,
+    `[1:v]scale=${source.width}:${source.height}:force_original_aspect_ratio=increase,` +
+      `crop=${source.width}:${source.height},fps=${fps},setsar=1[v1]`,
+    ...(withAudio
+      ? [...parts.map(audioOf), '[v0][a0][v1][a1]concat=n=2:v=1:a=1[v][a]']
+      : ['[v0][v1]concat=n=2:v=1:a=0[v]'])
+  ];
+  trackCleanupPath(outputPath);
+  const result = await runCommand(ffmpegPath, [
+    '-y',
+    '-i', sourcePath,
+    '-i', extensionPath,
+    '-filter_complex', filters.join(';'),
+    '-map', '[v]',
+    ...(withAudio ? ['-map', '[a]', '-c:a', 'aac'] : []),
+    '-c:v', 'libx264',
+    '-pix_fmt', 'yuv420p',
+    outputPath
+  ]);
+  releaseCleanupPath(outputPath);
+  if (result.error || result.status !== 0 || !isNonEmptyFile(outputPath)) {
+    const err = new Error('ffmpeg failed to append the extension.');
+    err.code = 'FFMPEG_FAILED';
+    err.details = { sourcePath, extensionPath, outputPath, status: result.status ?? null };
+    throw err;
+  }
+}
 
-  const onCompleted = (data) => {
-    if (projectId && data.projectId !== projectId) return;
-    if (!projectId) projectId = data.projectId;
-    const jobData = data.job?.data || {};
-    results.push({
-      imageUrl: data.imageUrl,
-      seed: jobData.seed,
-      jobIndex: data.jobIndex,
-      projectId: data.projectId
-    });
-    completed++;
-    log(`Image ${completed}/${expectedCount}${label ? ` (${label})` : ''} completed`);
-    if (completed >= expectedCount) {
-      cleanup();
-      resolvePromise({ results, projectId });
-    }
-  };
+/**
+ * Replaces the audio of `videoPath` with `audioPath`, starting `offset` seconds
+ * into the track. `fit` decides what happens when the lengths differ: trim cuts
+ * the track at the end of the video, loop repeats it to fill the video, pad
+ * holds the last video frame until the track ends. Writes in place when
+ * `outputPath` is the input video.
+ */
+async function muxAudioIntoVideo(videoPath, audioPath, outputPath, { offset = 0, fit = 'trim' } = {}) {
+  sanitizePath(videoPath, 'video path');
+  sanitizePath(audioPath, 'audio path');
+  sanitizePath(outputPath, '--output path');
+  const ffmpegPath = await ensureFfmpegAvailable();
+  const { duration: videoDuration } = await probeMediaFile(videoPath);
+  let padSeconds = 0;
+  if (fit === 'pad' && videoDuration) {
+    const { duration: audioDuration } = await probeMediaFile(audioPath);
+    padSeconds = Math.max(0, (audioDuration ?? 0) - offset - videoDuration);
+  }
+  const padding = padSeconds > 0;
+  const ext = extname(outputPath) || '.mp4';
+  const tempPath = trackCleanupPath(`${outputPath.slice(0, outputPath.length - extname(outputPath).length)}.mux${ext}`);
+  const args = [
+    '-y',
+    '-i', videoPath,
+    ...(fit === 'loop' ? ['-stream_loop', '-1'] : []),
+    ...(offset > 0 ? ['-ss', String(offset)] : []),
+    '-i', audioPath,
+    ...(padding
+      ? ['-filter_complex', `[0:v]tpad=stop_mode=clone:stop_duration=${padSeconds.toFixed(3)}[v]`, '-map', '[v]']
+      : ['-map', '0:v:0']),
+    '-map', '1:a:0',
+    ...(padding ? ['-c:v', 'libx264', '-pix_fmt', 'yuv420p'] : ['-c:v', 'copy']),
+    '-c:a', 'aac',
+    ...(padding || !videoDuration ? ['-shortest'] : ['-t', String(videoDuration)]),
+    tempPath
+  ];
+  const result = await runCommand(ffmpegPath, args);
+  if (result.error || result.status !== 0 || !isNonEmptyFile(tempPath)) {
+    rmSync(tempPath, { force: true });
+    releaseCleanupPath(tempPath);
+    const err = new Error('ffmpeg failed to mux the audio track.');
+    err.code = 'FFMPEG_FAILED';
+    err.details = { videoPath, audioPath, outputPath, status: result.status ?? null };
+    throw err;
+  }
+  renameSync(tempPath, outputPath);
+  releaseCleanupPath(tempPath);
+}
 
-  const onFailed = (data) => {
-    if (projectId && data.projectId !== projectId) return;
-    if (!projectId) projectId = data.projectId;
-    cleanup();
-    rejectPromise(new Error(data.error || 'Job failed'));
-  };
+/**
+ * Copies `length` seconds (null: to the end) of `audioPath` from `start` into
+ * `outputPath` (AAC).
+ */
+async function extractAudioSegment(audioPath, start, length, outputPath) {
+  sanitizePath(audioPath, 'audio path');
+  sanitizePath(outputPath, 'audio segment path');
+  const ffmpegPath = await ensureFfmpegAvailable();
+  const result = await runCommand(ffmpegPath, [
+    '-y',
+    '-ss', String(start),
+    ...(length ? ['-t', String(length)] : []),
+    '-i', audioPath,
+    '-vn',
+    '-c:a', 'aac',
+    outputPath
+  ]);
+  if (result.error || result.status !== 0 || !isNonEmptyFile(outputPath)) {
+    const err = new Error('ffmpeg failed to cut the audio segment.');
+    err.code = 'FFMPEG_FAILED';
+    err.details = { audioPath, start, length, status: result.status ?? null };
+    throw err;
+  }
+}
 
-  const cleanup = () => {
-    clearTimeout(timeout);
-    removeClientListener(client, ClientEvent.JOB_COMPLETED, onCompleted);
-    removeClientListener(client, ClientEvent.JOB_FAILED, onFailed);
-  };
+/**
+ * Re-encodes `length` seconds of `videoPath` from `start` at `width`x`height`
+ * (scaled to cover, then center-cropped) and `fps`, without audio, for upload
+ * as a reference video.
+ */
+async function transcodeReferenceVideo(videoPath, outputPath, { start, length, width, height, fps }) {
+  sanitizePath(videoPath, '--ref-video');
+  sanitizePath(outputPath, 'reference video path');
+  const ffmpegPath = await ensureFfmpegAvailable();
+  const result = await runCommand(ffmpegPath, [
+    '-y',
+    '-ss', String(start),
+    ...(length ? ['-t', String(length)] : []),
+    '-i', videoPath,
+    '-vf', `scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},fps=${fps}`,
+    '-an',
+    '-c:v', 'libx264',
+    '-pix_fmt', 'yuv420p',
+    outputPath
+  ]);
+  if (result.error || result.status !== 0 || !isNonEmptyFile(outputPath)) {
+    const err = new Error('ffmpeg failed to prepare the reference video.');
+    err.code = 'FFMPEG_FAILED';
+    err.details = { videoPath, start, length, status: result.status ?? null };
+    throw err;
+  }
+}
 
-  const timeout = setTimeout(() => {
-    cleanup();
-    rejectPromise(new Error(`Timeout after ${timeoutMs / 1000}s`));
-  }, timeoutMs);
+function buildRangeError(flag, start, sourceDuration) {
+  const err = new Error(`${flag} ${start}s is past the end of the ${sourceDuration.toFixed(1)}s source.`);
+  err.code = 'INVALID_RANGE';
+  err.details = { flag, start, sourceDuration };
+  return err;
+}
 
-  client.on(ClientEvent.JOB_COMPLETED, onCompleted);
-  client.on(ClientEvent.JOB_FAILED, onFailed);
+/**
+ * Cuts --ref-video to --ref-video-start/--ref-video-end (and to the render
+ * duration), scaled to fit the render size within the API's video size limits
+ * at no more than the render fps; a source already within those limits is
+ * uploaded untouched.
+ */
+async function prepareReferenceVideo(opts, tempDir) {
+  const probe = await probeMediaFile(opts.refVideo);
+  if (!probe.hasVideo || !probe.width || !probe.height) {
+    const err = new Error(`${opts.refVideo} has no video stream.`);
+    err.code = 'INVALID_VIDEO';
+    throw err;
+  }
+  const start = opts.refVideoStart ?? 0;
+  if (probe.duration && start >= probe.duration) throw buildRangeError('--ref-video-start', start, probe.duration);
+  const renderDuration = opts.frames ? opts.frames / opts.fps : opts.duration;
+  const end = Math.min(opts.refVideoEnd ?? Infinity, probe.duration ?? Infinity, start + renderDuration);
+  const scale = Math.min(1, opts.width / probe.width, opts.height / probe.height);
+  const { width, height } = normalizeVideoDimensionsLikeWrapper(probe.width * scale, probe.height * scale);
+  const fps = probe.fps ? Math.min(probe.fps, opts.fps) : opts.fps;
+  const source = { width: probe.width, height: probe.height, fps: probe.fps, duration: probe.duration };
+  const untouched = start === 0 && end >= (probe.duration ?? Infinity) &&
+    width === probe.width && height === probe.height && probe.fps && probe.fps <= opts.fps;
+  if (untouched) {
+    return { path: opts.refVideo, range: { start, end, width: probe.width, height: probe.height, fps: probe.fps, transcoded: false, source } };
+  }
+  const path = join(tempDir, 'ref-video.mp4');
+  await transcodeReferenceVideo(opts.refVideo, path, { start, length: end - start, width, height, fps });
+  return { path, range: { start, end, width, height, fps, transcoded: true, source } };
+}
 
-  try {
-    const projectResult = await client.createImageEditProject(editConfig);
-    projectId = projectResult?.project?.id || projectId;
+/**
+ * Cuts --ref-audio to --ref-audio-start/--ref-audio-end.
+ */
+async function prepareReferenceAudio(opts, tempDir) {
+  const { duration } = await probeMediaFile(opts.refAudio);
+  const start = opts.refAudioStart ?? 0;
+  if (duration && start >= duration) throw buildRangeError('--ref-audio-start', start, duration);
+  const end = Math.min(opts.refAudioEnd ?? Infinity, duration ?? Infinity);
+  const path = join(tempDir, 'ref-audio.m4a');
+  await extractAudioSegment(opts.refAudio, start, Number.isFinite(end) ? end - start : null, path);
+  return { path, range: { start, end: Number.isFinite(end) ? end : null, sourceDuration: duration } };
+}
 
-    // Check for errors in the response (e.g., insufficient tokens)
-    if (projectResult?.error || projectResult?.message) {
-      cleanup();
-      throw new Error(projectResult.error || projectResult.message);
-    }
-    if (!projectId) {
-      cleanup();
-      throw new Error('Failed to create project: no project ID returned');
-    }
+/**
+ * Prepares reference media before upload: --ref-video is trimmed, downscaled
+ * and fps-normalized; --ref-audio is trimmed when a range is given. Without
+ * ffmpeg or ffprobe an untrimmed --ref-video is uploaded as-is. Returns
+ * `{ tempDir, uploads, ranges }`, or null when nothing needed preparing.
+ */
+async function prepareReferenceMedia(opts, log) {
+  const wantsVideo = Boolean(opts.refVideo) && !opts.estimateCost && !opts.estimateVideoCost;
+  const wantsAudio = Boolean(opts.refAudio) && (opts.refAudioStart !== null || opts.refAudioEnd !== null);
+  const videoTrimmed = opts.refVideoStart !== null || opts.refVideoEnd !== null;
+  if (!wantsVideo && !wantsAudio) return null;
+  try {
+    await ensureFfmpegAvailable();
   } catch (error) {
-    cleanup();
-    throw error;
+    if (wantsAudio || videoTrimmed || error.code !== 'MISSING_FFMPEG') throw error;
+    log('Warning: ffmpeg is not available; uploading --ref-video without downscaling.');
+    return null;
+  }
+  const prepared = { tempDir: createTempDir('sogni-refs-'), uploads: {}, ranges: {} };
+  if (wantsVideo) {
+    try {
+      const { path, range } = await prepareReferenceVideo(opts, prepared.tempDir);
+      prepared.uploads.video = path;
+      prepared.ranges.video = range;
+      if (range.transcoded) {
+        log(`Reference video: ${range.start}-${range.end.toFixed(2)}s at ${range.width}x${range.height} ${range.fps} fps.`);
+      }
+    } catch (error) {
+      if (videoTrimmed || error.code !== 'MISSING_FFPROBE') throw error;
+      log('Warning: ffprobe is not available; uploading --ref-video without downscaling.');
+    }
+  }
+  if (wantsAudio) {
+    const { path, range } = await prepareReferenceAudio(opts, prepared.tempDir);
+    prepared.uploads.audio = path;
+    prepared.ranges.audio = range;
+  }
+  if (Object.keys(prepared.uploads).length === 0) {
+    removeTempDir(prepared.tempDir);
+    return null;
   }
+  return prepared;
+}
 
-  return completionPromise;
+// Length of the --ref-audio that gets uploaded: the trimmed range, else probed.
+async function readRefAudioDuration(opts) {
+  const range = opts._referenceMedia?.ranges.audio;
+  if (range && range.end !== null) return range.end - range.start;
+  return (await probeMediaFile(referenceUpload(opts, 'audio'))).duration;
 }
 
-async function runMultiAngleFlow(client, log) {
-  const contextBuffer = await fetchMediaBuffer(options.contextImages[0]);
-  const azimuths = options.angles360
-    ? MULTI_ANGLE_AZIMUTHS.map((a) => a.key)
-    : [options.azimuth];
-  const modelDefaults = getModelDefaults(options.model, openclawConfig);
+// The file to upload for --ref-audio/--ref-video: the prepared copy when there is one.
+function referenceUpload(opts, kind) {
+  return opts._referenceMedia?.uploads[kind] ?? (kind === 'audio' ? opts.refAudio : opts.refVideo);
+}
+
+/**
+ * s2v/ia2v/a2v: sets `duration` to the --ref-audio length, rounded up, unless
+ * --duration or --frames was given. Audio longer than the model can render in
+ * one clip fails with AUDIO_TOO_LONG. Without ffprobe the configured duration
+ * is kept. Returns `{ audioDuration, duration, maxDuration }` when applied.
+ */
+async function applyRefAudioDuration(opts, log) {
+  if (!opts.video || !opts.refAudio || !AUDIO_VIDEO_WORKFLOWS.includes(opts.videoWorkflow)) return null;
+  if (opts.longAudio || cliSet.duration || cliSet.frames) return null;
+  let audioDuration;
+  try {
+    audioDuration = await readRefAudioDuration(opts);
+  } catch (error) {
+    if (error.code !== 'MISSING_FFPROBE' && error.code !== 'FFPROBE_FAILED') throw error;
+    log(`Warning: could not read the --ref-audio length (${error.message}); using ${opts.duration}s.`);
+    return null;
+  }
+  if (!audioDuration) return null;
+  const maxDuration = maxVideoDurationFor(opts.model);
+  const duration = Math.max(1, Math.ceil(audioDuration));
+  if (duration > maxDuration) {
+    const err = new Error(`--ref-audio is ${audioDuration.toFixed(1)}s long; ${opts.model} renders at most ${maxDuration}s per clip.`);
+    err.code = 'AUDIO_TOO_LONG';
+    err.details = { refAudio: opts.refAudio, audioDuration, maxDuration, model: opts.model };
+    err.hint = opts.videoWorkflow === 's2v'
+      ? `Trim the audio, or pass --duration ${maxDuration} to render only its first ${maxDuration}s.`
+      : `Add --long-audio to render it as chained ${maxDuration}s segments, or pass --duration ${maxDuration} to render only its first ${maxDuration}s.`;
+    throw err;
+  }
+  opts.duration = duration;
+  log(`Duration set to ${duration}s from --ref-audio (${audioDuration.toFixed(2)}s).`);
+  return { audioDuration, duration, maxDuration };
+}
+
+/**
+ * --long-audio: splits the --ref-audio length into equal whole-second chunks no
+ * longer than the model maximum (or --duration when shorter), so the joined
+ * clips stay in sync with the original track.
+ */
+async function planLongAudioSegments(opts) {
+  await ensureFfmpegAvailable();
+  const audioDuration = await readRefAudioDuration(opts);
+  if (!audioDuration) {
+    const err = new Error(`Could not read the length of ${opts.refAudio}.`);
+    err.code = 'FFPROBE_FAILED';
+    err.details = { refAudio: opts.refAudio };
+    throw err;
+  }
+  const maxDuration = maxVideoDurationFor(opts.model);
+  const limit = cliSet.duration ? Math.min(opts.duration, maxDuration) : maxDuration;
+  const segmentDuration = Math.ceil(audioDuration / Math.ceil(audioDuration / limit));
+  const segments = [];
+  for (let start = 0; start < audioDuration - 0.05; start += segmentDuration) {
+    const length = Math.min(segmentDuration, audioDuration - start);
+    segments.push({ start, length, duration: Math.max(1, Math.ceil(length)) });
+  }
+  return { audioDuration, segmentDuration, maxDuration, segments };
+}
+
+/**
+ * The soundtrack to mux into saved videos: --mux-audio, else the --ref-audio an
+ * s2v/ia2v/a2v render was driven by (unless --no-mux-audio).
+ */
+function resolveSoundtrack(opts = options) {
+  if (!opts.video || opts.noMuxAudio) return null;
+  if (opts.muxAudio) return { track: opts.muxAudio, source: 'mux-audio', offset: opts.audioOffset, fit: opts.audioFit };
+  if (opts.refAudio && AUDIO_VIDEO_WORKFLOWS.includes(opts.videoWorkflow)) {
+    // The original track, skipping whatever --ref-audio-start cut from the upload.
+    const offset = opts.audioOffset + (opts._referenceMedia?.ranges.audio?.start ?? 0);
+    return { track: opts.refAudio, source: 'ref-audio', offset, fit: opts.audioFit };
+  }
+  return null;
+}
+
+// Muxes `soundtrack` into every saved video; URL tracks are downloaded once first.
+async function attachSoundtrack(videoPaths, soundtrack, log) {
+  let tempDir = null;
+  let trackPath = soundtrack.track;
+  try {
+    if (/^https?:\/\//i.test(trackPath)) {
+      tempDir = createTempDir('sogni-mux-');
+      trackPath = join(tempDir, basename(new URL(trackPath).pathname) || 'track');
+      writeFileSync(trackPath, await fetchMediaBuffer(soundtrack.track));
+    } else if (!existsSync(sanitizePath(trackPath, 'audio path'))) {
+      const err = new Error(`Audio file not found: ${trackPath}`);
+      err.code = 'FILE_NOT_FOUND';
+      throw err;
+    }
+    for (const videoPath of videoPaths) {
+      await muxAudioIntoVideo(videoPath, trackPath, videoPath, soundtrack);
+      log(`Muxed ${soundtrack.source === 'ref-audio' ? 'reference audio' : 'audio track'} into ${videoPath}`);
+    }
+  } finally {
+    if (tempDir) removeTempDir(tempDir);
+  }
+}
+
+/**
+ * Deadlines for one submission: --max-runtime from the start, --queue-timeout
+ * from `submitted()` until the first progress, and --idle-timeout between
+ * `progress()` calls. Without --max-runtime, `timeoutMs` is the hard deadline
+ * unless an idle or queue timeout is set; then it only bounds the wait for the
+ * first progress when --queue-timeout is unset. Calls `onExpire(error)` once;
+ * the messages mention "timeout" so --retries treats them as transient.
+ */
+function startProgressWatchdog(timeoutMs, onExpire) {
+  let stageTimer = null;
+  const expire = (message) => {
+    stop();
+    onExpire(new Error(message));
+  };
+  const stalledOnly = !options.maxRuntime && Boolean(options.idleTimeout || options.queueTimeout);
+  const deadlineMs = stalledOnly ? null : options.maxRuntime ?? timeoutMs;
+  const deadlineTimer = deadlineMs ? setTimeout(() => {
+    expire(`Timeout after ${deadlineMs / 1000}s${options.maxRuntime ? ' (--max-runtime)' : ''}`);
+  }, deadlineMs) : null;
+  const armStage = (ms, message) => {
+    clearTimeout(stageTimer);
+    stageTimer = ms ? setTimeout(() => expire(message), ms) : null;
+  };
+  function stop() {
+    clearTimeout(deadlineTimer);
+    clearTimeout(stageTimer);
+  }
+  let progressed = false;
+  return {
+    submitted() {
+      if (!progressed) {
+        const queueMs = options.queueTimeout ?? (stalledOnly ? timeoutMs : null);
+        armStage(queueMs, `Queue timeout: no progress within ${queueMs / 1000}s of submission`);
+      }
+    },
+    progress() {
+      progressed = true;
+      armStage(options.idleTimeout, `Idle timeout: no progress for ${options.idleTimeout / 1000}s`);
+    },
+    stop
+  };
+}
+
+/**
+ * Creates one project via `createProject()` and resolves with its results once
+ * `expectedCount` jobs complete, resubmitting transient failures per --retries
+ * (the result's `attempts` lists every submission).
+ */
+async function runProjectWithEvents(client, createProject, { expectedCount, log, timeoutMs, label, mediaLabel = 'Image' }) {
+  const { value, attempts } = await runWithRetries(
+    () => runProjectAttempt(client, createProject, { expectedCount, log, timeoutMs, label, mediaLabel }),
+    { client, label, log }
+  );
+  return { ...value, attempts };
+}
+
+/**
+ * One submission for runProjectWithEvents(). Events are routed by project ID so
+ * several projects can share one client; events that arrive before the create
+ * call returns the ID are buffered and replayed.
+ */
+async function runProjectAttempt(client, createProject, { expectedCount, log, timeoutMs, label, mediaLabel }) {
+  const results = [];
+  let completed = 0;
+  let projectId = null;
+  const pending = [];
+
+  let resolvePromise;
+  let rejectPromise;
+  const completionPromise = new Promise((resolve, reject) => {
+    resolvePromise = resolve;
+    rejectPromise = reject;
+  });
+
+  const handleCompleted = (data) => {
+    const jobData = data.job?.data || {};
+    results.push({
+      imageUrl: data.imageUrl,
+      videoUrl: data.videoUrl,
+      seed: jobData.seed,
+      jobIndex: data.jobIndex,
+      projectId: data.projectId
+    });
+    completed++;
+    log(`${mediaLabel} ${completed}/${expectedCount}${label ? ` (${label})` : ''} completed`);
+    if (completed >= expectedCount) {
+      cleanup();
+      resolvePromise({ results, projectId });
+    } else {
+      watchdog.progress();
+    }
+  };
+
+  const handleFailed = (data) => {
+    cleanup();
+    const err = new Error(data.error || 'Job failed');
+    err.projectId = projectId;
+    rejectPromise(err);
+  };
+
+  const route = (handler) => (data) => {
+    if (!projectId) {
+      pending.push(() => data.projectId === projectId && handler(data));
+      return;
+    }
+    if (data.projectId !== projectId) return;
+    handler(data);
+  };
+  const onCompleted = route(handleCompleted);
+  const onFailed = route(handleFailed);
+  const onProgress = route(() => watchdog.progress());
+
+  const cleanup = () => {
+    watchdog.stop();
+    untrackProject(projectId);
+    removeClientListener(client, ClientEvent.JOB_COMPLETED, onCompleted);
+    removeClientListener(client, ClientEvent.JOB_FAILED, onFailed);
+    removeClientListener(client, ClientEvent.PROJECT_PROGRESS, onProgress);
+  };
+
+  const watchdog = startProgressWatchdog(timeoutMs, (err) => {
+    cleanup();
+    err.projectId = projectId;
+    rejectPromise(err);
+  });
+
+  client.on(ClientEvent.JOB_COMPLETED, onCompleted);
+  client.on(ClientEvent.JOB_FAILED, onFailed);
+  client.on(ClientEvent.PROJECT_PROGRESS, onProgress);
+
+  try {
+    const projectResult = await createProject();
+    projectId = projectResult?.project?.id || null;
+    trackProject(client, projectId);
+
+    // Check for errors in the response (e.g., insufficient tokens)
+    if (projectResult?.error || projectResult?.message) {
+      throw new Error(projectResult.error || projectResult.message);
+    }
+    if (!projectId) {
+      throw new Error('Failed to create project: no project ID returned');
+    }
+  } catch (error) {
+    cleanup();
+    throw error;
+  }
+
+  watchdog.submitted();
+  pending.splice(0).forEach((replay) => replay());
+  return completionPromise;
+}
+
+async function runImageEditProjectWithEvents(client, editConfig, expectedCount, log, timeoutMs, label) {
+  return runProjectWithEvents(client, () => client.createImageEditProject(editConfig), {
+    expectedCount,
+    log,
+    timeoutMs,
+    label
+  });
+}
+
+async function runMultiAngleFlow(client, log) {
+  if (!options.angles360Video) {
+    return runMultiAngleRender(client, log, null);
+  }
+  const jobState = startJobState('angles-360-video');
+  return runWithJobState(jobState, () => runMultiAngleRender(client, log, jobState));
+}
+
+async function runMultiAngleRender(client, log, jobState) {
+  const contextBuffer = await fetchMediaBuffer(options.contextImages[0]);
+  const azimuths = options.angles360
+    ? MULTI_ANGLE_AZIMUTHS.map((a) => a.key)
+    : [options.azimuth];
+  const modelDefaults = getModelDefaults(options.model, openclawConfig);
   const steps = options.steps ?? modelDefaults?.steps ?? (options.model.includes('lightning') ? 4 : 20);
   const guidance = options.guidance ?? modelDefaults?.guidance ?? (options.model.includes('lightning') ? 1.0 : 4.0);
 
-  let outputConfig = resolveMultiAngleOutputConfig(options.output, options.outputFormat);
+  // Templates expand once per run here; per-azimuth names are derived from the result below.
+  const outputTemplateVars = buildOutputTemplateVars(options, {
+    azimuth: options.angles360 ? '360' : options.azimuth
+  });
+  const outputPath = expandOutputTemplate(options.output, outputTemplateVars);
+  let outputConfig = resolveMultiAngleOutputConfig(outputPath, options.outputFormat);
   let tempOutputDir = null;
-  if (options.output && !outputConfig && !options.quiet) {
+  if (outputPath && !outputConfig && !options.quiet) {
     console.error('Warning: Could not resolve output path for multi-angle output.');
   }
   if (options.angles360Video && !outputConfig) {
-    tempOutputDir = mkdtempSync(join(tmpdir(), 'sogni-angles-'));
+    // Frames live with the job state so a resumed run can reuse them.
+    tempOutputDir = join(jobState.dir, 'frames');
     outputConfig = {
       dir: tempOutputDir,
       prefix: 'angles-360',
@@ -2217,13 +4287,14 @@ async function runMultiAngleFlow(client, log) {
   let videoOutputPath = null;
   if (options.angles360Video) {
     if (typeof options.angles360Video === 'string') {
-      videoOutputPath = options.angles360Video;
-    } else if (options.output && outputConfig && outputConfig.ext === 'mp4') {
-      videoOutputPath = options.output;
-    } else if (outputConfig) {
+      videoOutputPath = expandOutputTemplate(options.angles360Video, { ...outputTemplateVars, ext: 'mp4' });
+    } else if (outputPath && outputConfig && outputConfig.ext === 'mp4') {
+      videoOutputPath = outputPath;
+    } else if (outputConfig && !tempOutputDir) {
       const baseName = outputConfig.prefix ? outputConfig.prefix : 'angles-360';
       videoOutputPath = join(outputConfig.dir, `${baseName}.mp4`);
     } else {
+      // Without -o the frames live in the job dir, which is removed on success.
       videoOutputPath = join(process.cwd(), 'angles-360.mp4');
     }
     if (!videoOutputPath.toLowerCase().endsWith('.mp4')) {
@@ -2239,15 +4310,32 @@ async function runMultiAngleFlow(client, log) {
     }
   }
 
-  const angleResults = [];
-  const videoFrames = [];
-  for (const azimuth of azimuths) {
+  // Angles render on the shared client, up to --concurrency at a time.
+  const angleRenders = await runWithConcurrency(azimuths, options.concurrency, async (azimuth) => {
     const prompt = buildMultiAnglePrompt({
       azimuth,
       elevation: options.elevation,
       distance: options.distance,
       description: options.angleDescription
     });
+    const savedFrame = jobState?.frames?.[azimuth];
+    if (savedFrame?.paths?.length > 0 && savedFrame.paths.every((framePath) => isNonEmptyFile(framePath))) {
+      log(`Reusing ${azimuth} frame from job ${jobState.id}`);
+      return {
+        framePath: savedFrame.paths[0],
+        paths: savedFrame.paths,
+        angle: {
+          azimuth,
+          elevation: options.elevation,
+          distance: options.distance,
+          prompt,
+          urls: savedFrame.urls,
+          seeds: savedFrame.seeds,
+          attempts: savedFrame.attempts ?? null,
+          ...(!tempOutputDir ? { localPaths: savedFrame.paths } : {})
+        }
+      };
+    }
     const editConfig = {
       modelId: options.model,
       positivePrompt: prompt,
@@ -2261,6 +4349,12 @@ async function runMultiAngleFlow(client, log) {
       waitForCompletion: false,
       disableNSFWFilter: true
     };
+    if (options.negativePrompt) {
+      editConfig.negativePrompt = options.negativePrompt;
+    }
+    if (options.stylePrompt) {
+      editConfig.stylePrompt = options.stylePrompt;
+    }
     if (options.outputFormat) {
       editConfig.outputFormat = options.outputFormat;
     }
@@ -2280,7 +4374,7 @@ async function runMultiAngleFlow(client, log) {
       editConfig.seed = options.seed;
     }
 
-    const { results } = await runImageEditProjectWithEvents(
+    const { results, attempts } = await runImageEditProjectWithEvents(
       client,
       editConfig,
       options.count,
@@ -2291,29 +4385,55 @@ async function runMultiAngleFlow(client, log) {
     const urls = results.map((r) => r.imageUrl).filter(Boolean);
     const seeds = results.map((r) => r.seed ?? options.seed);
 
+    const anglePaths = [];
     if (outputConfig) {
       const safeAzimuth = azimuth.replace(/[^a-z0-9-]/gi, '-');
+      const prefix = outputConfig.prefix ? `${outputConfig.prefix}-` : '';
+      const basePath = join(outputConfig.dir, `${prefix}${safeAzimuth}.${outputConfig.ext}`);
       for (let i = 0; i < urls.length; i++) {
-        const suffix = urls.length > 1 ? `-${i + 1}` : '';
-        const prefix = outputConfig.prefix ? `${outputConfig.prefix}-` : '';
-        const filename = `${prefix}${safeAzimuth}${suffix}.${outputConfig.ext}`;
-        const filePath = join(outputConfig.dir, filename);
-        await downloadUrlToFile(urls[i], filePath);
-        if (options.angles360Video && i === 0) {
-          videoFrames.push(filePath);
+        const filePath = buildIndexedOutputPath(basePath, i, urls.length);
+        let buffer = await downloadUrlToBuffer(urls[i]);
+        if (options.embedMetadata && !tempOutputDir) {
+          buffer = await embedImageMetadata(buffer, buildEmbeddedMetadata(options, {
+            seed: seeds[i],
+            steps,
+            guidance,
+            azimuth,
+            angles360: options.angles360 || null,
+            elevation: options.elevation,
+            distance: options.distance,
+            angleDescription: options.angleDescription
+          }), log);
         }
+        writeFileSync(filePath, buffer);
+        anglePaths.push(filePath);
       }
     }
+    if (jobState) {
+      jobState.frames = { ...jobState.frames, [azimuth]: { urls, seeds, paths: anglePaths, attempts } };
+      saveJobState(jobState);
+    }
 
-    angleResults.push({
-      azimuth,
-      elevation: options.elevation,
-      distance: options.distance,
-      prompt,
-      urls,
-      seeds
-    });
-  }
+    return {
+      framePath: anglePaths[0] ?? null,
+      paths: anglePaths,
+      angle: {
+        azimuth,
+        elevation: options.elevation,
+        distance: options.distance,
+        prompt,
+        urls,
+        seeds,
+        attempts,
+        ...(anglePaths.length > 0 && !tempOutputDir ? { localPaths: anglePaths } : {})
+      }
+    };
+  }, log);
+  const angleResults = angleRenders.map((render) => render.angle);
+  const videoFrames = options.angles360Video
+    ? angleRenders.map((render) => render.framePath).filter(Boolean)
+    : [];
+  const localPaths = tempOutputDir ? [] : angleRenders.flatMap((render) => render.paths);
 
   const renderInfo = {
     timestamp: new Date().toISOString(),
@@ -2325,16 +4445,27 @@ async function runMultiAngleFlow(client, log) {
     tokenType: options.tokenType || 'spark',
     seed: options.seed,
     seedStrategy: options.seedStrategy || null,
+    negativePrompt: options.negativePrompt || null,
+    stylePrompt: options.stylePrompt || null,
     outputFormat: options.outputFormat || null,
     sampler: options.sampler || null,
     scheduler: options.scheduler || null,
     loras: options.loras.length > 0 ? options.loras : null,
     loraStrengths: options.loraStrengths.length > 0 ? options.loraStrengths : null,
-    angles: angleResults,
-    localPath: options.output || null
+    steps,
+    guidance,
+    contextImages: options.contextImages.slice(0, 1),
+    elevation: options.elevation,
+    distance: options.distance,
+    angleDescription: options.angleDescription || null,
+    ...(options.angles360 ? {} : { azimuth: options.azimuth }),
+    angles: angleResults.map(({ attempts, ...angle }) => angle),
+    localPath: outputPath || null,
+    localPaths
   };
 
   let videoModelId = null;
+  let videoSegmentAttempts = null;
   if (videoOutputPath) {
     if (videoFrames.length === 0) {
       const err = new Error('No local frames available to assemble 360 video.');
@@ -2342,7 +4473,8 @@ async function runMultiAngleFlow(client, log) {
       err.hint = 'Ensure the frames were downloaded locally (provide --output dir or check permissions).';
       throw err;
     }
-    const clipDir = mkdtempSync(join(tmpdir(), 'sogni-angles-clips-'));
+    const clipDir = join(jobState.dir, 'clips');
+    mkdirSync(clipDir, { recursive: true });
     videoModelId = options.videoModel || openclawConfig?.videoModels?.i2v || VIDEO_WORKFLOW_DEFAULT_MODELS.i2v;
     const videoDefaults = getModelDefaults(videoModelId, openclawConfig);
     const videoSteps = options.steps ?? videoDefaults?.steps;
@@ -2356,233 +4488,2172 @@ async function runMultiAngleFlow(client, log) {
       segmentDuration = Math.max(1, Math.round(options.duration / segmentCount));
     }
     const videoPrompt = options.angleDescription || options.prompt || 'smooth camera rotation';
-    const clipPaths = [];
-
-    for (let i = 0; i < videoFrames.length; i++) {
-      const startPath = videoFrames[i];
-      const endPath = videoFrames[(i + 1) % videoFrames.length];
-
-      // Validate i2v reference resizing constraints for this clip
-      let startBuffer = readFileSync(startPath);
-      let endBuffer = readFileSync(endPath);
-      const startDims = getImageDimensionsFromBuffer(startBuffer);
-      let clipWidth = options.width;
-      let clipHeight = options.height;
-      let needsResize = false;
-
-      if (startDims?.width && startDims?.height) {
-        const predicted = predictSharpInsideResizeDims(startDims.width, startDims.height, clipWidth, clipHeight);
-        if (predicted && (predicted.width % VIDEO_DIMENSION_MULTIPLE !== 0 || predicted.height % VIDEO_DIMENSION_MULTIPLE !== 0)) {
-          // The resized reference won't be divisible by 16, need to adjust
-          const candidate = pickCompatibleI2vBoundingBox(startDims.width, startDims.height, clipWidth, clipHeight);
-          if (!candidate) {
-            // No perfect match - will pre-resize the reference frames
-            needsResize = true;
+    const segments = await renderI2vSegments(client, videoFrames.map((framePath) => readFileSync(framePath)), {
+      closeLoop: true,
+      modelId: videoModelId,
+      prompt: videoPrompt,
+      steps: videoSteps,
+      guidance: videoGuidance,
+      segmentDuration,
+      segmentFrames,
+      clipDir,
+      label: '360 video',
+      jobState,
+      log
+    });
+
+    videoSegmentAttempts = segments.map((segment) => segment.attempts);
+    await buildConcatVideoFromClips(videoOutputPath, segments.map((segment) => segment.clipPath));
+    if (options.embedMetadata) {
+      await embedVideoMetadata(videoOutputPath, buildEmbeddedMetadata(options, {
+        type: 'video',
+        workflow: 'angles-360-video',
+        steps,
+        guidance,
+        angles360: true,
+        elevation: options.elevation,
+        distance: options.distance,
+        angleDescription: options.angleDescription,
+        videoModel: videoModelId,
+        fps: options.fps
+      }), log);
+    }
+    if (!options.quiet) {
+      console.error(`Saved 360 video: ${videoOutputPath}`);
+    }
+  }
+  if (videoOutputPath) {
+    renderInfo.videoPath = videoOutputPath;
+    renderInfo.videoModel = videoModelId;
+  }
+  if (options.rerun) renderInfo.rerunOf = options.rerun;
+  saveLastRender(renderInfo);
+
+  if (options.json) {
+    console.log(JSON.stringify({
+      success: true,
+      type: renderInfo.type,
+      historyId: renderInfo.id || null,
+      model: renderInfo.model,
+      width: renderInfo.width,
+      height: renderInfo.height,
+      count: renderInfo.count,
+      tokenType: renderInfo.tokenType,
+      seed: renderInfo.seed,
+      seedStrategy: renderInfo.seedStrategy,
+      negativePrompt: renderInfo.negativePrompt,
+      stylePrompt: renderInfo.stylePrompt,
+      outputFormat: renderInfo.outputFormat,
+      sampler: renderInfo.sampler,
+      scheduler: renderInfo.scheduler,
+      loras: renderInfo.loras,
+      loraStrengths: renderInfo.loraStrengths,
+      videoPath: renderInfo.videoPath || null,
+      videoModel: renderInfo.videoModel || null,
+      ...(videoSegmentAttempts ? { segmentAttempts: videoSegmentAttempts } : {}),
+      localPaths,
+      angles: angleResults,
+      ...(options._tokenFallback ? { tokenFallback: options._tokenFallback } : {})
+    }));
+  } else {
+    if (videoOutputPath) {
+      console.log(`video: ${videoOutputPath}`);
+    }
+    angleResults.forEach((angle) => {
+      angle.urls.forEach((url, index) => {
+        const suffix = angle.urls.length > 1 ? `#${index + 1}` : '';
+        console.log(`${angle.azimuth}${suffix}: ${url}`);
+      });
+    });
+  }
+}
+
+/**
+ * Renders i2v clips between consecutive frames (and from the last frame back to
+ * the first when `closeLoop` is set), fitting the clip size so each resized
+ * reference stays divisible by 16. Returns `{ clipPath, attempts }` per segment
+ * in order (`attempts` is null for segments reused from `jobState`).
+ */
+async function renderI2vSegments(client, frameBuffers, {
+  closeLoop = false,
+  modelId,
+  prompt,
+  steps,
+  guidance,
+  segmentDuration,
+  segmentFrames,
+  clipDir,
+  label,
+  extraConfig = {},
+  jobState = null,
+  log
+}) {
+  const segmentCount = closeLoop ? frameBuffers.length : frameBuffers.length - 1;
+  const timeoutMs = cliSet.timeout
+    ? options.timeout
+    : (Number.isFinite(openclawConfig?.defaultVideoTimeoutSec) ? openclawConfig.defaultVideoTimeoutSec * 1000 : 300000);
+  const segmentIndexes = Array.from({ length: segmentCount }, (_, i) => i);
+
+  // Segments share the client, up to --concurrency at a time; events are routed by project ID.
+  return runWithConcurrency(segmentIndexes, options.concurrency, async (i) => {
+    const savedClip = jobState?.segments?.[i];
+    if (savedClip && isNonEmptyFile(savedClip.clipPath)) {
+      log(`Reusing ${label} segment ${i + 1}/${segmentCount} from job ${jobState.id}`);
+      return { clipPath: savedClip.clipPath, attempts: null };
+    }
+    // Validate i2v reference resizing constraints for this clip
+    let startBuffer = frameBuffers[i];
+    let endBuffer = frameBuffers[(i + 1) % frameBuffers.length];
+    const startDims = getImageDimensionsFromBuffer(startBuffer);
+    let clipWidth = options.width;
+    let clipHeight = options.height;
+    let needsResize = false;
+
+    if (startDims?.width && startDims?.height) {
+      const predicted = predictSharpInsideResizeDims(startDims.width, startDims.height, clipWidth, clipHeight);
+      if (predicted && (predicted.width % VIDEO_DIMENSION_MULTIPLE !== 0 || predicted.height % VIDEO_DIMENSION_MULTIPLE !== 0)) {
+        // The resized reference won't be divisible by 16, need to adjust
+        const candidate = pickCompatibleI2vBoundingBox(startDims.width, startDims.height, clipWidth, clipHeight);
+        if (!candidate) {
+          // No perfect match - will pre-resize the reference frames
+          needsResize = true;
+          if (i === 0 && !options.quiet) {
+            console.error(
+              `${label} reference frames will be pre-resized to div-16 dimensions ` +
+              `because no compatible bounding box exists.`
+            );
+          }
+        } else {
+          // Auto-adjust to compatible size
+          if (!cliSet.width && !cliSet.height && !options.strictSize) {
+            clipWidth = candidate.width;
+            clipHeight = candidate.height;
             if (i === 0 && !options.quiet) {
               console.error(
-                `360 video reference frames will be pre-resized to div-16 dimensions ` +
-                `because no compatible bounding box exists.`
+                `Auto-adjusted ${label} clip size from ${options.width}x${options.height} ` +
+                `to ${clipWidth}x${clipHeight} so resized reference is divisible by 16 ` +
+                `(would have been ${predicted.width}x${predicted.height}).`
               );
             }
-          } else {
-            // Auto-adjust to compatible size
-            if (!cliSet.width && !cliSet.height && !options.strictSize) {
-              clipWidth = candidate.width;
-              clipHeight = candidate.height;
-              if (i === 0 && !options.quiet) {
-                console.error(
-                  `Auto-adjusted 360 video clip size from ${options.width}x${options.height} ` +
-                  `to ${clipWidth}x${clipHeight} so resized reference is divisible by 16 ` +
-                  `(would have been ${predicted.width}x${predicted.height}).`
-                );
+          } else if (options.strictSize) {
+            fatalCliError(
+              `Reference frame ${startDims.width}x${startDims.height} would resize to ${predicted.width}x${predicted.height}, ` +
+              `but both dimensions must be divisible by 16.`,
+              {
+                code: 'INVALID_VIDEO_SIZE',
+                details: {
+                  clipIndex: i + 1,
+                  reference: { width: startDims.width, height: startDims.height },
+                  requested: { width: clipWidth, height: clipHeight },
+                  resized: predicted
+                },
+                hint: `Try: --width ${candidate.width} --height ${candidate.height} (or omit --strict-size)`
               }
-            } else if (options.strictSize) {
-              fatalCliError(
-                `Reference frame ${startDims.width}x${startDims.height} would resize to ${predicted.width}x${predicted.height}, ` +
-                `but both dimensions must be divisible by 16.`,
-                {
-                  code: 'INVALID_VIDEO_SIZE',
-                  details: {
-                    clipIndex: i + 1,
-                    reference: { width: startDims.width, height: startDims.height },
-                    requested: { width: clipWidth, height: clipHeight },
-                    resized: predicted
-                  },
-                  hint: `Try: --width ${candidate.width} --height ${candidate.height} (or omit --strict-size)`
-                }
+            );
+          } else {
+            // User specified explicit dimensions but not --strict-size, auto-adjust anyway
+            clipWidth = candidate.width;
+            clipHeight = candidate.height;
+            if (i === 0 && !options.quiet) {
+              console.error(
+                `Warning: Adjusted ${label} clip size from ${options.width}x${options.height} ` +
+                `to ${clipWidth}x${clipHeight} because resized reference would be ${predicted.width}x${predicted.height} ` +
+                `(not divisible by 16). Use --strict-size to fail instead.`
               );
-            } else {
-              // User specified explicit dimensions but not --strict-size, auto-adjust anyway
-              clipWidth = candidate.width;
-              clipHeight = candidate.height;
-              if (i === 0 && !options.quiet) {
-                console.error(
-                  `Warning: Adjusted 360 video clip size from ${options.width}x${options.height} ` +
-                  `to ${clipWidth}x${clipHeight} because resized reference would be ${predicted.width}x${predicted.height} ` +
-                  `(not divisible by 16). Use --strict-size to fail instead.`
-                );
-              }
             }
           }
         }
       }
+    }
 
-      // Pre-resize reference frames if needed
-      if (needsResize && startDims?.width && startDims?.height) {
-        startBuffer = await resizeImageBufferToDiv16(startBuffer, startDims.width, startDims.height);
-        const endDims = getImageDimensionsFromBuffer(endBuffer);
-        if (endDims?.width && endDims?.height) {
-          endBuffer = await resizeImageBufferToDiv16(endBuffer, endDims.width, endDims.height);
-        }
-        const resizedDims = getImageDimensionsFromBuffer(startBuffer);
-        if (i === 0 && !options.quiet) {
-          console.error(
-            `Pre-resized 360 video frames from ${startDims.width}x${startDims.height} to ${resizedDims.width}x${resizedDims.height} ` +
-            `(divisible by 16) to ensure i2v compatibility.`
-          );
-        }
+    // Pre-resize reference frames if needed
+    if (needsResize && startDims?.width && startDims?.height) {
+      startBuffer = await resizeImageBufferToDiv16(startBuffer, startDims.width, startDims.height);
+      const endDims = getImageDimensionsFromBuffer(endBuffer);
+      if (endDims?.width && endDims?.height) {
+        endBuffer = await resizeImageBufferToDiv16(endBuffer, endDims.width, endDims.height);
+      }
+      const resizedDims = getImageDimensionsFromBuffer(startBuffer);
+      if (i === 0 && !options.quiet) {
+        console.error(
+          `Pre-resized ${label} frames from ${startDims.width}x${startDims.height} to ${resizedDims.width}x${resizedDims.height} ` +
+          `(divisible by 16) to ensure i2v compatibility.`
+        );
       }
+    }
+
+    const clipConfig = {
+      modelId,
+      positivePrompt: prompt,
+      negativePrompt: options.negativePrompt || '',
+      stylePrompt: options.stylePrompt || '',
+      numberOfMedia: 1,
+      referenceImage: startBuffer,
+      referenceImageEnd: endBuffer,
+      fps: options.fps,
+      width: clipWidth,
+      height: clipHeight,
+      tokenType: options.tokenType || 'spark',
+      waitForCompletion: false,
+      disableNSFWFilter: true
+    };
+    if (segmentFrames) {
+      clipConfig.frames = segmentFrames;
+    } else {
+      clipConfig.duration = segmentDuration;
+    }
+    if (steps) {
+      clipConfig.steps = steps;
+    }
+    if (guidance !== null && guidance !== undefined) {
+      clipConfig.guidance = guidance;
+    }
+    Object.assign(clipConfig, extraConfig);
+    if (options.autoResizeVideoAssets !== null) {
+      clipConfig.autoResizeVideoAssets = options.autoResizeVideoAssets;
+    }
+    const { results, projectId, attempts } = await runProjectWithEvents(client, () => client.createVideoProject(clipConfig), {
+      expectedCount: 1,
+      log,
+      timeoutMs,
+      label: `${label} segment ${i + 1}/${segmentCount}`,
+      mediaLabel: 'Video'
+    });
+
+    const clipUrl = results[0]?.videoUrl;
+    if (!clipUrl) {
+      throw new Error(`No video URL returned for ${label} segment.`);
+    }
+    const clipPath = join(clipDir, `segment-${i + 1}.mp4`);
+    await downloadUrlToFile(clipUrl, clipPath);
+    if (jobState) {
+      jobState.segments = { ...jobState.segments, [i]: { clipPath, url: clipUrl, projectId } };
+      saveJobState(jobState);
+    }
+    return { clipPath, attempts };
+  }, log);
+}
+
+/**
+ * Builds a seamless A→B→A loop: renders a return clip from the last frame of
+ * `firstClipBuffer` back to the start image, then concatenates both clips
+ * (with --loop-mode boomerang, plays the first clip in reverse instead).
+ * Both clips are recorded under `jobState.loops[loopIndex]`, so a resumed run
+ * reuses whichever of them already exists.
+ */
+async function saveLoopingVideo(firstClipBuffer, startImageBuffer, outputPath, log, jobState, loopIndex = 0, firstClip = {}) {
+  log('Creating looping video (A→B→A)...');
+  const outputDir = dirname(outputPath);
+  if (outputDir && outputDir !== '.' && !existsSync(outputDir)) mkdirSync(outputDir, { recursive: true });
+
+  const prefix = join(jobState.dir, `loop-${loopIndex + 1}`);
+  const clip1Path = `${prefix}-clip1.mp4`;
+  const lastFramePath = `${prefix}-last-frame.png`;
+  const clip2Path = `${prefix}-clip2.mp4`;
+  const loop = jobState.loops?.[loopIndex] || {};
+  const recordLoop = () => {
+    jobState.loops = { ...jobState.loops, [loopIndex]: loop };
+    saveJobState(jobState);
+  };
+
+  if (!loop.first || !isNonEmptyFile(loop.first.path)) {
+    writeFileSync(clip1Path, firstClipBuffer);
+    loop.first = { ...firstClip, path: clip1Path };
+    recordLoop();
+  }
+
+  if (options.loopMode === 'boomerang') {
+    log('Reversing clip locally (B→A)...');
+    await buildBoomerangVideo(loop.first.path, outputPath);
+    return;
+  }
+
+  if (loop.second && isNonEmptyFile(loop.second.path)) {
+    log('Reusing return clip (B→A) from job state...');
+  } else {
+    log('Extracting last frame...');
+    await extractLastFrameFromVideo(loop.first.path, lastFramePath);
+    const { url, attempts } = await renderLoopReturnClip(readFileSync(lastFramePath), startImageBuffer, clip2Path, log);
+    loop.second = { path: clip2Path, url, attempts };
+    recordLoop();
+  }
+
+  log('Concatenating clips...');
+  await buildConcatVideoFromClips(outputPath, [loop.first.path, loop.second.path]);
+}
+
+/** Renders the B→A return clip of a loop into `clip2Path`; resolves with `{ url, attempts }`. */
+async function renderLoopReturnClip(lastFrameBuffer, startImageBuffer, clip2Path, log) {
+  // Generate second clip (last frame → original image)
+  log('Generating return clip (B→A)...');
+  let clip2Url = null;
+  let clip2Attempts = [];
+
+  // Get model defaults for steps and guidance
+  const modelDefaults2 = getModelDefaults(options.model, openclawConfig);
+  const steps2 = resolveVideoSteps(options.model, modelDefaults2, options.steps);
+  const guidance2 = options.guidance ?? modelDefaults2?.guidance;
+
+  const projectConfig2 = {
+    modelId: options.model,
+    positivePrompt: options.prompt,
+    negativePrompt: options.negativePrompt || '',
+    stylePrompt: options.stylePrompt || '',
+    numberOfMedia: 1,
+    referenceImage: lastFrameBuffer,
+    referenceImageEnd: startImageBuffer,
+    fps: options.fps,
+    width: options.width,
+    height: options.height,
+    tokenType: options.tokenType || 'spark',
+    waitForCompletion: false,
+    disableNSFWFilter: true
+  };
+
+  if (options.frames) projectConfig2.frames = options.frames;
+  else if (options.duration) projectConfig2.duration = options.duration;
+  if (Number.isFinite(steps2)) projectConfig2.steps = steps2;
+  if (guidance2 !== null && guidance2 !== undefined) projectConfig2.guidance = guidance2;
+
+  // Create a new client for second clip to avoid event conflicts
+  const creds = loadCredentials();
+  const client2 = new SogniClientWrapper({
+    network: openclawConfig?.defaultNetwork || 'fast',
+    autoConnect: false,
+    ...(creds.SOGNI_API_KEY
+      ? { apiKey: creds.SOGNI_API_KEY, authType: 'apiKey' }
+      : {
+          username: creds.SOGNI_USERNAME,
+          password: creds.SOGNI_PASSWORD,
+          authType: 'token'
+        })
+  });
+  await client2.connect();
+
+  try {
+    const { results, attempts } = await runProjectWithEvents(client2, () => client2.createVideoProject(projectConfig2), {
+      expectedCount: 1,
+      log,
+      timeoutMs: options.timeout,
+      label: 'return clip (B→A)',
+      mediaLabel: 'Video'
+    });
+    clip2Url = results[0]?.videoUrl;
+    clip2Attempts = attempts;
+    if (!clip2Url) {
+      throw new Error('No video URL returned for second clip.');
+    }
+    await downloadUrlToFile(clip2Url, clip2Path);
+  } finally {
+    untrackClientProjects(client2);
+    try {
+      await client2.disconnect();
+    } catch {
+      // Already disconnected.
+    }
+  }
+  return { url: clip2Url, attempts: clip2Attempts };
+}
+
+/**
+ * Writes one downloaded result, creating parent directories and embedding
+ * `metadata` when given (images before writing, videos after).
+ */
+async function writeResultFile(buffer, filePath, metadata, isVideo, log) {
+  const dir = dirname(filePath);
+  if (dir && dir !== '.' && !existsSync(dir)) mkdirSync(dir, { recursive: true });
+  const data = metadata && !isVideo ? await embedImageMetadata(buffer, metadata, log) : buffer;
+  writeFileSync(filePath, data);
+  log(`Saved to ${filePath}`);
+  if (metadata && isVideo) {
+    await embedVideoMetadata(filePath, metadata, log);
+  }
+}
+
+// --- Retries ---
+
+// Failures that will not go away on resubmission win over the transient patterns.
+const FATAL_FAILURE_PATTERN = /insufficient|balance|funds|nsfw|filtered|safety|content policy|invalid|unauthori[sz]ed|forbidden|not allowed/i;
+const RETRYABLE_FAILURE_PATTERN = /disconnect|network|socket|econnreset|econnrefused|etimedout|eai_again|worker|timed? ?out|unavailable|temporar|\b50[234]\b/i;
+
+function isRetryableFailure(error) {
+  const code = typeof error?.code === 'string' ? error.code : '';
+  // Errors raised with our own codes (INSUFFICIENT_BALANCE, FILE_NOT_FOUND, ...) are never transient.
+  if (code && !/^E[A-Z_]+$/.test(code)) return false;
+  const text = `${code} ${error?.message || ''}`;
+  if (FATAL_FAILURE_PATTERN.test(text)) return false;
+  return RETRYABLE_FAILURE_PATTERN.test(text);
+}
+
+/**
+ * Calls `attempt(n)` until it succeeds, fails with a non-retryable error or
+ * `--retries` is used up, waiting `--retry-backoff` seconds (doubled per retry)
+ * in between. A failed attempt's project (`error.projectId`) is cancelled before
+ * resubmitting. Resolves with `{ value, attempts }`; the final error carries
+ * `details.attempts` once more than one attempt was made.
+ */
+async function runWithRetries(attempt, { client = null, label = '', log }) {
+  const attempts = [];
+  for (let n = 1; ; n++) {
+    try {
+      const value = await attempt(n);
+      attempts.push({ attempt: n, success: true, projectId: value?.projectId ?? null });
+      return { value, attempts };
+    } catch (error) {
+      const retryable = isRetryableFailure(error);
+      attempts.push({ attempt: n, success: false, projectId: error.projectId ?? null, error: error.message, retryable });
+      if (!retryable || n > options.retries) {
+        if (n > 1) error.details = { ...(error.details || {}), attempts };
+        throw error;
+      }
+      if (client && error.projectId) await cancelTrackedProject(client, error.projectId, log);
+      const delaySec = options.retryBackoff * 2 ** (n - 1);
+      log(`${label ? `${label}: ` : ''}Attempt ${n} failed (${error.message}); retrying in ${delaySec}s (retry ${n}/${options.retries})...`);
+      await new Promise((resolve) => setTimeout(resolve, delaySec * 1000));
+    }
+  }
+}
+
+/**
+ * Runs `worker(item, index)` over `items` with at most `limit` calls in flight.
+ * Results keep the input order. The first rejection stops further items from
+ * starting and cancels the projects still in flight before it is rethrown.
+ */
+async function runWithConcurrency(items, limit, worker, log = () => {}) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+  const runners = Array.from({ length: Math.min(Math.max(1, limit), items.length) }, async () => {
+    while (!failed && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (error) {
+        if (!failed) {
+          failed = true;
+          const inFlight = [...ACTIVE_RUN.projects];
+          ACTIVE_RUN.projects.clear();
+          await Promise.all(inFlight.map(([projectId, client]) => cancelTrackedProject(client, projectId, log)));
+        }
+        throw error;
+      }
+    }
+  });
+  await Promise.all(runners);
+  return results;
+}
+
+// --- Batch jobs ---
+
+const BATCH_JOB_KEYS = [
+  'id', 'prompt', 'model', 'width', 'height', 'count', 'seed', 'negativePrompt', 'stylePrompt',
+  'steps', 'guidance', 'sampler', 'scheduler', 'loras', 'loraStrengths', 'outputFormat',
+  'video', 'workflow', 'fps', 'duration', 'frames', 'ref', 'refEnd', 'refAudio', 'refVideo',
+  'context', 'output', 'timeout'
+];
+
+function buildBatchError(message, details, hint) {
+  const err = new Error(message);
+  err.code = 'INVALID_BATCH_FILE';
+  if (details) err.details = details;
+  if (hint) err.hint = hint;
+  return err;
+}
+
+/** Parses `.yaml`/`.yml` files as YAML and anything else as JSON5. */
+async function parseYamlOrJson(text, filePath) {
+  const ext = extname(filePath).toLowerCase();
+  return ext === '.yaml' || ext === '.yml'
+    ? (await loadYaml()).parse(text)
+    : JSON5.parse(text);
+}
+
+/**
+ * Reads jobs from a JSONL (one object per line), JSON/JSON5 or YAML file.
+ * JSON and YAML may hold a top-level array or `{ jobs: [...] }`.
+ */
+async function readBatchJobs(filePath) {
+  sanitizePath(filePath, '--batch');
+  if (!existsSync(filePath)) {
+    const err = new Error(`Batch file not found: ${filePath}`);
+    err.code = 'FILE_NOT_FOUND';
+    throw err;
+  }
+  const text = readFileSync(filePath, 'utf8');
+  const ext = extname(filePath).toLowerCase();
+  let parsed;
+  if (ext === '.jsonl' || ext === '.ndjson') {
+    parsed = [];
+    text.split('\n').forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        parsed.push(JSON.parse(line));
+      } catch (e) {
+        throw buildBatchError(`Invalid JSON on line ${index + 1} of ${filePath}: ${e.message}`, { line: index + 1 });
+      }
+    });
+  } else {
+    try {
+      parsed = await parseYamlOrJson(text, filePath);
+    } catch (e) {
+      throw buildBatchError(`Could not parse ${filePath}: ${e.message}`);
+    }
+  }
+  const jobs = Array.isArray(parsed) ? parsed : parsed?.jobs;
+  if (!Array.isArray(jobs) || jobs.some((job) => !job || typeof job !== 'object' || Array.isArray(job))) {
+    throw buildBatchError(`${filePath} must contain a list of job objects.`, null, 'Use one JSON object per line, or a YAML/JSON list under "jobs".');
+  }
+  const ids = new Set();
+  jobs.forEach((job, index) => {
+    const id = String(job.id ?? `job-${index + 1}`);
+    if (ids.has(id)) {
+      throw buildBatchError(`Duplicate job id "${id}".`, { job: index + 1 });
+    }
+    ids.add(id);
+  });
+  return jobs;
+}
+
+function readBatchManifest(manifestPath) {
+  const completed = new Set();
+  if (!existsSync(manifestPath)) return completed;
+  for (const line of readFileSync(manifestPath, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const record = JSON.parse(line);
+      if (record?.success && record.id != null) completed.add(String(record.id));
+    } catch (e) {
+      // Skip partially written lines
+    }
+  }
+  return completed;
+}
+
+function defaultBatchManifestPath(batchPath) {
+  const ext = extname(batchPath);
+  return `${ext ? batchPath.slice(0, -ext.length) : batchPath}.results.jsonl`;
+}
+
+/**
+ * Builds the options for one batch job. Flags given on the command line act as
+ * defaults for every job; fields in the job win.
+ */
+function resolveBatchJobOptions(job) {
+  const pick = (key, fallback) => (job[key] !== undefined && job[key] !== null ? job[key] : fallback);
+  const unknown = Object.keys(job).filter((key) => !BATCH_JOB_KEYS.includes(key));
+  if (unknown.length > 0) {
+    const err = new Error(`Unknown job field "${unknown[0]}".`);
+    err.code = 'INVALID_JOB';
+    err.details = { unknown, allowed: BATCH_JOB_KEYS };
+    throw err;
+  }
+  if (typeof job.prompt !== 'string' || !job.prompt.trim()) {
+    const err = new Error('Job is missing a prompt.');
+    err.code = 'INVALID_JOB';
+    throw err;
+  }
+  const contextImages = job.context ? [].concat(job.context) : [];
+  const jobOptions = {
+    ...options,
+    prompt: job.prompt,
+    model: pick('model', cliSet.model ? options.model : null),
+    width: pick('width', options.width),
+    height: pick('height', options.height),
+    count: pick('count', options.count),
+    seed: pick('seed', cliSet.seed ? options.seed : null),
+    negativePrompt: pick('negativePrompt', options.negativePrompt),
+    stylePrompt: pick('stylePrompt', options.stylePrompt),
+    steps: pick('steps', options.steps),
+    guidance: pick('guidance', options.guidance),
+    sampler: pick('sampler', options.sampler),
+    scheduler: pick('scheduler', options.scheduler),
+    loras: pick('loras', options.loras),
+    loraStrengths: pick('loraStrengths', options.loraStrengths),
+    outputFormat: pick('outputFormat', options.outputFormat),
+    fps: pick('fps', options.fps),
+    duration: pick('duration', options.duration),
+    frames: pick('frames', options.frames),
+    refImage: pick('ref', null),
+    refImageEnd: pick('refEnd', null),
+    refAudio: pick('refAudio', null),
+    refVideo: pick('refVideo', null),
+    contextImages,
+    output: pick('output', null),
+    multiAngle: false,
+    photobooth: false,
+    looping: false,
+    // --ref-*-start/--ref-*-end trim the command-line references only; renderBatchJob
+    // still downscales each job's refVideo.
+    refVideoStart: null,
+    refVideoEnd: null,
+    refAudioStart: null,
+    refAudioEnd: null,
+    _referenceMedia: null
+  };
+  jobOptions.video = Boolean(job.video ?? (job.workflow || job.refAudio || job.refVideo || options.video));
+
+  if (jobOptions.video) {
+    const workflow = job.workflow ? normalizeVideoWorkflow(job.workflow) : null;
+    if (job.workflow && !workflow) {
+      const err = new Error(`Unknown video workflow "${job.workflow}".`);
+      err.code = 'INVALID_JOB';
+      throw err;
+    }
+    jobOptions.videoWorkflow = workflow
+      || inferVideoWorkflowFromModel(jobOptions.model)
+      || inferVideoWorkflowFromAssets(jobOptions)
+      || (cliSet.workflow ? options.videoWorkflow : null)
+      || openclawConfig?.defaultVideoWorkflow
+      || 't2v';
+    if (workflowRequiresImage(jobOptions.videoWorkflow) && !jobOptions.refImage) {
+      const err = new Error(`Workflow ${jobOptions.videoWorkflow} requires "ref".`);
+      err.code = 'INVALID_JOB';
+      throw err;
+    }
+    jobOptions.model = jobOptions.model
+      || openclawConfig?.videoModels?.[jobOptions.videoWorkflow]
+      || VIDEO_WORKFLOW_DEFAULT_MODELS[jobOptions.videoWorkflow];
+    const dims = normalizeVideoDimensionsLikeWrapper(jobOptions.width, jobOptions.height);
+    jobOptions.width = dims.width;
+    jobOptions.height = dims.height;
+  } else if (contextImages.length > 0) {
+    jobOptions.model = jobOptions.model || openclawConfig?.defaultEditModel || 'qwen_image_edit_2511_fp8_lightning';
+  } else {
+    jobOptions.model = jobOptions.model || openclawConfig?.defaultImageModel || 'z_image_turbo_bf16';
+  }
+
+  if (job.timeout) {
+    jobOptions.timeout = job.timeout * 1000;
+  } else if (!cliSet.timeout && !timeoutFromConfig) {
+    jobOptions.timeout = jobOptions.video ? 300000 : (contextImages.length > 0 ? 60000 : 30000);
+  }
+  if (jobOptions.seed === null || jobOptions.seed === undefined) {
+    jobOptions.seed = jobOptions.seedStrategy === 'random' ? generateRandomSeed() : computePromptHashSeed(jobOptions);
+  }
+  return jobOptions;
+}
+
+/**
+ * Runs one batch job on the shared client after the pre-flight cost check,
+ * settling its spend ledger entry however it ends.
+ */
+async function runBatchJob(client, jobOptions, label, log, renderOptions) {
+  const spendId = await ensureSufficientBalance(client, log, jobOptions);
+  try {
+    const renderInfo = await renderBatchJob(client, jobOptions, label, log, renderOptions);
+    await settleSpend(client, spendId, 'success');
+    return renderInfo;
+  } catch (error) {
+    await settleSpend(client, spendId, 'failed');
+    throw error;
+  }
+}
+
+/**
+ * Renders one batch job, saves its files and records it in history. Mirrors
+ * the single-render flow in main() without the interactive extras.
+ */
+async function renderBatchJob(client, jobOptions, label, log, { recordHistory = true } = {}) {
+  const modelDefaults = getModelDefaults(jobOptions.model, openclawConfig);
+  let steps;
+  let guidance;
+  let createProject;
+  if (jobOptions.video) {
+    steps = resolveVideoSteps(jobOptions.model, modelDefaults, jobOptions.steps);
+    guidance = jobOptions.guidance ?? modelDefaults?.guidance;
+    const projectConfig = {
+      modelId: jobOptions.model,
+      positivePrompt: jobOptions.prompt,
+      negativePrompt: jobOptions.negativePrompt || '',
+      stylePrompt: jobOptions.stylePrompt || '',
+      numberOfMedia: jobOptions.count,
+      fps: jobOptions.fps,
+      width: jobOptions.width,
+      height: jobOptions.height,
+      seed: jobOptions.seed,
+      tokenType: jobOptions.tokenType || 'spark',
+      waitForCompletion: false,
+      disableNSFWFilter: true
+    };
+    if (jobOptions.frames) projectConfig.frames = jobOptions.frames;
+    else projectConfig.duration = jobOptions.duration;
+    if (jobOptions.refImage) projectConfig.referenceImage = await fetchMediaBuffer(jobOptions.refImage);
+    if (jobOptions.refImageEnd) projectConfig.referenceImageEnd = await fetchMediaBuffer(jobOptions.refImageEnd);
+    if (jobOptions.refAudio) projectConfig.referenceAudio = await fetchMediaBuffer(jobOptions.refAudio);
+    if (jobOptions.refVideo) {
+      const referenceMedia = await prepareReferenceMedia(jobOptions, log);
+      try {
+        projectConfig.referenceVideo = await fetchMediaBuffer(referenceMedia?.uploads.video ?? jobOptions.refVideo);
+      } finally {
+        if (referenceMedia) removeTempDir(referenceMedia.tempDir);
+      }
+    }
+    if (Number.isFinite(steps)) projectConfig.steps = steps;
+    if (guidance !== null && guidance !== undefined) projectConfig.guidance = guidance;
+    if (jobOptions.outputFormat) projectConfig.outputFormat = jobOptions.outputFormat;
+    if (jobOptions.autoResizeVideoAssets !== null) projectConfig.autoResizeVideoAssets = jobOptions.autoResizeVideoAssets;
+    createProject = () => client.createVideoProject(projectConfig);
+  } else {
+    const isEdit = jobOptions.contextImages.length > 0;
+    const lightning = jobOptions.model.includes('lightning');
+    steps = jobOptions.steps ?? modelDefaults?.steps ?? (isEdit ? (lightning ? 4 : 20) : undefined);
+    guidance = jobOptions.guidance ?? modelDefaults?.guidance ?? (isEdit ? (lightning ? 3.5 : 7.5) : 1.0);
+    const projectConfig = {
+      modelId: jobOptions.model,
+      positivePrompt: jobOptions.prompt,
+      numberOfMedia: jobOptions.count,
+      width: jobOptions.width,
+      height: jobOptions.height,
+      guidance,
+      seed: jobOptions.seed,
+      tokenType: jobOptions.tokenType || 'spark',
+      waitForCompletion: false,
+      disableNSFWFilter: true
+    };
+    if (steps) projectConfig.steps = steps;
+    if (jobOptions.negativePrompt) projectConfig.negativePrompt = jobOptions.negativePrompt;
+    if (jobOptions.stylePrompt) projectConfig.stylePrompt = jobOptions.stylePrompt;
+    if (jobOptions.outputFormat) projectConfig.outputFormat = jobOptions.outputFormat;
+    if (jobOptions.sampler) projectConfig.sampler = jobOptions.sampler;
+    if (jobOptions.scheduler) projectConfig.scheduler = jobOptions.scheduler;
+    if (isEdit) {
+      if (jobOptions.loras.length > 0) projectConfig.loras = jobOptions.loras;
+      if (jobOptions.loraStrengths.length > 0) projectConfig.loraStrengths = jobOptions.loraStrengths;
+      projectConfig.contextImages = await Promise.all(jobOptions.contextImages.map((img) => fetchMediaBuffer(img)));
+      createProject = () => client.createImageEditProject(projectConfig);
+    } else {
+      projectConfig.sizePreset = 'custom';
+      createProject = () => client.createImageProject(projectConfig);
+    }
+  }
+
+  const { results, projectId, attempts } = await runProjectWithEvents(client, createProject, {
+    expectedCount: jobOptions.count,
+    log,
+    timeoutMs: jobOptions.timeout,
+    label,
+    mediaLabel: jobOptions.video ? 'Video' : 'Image'
+  });
+  const urlResults = results.filter((r) => (jobOptions.video ? r.videoUrl : r.imageUrl));
+  if (urlResults.length === 0) {
+    const err = new Error('No output generated - may have been filtered');
+    err.code = 'NO_OUTPUT';
+    throw err;
+  }
+  const urls = urlResults.map((r) => (jobOptions.video ? r.videoUrl : r.imageUrl));
+  const seeds = urlResults.map((r) => r.seed ?? jobOptions.seed);
+  const localPaths = jobOptions.output
+    ? urlResults.map((r, i) => resolveResultOutputPath(jobOptions.output, jobOptions, i, urls.length, {
+        seed: seeds[i],
+        project_id: r.projectId
+      }))
+    : [];
+  for (let i = 0; i < localPaths.length; i++) {
+    const metadata = jobOptions.embedMetadata
+      ? buildEmbeddedMetadata(jobOptions, { seed: seeds[i], steps: steps ?? null, guidance: guidance ?? null, projectId })
+      : null;
+    await writeResultFile(await downloadUrlToBuffer(urls[i]), localPaths[i], metadata, jobOptions.video, log);
+  }
+  const soundtrack = localPaths.length > 0 ? resolveSoundtrack(jobOptions) : null;
+  if (soundtrack) {
+    await attachSoundtrack(localPaths, soundtrack, log);
+  }
+
+  const renderInfo = {
+    timestamp: new Date().toISOString(),
+    type: jobOptions.video ? 'video' : 'image',
+    prompt: jobOptions.prompt,
+    model: jobOptions.model,
+    width: jobOptions.width,
+    height: jobOptions.height,
+    seed: seeds[0],
+    seeds,
+    projectId,
+    urls,
+    localPath: localPaths[0] || null,
+    localPaths,
+    tokenType: jobOptions.tokenType || 'spark',
+    batch: options.batch
+  };
+  if (jobOptions.negativePrompt) renderInfo.negativePrompt = jobOptions.negativePrompt;
+  if (jobOptions.stylePrompt) renderInfo.stylePrompt = jobOptions.stylePrompt;
+  if (steps != null) renderInfo.steps = steps;
+  if (guidance != null) renderInfo.guidance = guidance;
+  if (jobOptions.video) {
+    renderInfo.workflow = jobOptions.videoWorkflow;
+    renderInfo.fps = jobOptions.fps;
+    renderInfo.duration = jobOptions.frames ? jobOptions.frames / jobOptions.fps : jobOptions.duration;
+    if (jobOptions.frames) renderInfo.frames = jobOptions.frames;
+    if (jobOptions.refImage) renderInfo.refImage = jobOptions.refImage;
+    if (jobOptions.refImageEnd) renderInfo.refImageEnd = jobOptions.refImageEnd;
+    if (jobOptions.refAudio) renderInfo.refAudio = jobOptions.refAudio;
+    if (jobOptions.refVideo) renderInfo.refVideo = jobOptions.refVideo;
+    if (soundtrack) renderInfo.audio = soundtrack;
+  }
+  if (jobOptions.contextImages.length > 0) renderInfo.contextImages = jobOptions.contextImages;
+  if (recordHistory) saveLastRender(renderInfo);
+  // Like the single-render `attempts`, reported in JSON output but kept out of history.
+  renderInfo.attempts = attempts;
+  return renderInfo;
+}
+
+/**
+ * --batch: runs every job in the file over the already-connected client and
+ * appends one record per job to the results manifest. Jobs recorded there as
+ * successful are skipped, so re-running the same command resumes the batch.
+ * Returns the process exit code.
+ */
+async function runBatch(client, log) {
+  const jobs = await readBatchJobs(options.batch);
+  const manifestPath = options.batchResults || defaultBatchManifestPath(options.batch);
+  sanitizePath(manifestPath, '--batch-results');
+  const manifestDir = dirname(manifestPath);
+  if (manifestDir && !existsSync(manifestDir)) mkdirSync(manifestDir, { recursive: true });
+  const alreadyDone = readBatchManifest(manifestPath);
+  const pending = jobs
+    .map((job, index) => ({ job, index, id: String(job.id ?? `job-${index + 1}`) }))
+    .filter(({ id }) => !alreadyDone.has(id));
+  const skipped = jobs.length - pending.length;
+  log(`Batch: ${jobs.length} job(s), ${skipped} already completed, concurrency ${options.concurrency}.`);
+
+  const records = await runWithConcurrency(pending, options.concurrency, async ({ job, index, id }) => {
+    const startedAt = new Date().toISOString();
+    let record;
+    try {
+      const jobOptions = resolveBatchJobOptions(job);
+      const renderInfo = await runBatchJob(client, jobOptions, id, log);
+      record = {
+        id,
+        index,
+        success: true,
+        type: renderInfo.type,
+        prompt: renderInfo.prompt,
+        model: renderInfo.model,
+        seed: renderInfo.seed,
+        seeds: renderInfo.seeds,
+        urls: renderInfo.urls,
+        localPaths: renderInfo.localPaths,
+        projectId: renderInfo.projectId,
+        historyId: renderInfo.id || null,
+        attempts: renderInfo.attempts,
+        ...(jobOptions._tokenFallback ? { tokenFallback: jobOptions._tokenFallback } : {})
+      };
+    } catch (error) {
+      record = {
+        id,
+        index,
+        success: false,
+        prompt: job.prompt ?? null,
+        error: error.message,
+        errorCode: error.code || null,
+        ...(error.details?.attempts ? { attempts: error.details.attempts } : {})
+      };
+      log(`Job ${id} failed: ${error.message}`);
+    }
+    record.startedAt = startedAt;
+    record.finishedAt = new Date().toISOString();
+    appendFileSync(manifestPath, `${JSON.stringify(record)}\n`);
+    return record;
+  }, log);
+
+  const failed = records.filter((record) => !record.success).length;
+  if (options.json || JSON_ERROR_MODE) {
+    console.log(JSON.stringify({
+      success: failed === 0,
+      type: 'batch',
+      batchFile: options.batch,
+      manifestPath,
+      total: jobs.length,
+      completed: records.length - failed,
+      failed,
+      skipped,
+      jobs: records,
+      timestamp: new Date().toISOString()
+    }));
+  } else {
+    for (const record of records) {
+      const detail = record.success
+        ? (record.localPaths.length > 0 ? record.localPaths : record.urls).join(' ')
+        : `FAILED (${record.errorCode || 'ERROR'}): ${record.error}`;
+      console.log(`${record.id}: ${detail}`);
+    }
+    console.log(`Batch finished: ${records.length - failed} completed, ${failed} failed, ${skipped} skipped. Results: ${manifestPath}`);
+  }
+  return failed > 0 ? 1 : 0;
+}
+
+// --- Storyboards ---
+
+const STORYBOARD_KEYS = ['scenes', 'image', 'model', 'width', 'height', 'fps', 'seed', 'negativePrompt', 'stylePrompt', 'steps', 'guidance'];
+const STORYBOARD_SCENE_KEYS = ['id', 'prompt', 'duration', 'frames', 'workflow', 'model', 'image', 'seed', 'negativePrompt', 'stylePrompt', 'steps', 'guidance'];
+const STORYBOARD_WORKFLOWS = ['t2v', 'i2v'];
+
+function buildStoryboardError(message, details) {
+  const err = new Error(message);
+  err.code = 'INVALID_STORYBOARD';
+  if (details) err.details = details;
+  err.hint = 'A storyboard needs a "scenes" list; each scene needs a prompt.';
+  return err;
+}
+
+/**
+ * Reads a storyboard: top-level defaults plus a `scenes` list. A bare list is
+ * accepted as the scenes.
+ */
+async function readStoryboard(filePath) {
+  sanitizePath(filePath, '--storyboard');
+  if (!existsSync(filePath)) {
+    const err = new Error(`Storyboard not found: ${filePath}`);
+    err.code = 'FILE_NOT_FOUND';
+    throw err;
+  }
+  let parsed;
+  try {
+    parsed = await parseYamlOrJson(readFileSync(filePath, 'utf8'), filePath);
+  } catch (e) {
+    throw buildStoryboardError(`Could not parse ${filePath}: ${e.message}`);
+  }
+  const story = Array.isArray(parsed) ? { scenes: parsed } : parsed;
+  if (!story || typeof story !== 'object' || !Array.isArray(story.scenes) || story.scenes.length === 0) {
+    throw buildStoryboardError(`${filePath} has no scenes.`);
+  }
+  const unknown = Object.keys(story).filter((key) => !STORYBOARD_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw buildStoryboardError(`Unknown storyboard field "${unknown[0]}".`, { unknown, allowed: STORYBOARD_KEYS });
+  }
+  story.scenes.forEach((scene, index) => {
+    if (!scene || typeof scene !== 'object' || typeof scene.prompt !== 'string' || !scene.prompt.trim()) {
+      throw buildStoryboardError(`Scene ${index + 1} is missing a prompt.`, { scene: index + 1 });
+    }
+    const unknownScene = Object.keys(scene).filter((key) => !STORYBOARD_SCENE_KEYS.includes(key));
+    if (unknownScene.length > 0) {
+      throw buildStoryboardError(`Scene ${index + 1} has unknown field "${unknownScene[0]}".`, {
+        scene: index + 1,
+        unknown: unknownScene,
+        allowed: STORYBOARD_SCENE_KEYS
+      });
+    }
+    const workflow = scene.workflow ? normalizeVideoWorkflow(String(scene.workflow)) : null;
+    if (scene.workflow && !STORYBOARD_WORKFLOWS.includes(workflow)) {
+      throw buildStoryboardError(`Scene ${index + 1} uses workflow "${scene.workflow}"; storyboards support t2v and i2v.`, { scene: index + 1 });
+    }
+  });
+  return story;
+}
+
+function readStoryboardManifest(manifestPath) {
+  if (!existsSync(manifestPath)) return null;
+  try {
+    return JSON.parse(readFileSync(manifestPath, 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Turns scene `index` into a batch job. A scene starts from its own `image`,
+ * the storyboard `image` (first scene), or the previous scene's last frame;
+ * an explicit t2v scene is a hard cut.
+ */
+function buildStoryboardSceneJob(story, index, { seed, previousLastFrame, clipPath }) {
+  const scene = story.scenes[index];
+  const explicitWorkflow = scene.workflow ? normalizeVideoWorkflow(String(scene.workflow)) : null;
+  const startImage = explicitWorkflow === 't2v'
+    ? null
+    : (scene.image || (index === 0 ? story.image : previousLastFrame) || null);
+  const workflow = explicitWorkflow || (startImage ? 'i2v' : 't2v');
+  const storyModel = story.model && inferVideoWorkflowFromModel(story.model) === workflow ? story.model : null;
+  const job = {
+    id: String(scene.id ?? `scene-${index + 1}`),
+    prompt: scene.prompt,
+    video: true,
+    workflow,
+    model: scene.model ?? storyModel,
+    duration: scene.duration,
+    frames: scene.frames,
+    fps: story.fps,
+    width: story.width,
+    height: story.height,
+    seed: scene.seed ?? seed,
+    negativePrompt: scene.negativePrompt ?? story.negativePrompt,
+    stylePrompt: scene.stylePrompt ?? story.stylePrompt,
+    steps: scene.steps ?? story.steps,
+    guidance: scene.guidance ?? story.guidance,
+    ref: startImage,
+    output: clipPath
+  };
+  if (workflow === 'i2v' && !startImage) {
+    throw buildStoryboardError(`Scene ${index + 1} is i2v but has no start image.`, { scene: index + 1 });
+  }
+  return Object.fromEntries(Object.entries(job).filter(([, value]) => value !== undefined && value !== null));
+}
+
+/**
+ * --storyboard: renders the scenes in order, chaining each i2v scene from the
+ * previous clip's last frame, then concatenates the clips into one film.
+ * Progress is kept in `<film>.scenes/manifest.json`; re-running the command
+ * reuses finished scenes until the first one whose inputs changed.
+ */
+async function runStoryboard(client, log) {
+  const story = await readStoryboard(options.storyboard);
+  await ensureFfmpegAvailable();
+
+  const storyExt = extname(options.storyboard);
+  const videoPath = options.output
+    ? resolveResultOutputPath(options.output, { ...options, video: true, videoWorkflow: 'storyboard' }, 0, 1, {})
+    : `${storyExt ? options.storyboard.slice(0, -storyExt.length) : options.storyboard}.mp4`;
+  sanitizePath(videoPath, '--output path');
+  const videoExt = extname(videoPath);
+  const workDir = `${videoExt ? videoPath.slice(0, -videoExt.length) : videoPath}.scenes`;
+  if (!existsSync(workDir)) mkdirSync(workDir, { recursive: true });
+  const manifestPath = join(workDir, 'manifest.json');
+  const previous = readStoryboardManifest(manifestPath);
+
+  // Derived from the opening scene so editing later scenes keeps earlier ones reusable.
+  const seed = story.seed ?? (cliSet.seed ? options.seed : createHash('sha256')
+    .update(story.scenes[0].prompt)
+    .digest()
+    .readUInt32BE(0));
+  const manifest = {
+    storyboard: options.storyboard,
+    videoPath,
+    seed,
+    scenes: [],
+    updatedAt: null
+  };
+  const writeManifest = () => {
+    manifest.updatedAt = new Date().toISOString();
+    writeFileSync(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
+  };
+
+  const scenes = [];
+  let previousLastFrame = null;
+  let previousFingerprint = '';
+  for (let i = 0; i < story.scenes.length; i++) {
+    const sceneNumber = String(i + 1).padStart(2, '0');
+    const clipPath = join(workDir, `scene-${sceneNumber}.mp4`);
+    const lastFramePath = join(workDir, `scene-${sceneNumber}-last.png`);
+    const job = buildStoryboardSceneJob(story, i, { seed, previousLastFrame, clipPath });
+    // Chained so that changing one scene re-renders every scene after it.
+    const fingerprint = createHash('sha256').update(previousFingerprint + JSON.stringify(job)).digest('hex').slice(0, 16);
+    const needsLastFrame = i < story.scenes.length - 1;
+    const earlier = previous?.scenes?.[i];
+    const reusable = Boolean(earlier?.success && earlier.fingerprint === fingerprint && isNonEmptyFile(clipPath) &&
+      (!needsLastFrame || isNonEmptyFile(lastFramePath)));
+    scenes.push({ clipPath, lastFramePath, job, fingerprint, needsLastFrame, earlier, reusable });
+    previousLastFrame = lastFramePath;
+    previousFingerprint = fingerprint;
+  }
+  await ensurePlanAffordable(client, log, scenes
+    .filter((scene) => !scene.reusable)
+    .map((scene) => resolveBatchJobOptions(scene.job)));
+
+  let reused = 0;
+  for (let i = 0; i < scenes.length; i++) {
+    const { clipPath, lastFramePath, job, fingerprint, needsLastFrame, earlier, reusable } = scenes[i];
+    if (reusable) {
+      log(`Scene ${i + 1}/${story.scenes.length} unchanged, reusing ${clipPath}`);
+      manifest.scenes.push({ ...earlier, reused: true });
+      reused++;
+    } else {
+      const entry = {
+        index: i,
+        id: job.id,
+        prompt: job.prompt,
+        workflow: job.workflow,
+        startImage: job.ref || null,
+        fingerprint,
+        startedAt: new Date().toISOString()
+      };
+      try {
+        log(`Rendering scene ${i + 1}/${story.scenes.length} (${job.workflow})...`);
+        const renderInfo = await runBatchJob(client, resolveBatchJobOptions(job), `scene ${i + 1}`, log);
+        if (needsLastFrame) {
+          await extractLastFrameFromVideo(clipPath, lastFramePath);
+        }
+        Object.assign(entry, {
+          success: true,
+          model: renderInfo.model,
+          seed: renderInfo.seed,
+          duration: renderInfo.duration,
+          url: renderInfo.urls[0],
+          clipPath,
+          lastFramePath: needsLastFrame ? lastFramePath : null,
+          projectId: renderInfo.projectId,
+          historyId: renderInfo.id || null,
+          attempts: renderInfo.attempts
+        });
+      } catch (error) {
+        Object.assign(entry, {
+          success: false,
+          error: error.message,
+          errorCode: error.code || null,
+          ...(error.details?.attempts ? { attempts: error.details.attempts } : {})
+        });
+        entry.finishedAt = new Date().toISOString();
+        manifest.scenes.push(entry);
+        writeManifest();
+        error.details = { ...(error.details || {}), scene: i + 1, manifestPath };
+        error.hint = error.hint || 'Fix the scene and run the same command again to resume.';
+        throw error;
+      }
+      entry.finishedAt = new Date().toISOString();
+      manifest.scenes.push(entry);
+    }
+    writeManifest();
+  }
+
+  log(`Joining ${story.scenes.length} scene(s)...`);
+  await buildConcatVideoFromClips(videoPath, manifest.scenes.map((scene) => scene.clipPath));
+  manifest.completedAt = new Date().toISOString();
+  writeManifest();
+
+  if (options.json || JSON_ERROR_MODE) {
+    console.log(JSON.stringify({
+      success: true,
+      type: 'storyboard',
+      storyboard: options.storyboard,
+      videoPath,
+      manifestPath,
+      seed,
+      rendered: story.scenes.length - reused,
+      reused,
+      scenes: manifest.scenes,
+      timestamp: new Date().toISOString()
+    }));
+  } else {
+    console.log(videoPath);
+  }
+}
+
+// --- Video extension ---
+
+/**
+ * --extend: renders an i2v continuation from the last frame of an existing
+ * clip at the clip's size and frame rate, then appends it to the clip.
+ */
+async function runExtend(client, log) {
+  const sourcePath = sanitizePath(options.extend, '--extend');
+  if (!existsSync(sourcePath)) {
+    const err = new Error(`Video not found: ${sourcePath}`);
+    err.code = 'FILE_NOT_FOUND';
+    throw err;
+  }
+  await ensureFfmpegAvailable();
+  const probe = await probeMediaFile(sourcePath);
+  if (!probe.hasVideo || !probe.width || !probe.height) {
+    const err = new Error(`${sourcePath} has no video stream.`);
+    err.code = 'INVALID_VIDEO';
+    throw err;
+  }
+
+  const sourceExt = extname(sourcePath);
+  const baseOptions = { ...options, video: true, videoWorkflow: 'i2v' };
+  const outputPath = options.output
+    ? resolveResultOutputPath(options.output, baseOptions, 0, 1, { seed: options.seed })
+    : `${sourceExt ? sourcePath.slice(0, -sourceExt.length) : sourcePath}-extended.mp4`;
+  sanitizePath(outputPath, '--output path');
+
+  const tempDir = createTempDir('sogni-extend-');
+  try {
+    const lastFramePath = join(tempDir, 'last-frame.png');
+    const segmentPath = join(tempDir, 'extension.mp4');
+    const job = {
+      prompt: options.prompt,
+      video: true,
+      workflow: 'i2v',
+      ref: lastFramePath,
+      width: cliSet.width ? options.width : probe.width,
+      height: cliSet.height ? options.height : probe.height,
+      fps: cliSet.fps ? options.fps : Math.round(probe.fps || options.fps),
+      seed: options.seed,
+      output: segmentPath
+    };
+    const jobOptions = resolveBatchJobOptions(job);
+    await ensurePlanAffordable(client, log, [jobOptions]);
+
+    log('Extracting last frame...');
+    await extractLastFrameFromVideo(sourcePath, lastFramePath);
+    log(`Extending ${sourcePath} (${jobOptions.width}x${jobOptions.height} @ ${jobOptions.fps} fps)...`);
+    const renderInfo = await runBatchJob(client, jobOptions, 'extension', log, { recordHistory: false });
+
+    const outputDir = dirname(outputPath);
+    if (outputDir && outputDir !== '.' && !existsSync(outputDir)) mkdirSync(outputDir, { recursive: true });
+    await buildExtendedVideo(sourcePath, segmentPath, outputPath);
+    if (options.embedMetadata) {
+      await embedVideoMetadata(outputPath, buildEmbeddedMetadata(jobOptions, {
+        seed: renderInfo.seed,
+        steps: renderInfo.steps ?? null,
+        guidance: renderInfo.guidance ?? null
+      }), log);
+    }
+    log(`Saved extended video to ${outputPath}`);
+
+    const { refImage, attempts, ...segmentInfo } = renderInfo;
+    const historyInfo = {
+      ...segmentInfo,
+      workflow: 'extend',
+      sourceVideo: sourcePath,
+      localPath: outputPath,
+      localPaths: [outputPath]
+    };
+    saveLastRender(historyInfo);
+
+    if (options.json || JSON_ERROR_MODE) {
+      console.log(JSON.stringify({
+        success: true,
+        type: 'extend',
+        prompt: options.prompt,
+        sourceVideo: sourcePath,
+        videoPath: outputPath,
+        model: renderInfo.model,
+        seed: renderInfo.seed,
+        width: jobOptions.width,
+        height: jobOptions.height,
+        fps: jobOptions.fps,
+        source: { width: probe.width, height: probe.height, fps: probe.fps, duration: probe.duration },
+        extensionDuration: renderInfo.duration,
+        extensionUrl: renderInfo.urls[0],
+        projectId: renderInfo.projectId,
+        attempts: renderInfo.attempts,
+        historyId: historyInfo.id,
+        timestamp: new Date().toISOString()
+      }));
+    } else {
+      console.log(outputPath);
+    }
+  } finally {
+    removeTempDir(tempDir);
+  }
+}
+
+// --- Long-form audio ---
+
+/**
+ * --long-audio: cuts --ref-audio into the segments planned by
+ * planLongAudioSegments, renders one a2v clip per segment (ia2v chains each
+ * segment from the previous clip's last frame), joins the clips and muxes the
+ * full track back on top.
+ */
+async function runLongAudio(client, log) {
+  const plan = options._longAudioPlan;
+  const segmentCount = plan.segments.length;
+  await ensurePlanAffordable(client, log, [options]);
+  const outputPath = resolveResultOutputPath(options.output, options, 0, 1, { seed: options.seed });
+  sanitizePath(outputPath, '--output path');
+  const outputDir = dirname(outputPath);
+  if (outputDir && outputDir !== '.' && !existsSync(outputDir)) mkdirSync(outputDir, { recursive: true });
+
+  const tempDir = createTempDir('sogni-long-audio-');
+  const chained = options.videoWorkflow === 'ia2v';
+  let renders;
+  try {
+    log(`Rendering ${plan.audioDuration.toFixed(1)}s of audio as ${segmentCount} ${options.videoWorkflow} segment(s) of up to ${plan.segmentDuration}s...`);
+    renders = await runWithConcurrency(plan.segments, chained ? 1 : options.concurrency, async (segment, index) => {
+      const audioPath = join(tempDir, `audio-${index + 1}.m4a`);
+      const clipPath = join(tempDir, `segment-${index + 1}.mp4`);
+      await extractAudioSegment(referenceUpload(options, 'audio'), segment.start, segment.length, audioPath);
+      let ref = null;
+      if (chained) {
+        ref = options.refImage;
+        if (index > 0) {
+          ref = join(tempDir, `last-frame-${index}.png`);
+          await extractLastFrameFromVideo(join(tempDir, `segment-${index}.mp4`), ref);
+        }
+      }
+      const jobOptions = resolveBatchJobOptions({
+        prompt: options.prompt,
+        video: true,
+        workflow: options.videoWorkflow,
+        model: options.model,
+        refAudio: audioPath,
+        ...(ref ? { ref } : {}),
+        duration: segment.duration,
+        seed: options.seed,
+        output: clipPath
+      });
+      jobOptions.noMuxAudio = true;
+      jobOptions._longAudioPlan = null;
+      const renderInfo = await runBatchJob(client, jobOptions, `segment ${index + 1}/${segmentCount}`, log, { recordHistory: false });
+      return { ...segment, clipPath, renderInfo, jobOptions };
+    }, log);
+
+    await buildConcatVideoFromClips(outputPath, renders.map((render) => render.clipPath));
+  } finally {
+    removeTempDir(tempDir);
+  }
+  const soundtrack = resolveSoundtrack(options);
+  if (soundtrack) await attachSoundtrack([outputPath], soundtrack, log);
+  const first = renders[0].renderInfo;
+  if (options.embedMetadata) {
+    await embedVideoMetadata(outputPath, buildEmbeddedMetadata({ ...renders[0].jobOptions, refAudio: options.refAudio, duration: Math.ceil(plan.audioDuration) }, {
+      steps: first.steps ?? null,
+      guidance: first.guidance ?? null
+    }), log);
+  }
+  log(`Saved long-audio video to ${outputPath}`);
+
+  const segments = renders.map(({ start, length, duration, renderInfo }) => ({
+    start,
+    length,
+    duration,
+    url: renderInfo.urls[0],
+    projectId: renderInfo.projectId,
+    attempts: renderInfo.attempts
+  }));
+  const tokenFallback = renders.find((render) => render.jobOptions._tokenFallback)?.jobOptions._tokenFallback;
+  const { refAudio, refImage, attempts, ...segmentInfo } = first;
+  const historyInfo = {
+    ...segmentInfo,
+    refAudio: options.refAudio,
+    ...(options.refImage ? { refImage: options.refImage } : {}),
+    duration: plan.audioDuration,
+    urls: segments.map((segment) => segment.url),
+    longAudio: { segments: segmentCount, segmentDuration: plan.segmentDuration },
+    localPath: outputPath,
+    localPaths: [outputPath]
+  };
+  saveLastRender(historyInfo);
+
+  if (options.json || JSON_ERROR_MODE) {
+    console.log(JSON.stringify({
+      success: true,
+      type: 'long-audio',
+      prompt: options.prompt,
+      workflow: options.videoWorkflow,
+      model: first.model,
+      seed: first.seed,
+      videoPath: outputPath,
+      refAudio: options.refAudio,
+      audioDuration: plan.audioDuration,
+      segmentDuration: plan.segmentDuration,
+      segments,
+      ...(options._referenceMedia ? { referenceMedia: options._referenceMedia.ranges } : {}),
+      ...(soundtrack ? { audio: soundtrack } : {}),
+      tokenType: first.tokenType,
+      ...(tokenFallback ? { tokenFallback } : {}),
+      historyId: historyInfo.id,
+      timestamp: new Date().toISOString()
+    }));
+  } else {
+    console.log(outputPath);
+  }
+}
+
+// --- Keyframe interpolation ---
+
+/**
+ * --keyframes: renders an i2v segment between each consecutive pair of images
+ * (plus last → first with --close-loop) and joins them into one video.
+ * --duration/--frames cover the whole video and are split across segments,
+ * as for --angles-360-video.
+ */
+async function runKeyframesFlow(client, log) {
+  await ensureFfmpegAvailable();
+  const modelId = cliSet.model ? options.model : (openclawConfig?.videoModels?.i2v || VIDEO_WORKFLOW_DEFAULT_MODELS.i2v);
+  const modelWorkflow = inferVideoWorkflowFromModel(modelId);
+  if (modelWorkflow && modelWorkflow !== 'i2v') {
+    const err = new Error(`--keyframes needs an i2v model; ${modelId} is ${modelWorkflow}.`);
+    err.code = 'INVALID_MODEL';
+    throw err;
+  }
+  const frameBuffers = await Promise.all(options.keyframes.map((frame) => fetchMediaBuffer(frame)));
+  const segmentCount = options.closeLoop ? frameBuffers.length : frameBuffers.length - 1;
+  const modelDefaults = getModelDefaults(modelId, openclawConfig);
+  const steps = resolveVideoSteps(modelId, modelDefaults, options.steps);
+  const guidance = options.guidance ?? modelDefaults?.guidance;
+  const segmentFrames = options.frames ? Math.max(17, Math.round(options.frames / segmentCount)) : null;
+  const segmentDuration = options.frames ? null : Math.max(1, Math.round(options.duration / segmentCount));
+  const extraConfig = {};
+  if (options.firstFrameStrength != null) extraConfig.firstFrameStrength = options.firstFrameStrength;
+  if (options.lastFrameStrength != null) extraConfig.lastFrameStrength = options.lastFrameStrength;
+  if (options.seed !== null && options.seed !== undefined) extraConfig.seed = options.seed;
+
+  const videoOptions = { ...options, video: true, videoWorkflow: 'i2v', model: modelId };
+  const outputPath = resolveResultOutputPath(options.output, videoOptions, 0, 1, { seed: options.seed });
+  const outputDir = dirname(outputPath);
+  if (outputDir && outputDir !== '.' && !existsSync(outputDir)) mkdirSync(outputDir, { recursive: true });
+
+  const clipDir = createTempDir('sogni-keyframes-');
+  let segmentAttempts;
+  try {
+    log(`Rendering ${segmentCount} keyframe segment(s) with ${modelId}...`);
+    const segments = await renderI2vSegments(client, frameBuffers, {
+      closeLoop: options.closeLoop,
+      modelId,
+      prompt: options.prompt,
+      steps,
+      guidance,
+      segmentDuration,
+      segmentFrames,
+      clipDir,
+      label: 'Keyframe video',
+      extraConfig,
+      log
+    });
+    segmentAttempts = segments.map((segment) => segment.attempts);
+    await buildConcatVideoFromClips(outputPath, segments.map((segment) => segment.clipPath));
+  } finally {
+    removeTempDir(clipDir);
+  }
+  if (options.embedMetadata) {
+    await embedVideoMetadata(outputPath, buildEmbeddedMetadata(videoOptions, {
+      workflow: 'keyframes',
+      steps,
+      guidance
+    }), log);
+  }
+  log(`Saved keyframe video to ${outputPath}`);
+
+  const renderInfo = {
+    timestamp: new Date().toISOString(),
+    type: 'video',
+    workflow: 'keyframes',
+    prompt: options.prompt,
+    model: modelId,
+    width: options.width,
+    height: options.height,
+    seed: options.seed,
+    fps: options.fps,
+    steps,
+    guidance,
+    keyframes: options.keyframes,
+    closeLoop: options.closeLoop,
+    segments: segmentCount,
+    ...(segmentFrames ? { framesPerSegment: segmentFrames } : { durationPerSegment: segmentDuration }),
+    localPath: outputPath,
+    localPaths: [outputPath],
+    tokenType: options.tokenType || 'spark'
+  };
+  if (options.firstFrameStrength != null) renderInfo.firstFrameStrength = options.firstFrameStrength;
+  if (options.lastFrameStrength != null) renderInfo.lastFrameStrength = options.lastFrameStrength;
+  saveLastRender(renderInfo);
+
+  if (options.json || JSON_ERROR_MODE) {
+    console.log(JSON.stringify({
+      success: true,
+      type: 'keyframes',
+      prompt: options.prompt,
+      videoPath: outputPath,
+      model: modelId,
+      seed: options.seed,
+      keyframes: options.keyframes,
+      closeLoop: options.closeLoop,
+      segments: segmentCount,
+      segmentAttempts,
+      tokenType: renderInfo.tokenType,
+      ...(options._tokenFallback ? { tokenFallback: options._tokenFallback } : {}),
+      historyId: renderInfo.id,
+      timestamp: renderInfo.timestamp
+    }));
+  } else {
+    console.log(outputPath);
+  }
+}
+
+// --- Parameter sweeps ---
+
+const SWEEP_CELL_MAX_SIZE = 512;
+const SWEEP_CAPTION_HEIGHT = 28;
+const SWEEP_TITLE_HEIGHT = 36;
+
+function formatSweepParams(params) {
+  return Object.entries(params)
+    .map(([key, value]) => `${key === 'loraStrength' ? 'lora-strength' : key}=${value}`)
+    .join(' ');
+}
+
+/**
+ * Expands the --sweep axes into grid cells. The first axis runs along the
+ * columns; every combination of the remaining axes gets its own row.
+ */
+function buildSweepCells(axes) {
+  const [columnAxis, ...rowAxes] = axes;
+  let rows = [{}];
+  for (const axis of rowAxes) {
+    rows = rows.flatMap((row) => axis.values.map((value) => ({ ...row, [axis.key]: value })));
+  }
+  const cells = [];
+  rows.forEach((row, rowIndex) => {
+    columnAxis.values.forEach((value, column) => {
+      cells.push({ index: cells.length, row: rowIndex, column, params: { [columnAxis.key]: value, ...row } });
+    });
+  });
+  return { cells, columns: columnAxis.values.length, rows: rows.length };
+}
+
+function buildSweepTextSvg(width, height, text, { fontSize = 16, color = '#ffffff', background = '#202020' } = {}) {
+  const maxChars = Math.max(8, Math.floor(width / (fontSize * 0.6)));
+  const label = text.length > maxChars ? `${text.slice(0, maxChars - 1)}…` : text;
+  return Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+    `<rect width="100%" height="100%" fill="${background}"/>` +
+    `<text x="8" y="${Math.round(height / 2 + fontSize * 0.35)}" font-family="sans-serif" font-size="${fontSize}" fill="${color}">${escapeXml(label)}</text>` +
+    '</svg>'
+  );
+}
+
+/**
+ * Composes the sweep results into one labeled grid. Failed cells are drawn as
+ * dark placeholders so the layout always matches the index.
+ */
+async function composeSweepGrid(cells, layout, { width, height, title }) {
+  const scale = Math.min(1, SWEEP_CELL_MAX_SIZE / Math.max(width, height));
+  const cellWidth = Math.max(64, Math.round(width * scale));
+  const cellHeight = Math.max(64, Math.round(height * scale));
+  const gridWidth = cellWidth * layout.columns;
+  const gridHeight = SWEEP_TITLE_HEIGHT + (cellHeight + SWEEP_CAPTION_HEIGHT) * layout.rows;
+  const composites = [{ input: buildSweepTextSvg(gridWidth, SWEEP_TITLE_HEIGHT, title, { fontSize: 18, background: '#000000' }), left: 0, top: 0 }];
+
+  for (const cell of cells) {
+    const left = cell.column * cellWidth;
+    const top = SWEEP_TITLE_HEIGHT + cell.row * (cellHeight + SWEEP_CAPTION_HEIGHT);
+    let tile;
+    if (cell.buffer) {
+      tile = await sharp(cell.buffer).resize(cellWidth, cellHeight, { fit: 'contain', background: '#000000' }).png().toBuffer();
+    } else {
+      tile = buildSweepTextSvg(cellWidth, cellHeight, `failed: ${cell.errorCode || 'ERROR'}`, { color: '#ff8080', background: '#303030' });
+    }
+    composites.push({ input: tile, left, top });
+    composites.push({
+      input: buildSweepTextSvg(cellWidth, SWEEP_CAPTION_HEIGHT, formatSweepParams(cell.params), { fontSize: 14 }),
+      left,
+      top: top + cellHeight
+    });
+  }
+
+  return sharp({ create: { width: gridWidth, height: gridHeight, channels: 3, background: '#101010' } })
+    .composite(composites);
+}
+
+/**
+ * --sweep: renders every combination of the sweep axes with the same seed,
+ * saves each cell next to the grid and writes a JSON index alongside it.
+ * Returns the process exit code.
+ */
+async function runSweep(client, log) {
+  const layout = buildSweepCells(options.sweep);
+  const gridPath = resolveResultOutputPath(options.output, options, 0, 1, { seed: options.seed });
+  const gridExt = extname(gridPath);
+  const stem = gridExt ? gridPath.slice(0, -gridExt.length) : gridPath;
+  const cellExt = options.outputFormat === 'jpg' ? 'jpg' : 'png';
+  const indexPath = `${stem}.json`;
+  log(`Sweep: ${layout.cells.length} image(s) with seed ${options.seed}.`);
+
+  const cellOptionsOf = (cell) => {
+    const { loraStrength, ...params } = cell.params;
+    const cellOptions = { ...options, ...params, count: 1, output: null };
+    if (loraStrength !== undefined) {
+      cellOptions.loraStrengths = options.loras.map(() => loraStrength);
+    }
+    return cellOptions;
+  };
+  await ensurePlanAffordable(client, log, layout.cells.map(cellOptionsOf));
+
+  await runWithConcurrency(layout.cells, options.concurrency, async (cell) => {
+    const label = formatSweepParams(cell.params);
+    const cellOptions = cellOptionsOf(cell);
+    try {
+      const renderInfo = await runBatchJob(client, cellOptions, label, log);
+      cell.url = renderInfo.urls[0];
+      cell.seed = renderInfo.seed;
+      cell.steps = renderInfo.steps ?? null;
+      cell.guidance = renderInfo.guidance ?? null;
+      cell.model = renderInfo.model;
+      cell.projectId = renderInfo.projectId;
+      cell.historyId = renderInfo.id || null;
+      cell.attempts = renderInfo.attempts;
+      cell.buffer = await downloadUrlToBuffer(cell.url);
+      cell.localPath = `${stem}-${cell.index + 1}.${cellExt}`;
+      const metadata = options.embedMetadata
+        ? buildEmbeddedMetadata(cellOptions, { seed: cell.seed, steps: cell.steps, guidance: cell.guidance, projectId: cell.projectId })
+        : null;
+      await writeResultFile(cell.buffer, cell.localPath, metadata, false, log);
+    } catch (error) {
+      cell.error = error.message;
+      cell.errorCode = error.code || null;
+      if (error.details?.attempts) cell.attempts = error.details.attempts;
+      log(`Sweep cell ${label} failed: ${error.message}`);
+    }
+  }, log);
+
+  const title = `seed ${options.seed} | ${options.model} | ${options.prompt}`;
+  const grid = await composeSweepGrid(layout.cells, layout, { width: options.width, height: options.height, title });
+  const gridDir = dirname(gridPath);
+  if (gridDir && gridDir !== '.' && !existsSync(gridDir)) mkdirSync(gridDir, { recursive: true });
+  await grid.toFile(gridPath);
+  log(`Saved grid to ${gridPath}`);
+
+  const failed = layout.cells.filter((cell) => cell.error).length;
+  const index = {
+    success: failed === 0,
+    type: 'sweep',
+    prompt: options.prompt,
+    model: options.model,
+    seed: options.seed,
+    width: options.width,
+    height: options.height,
+    axes: Object.fromEntries(options.sweep.map((axis) => [axis.key, axis.values])),
+    columns: layout.columns,
+    rows: layout.rows,
+    gridPath,
+    indexPath,
+    failed,
+    cells: layout.cells.map(({ buffer, ...cell }) => cell),
+    timestamp: new Date().toISOString()
+  };
+  writeFileSync(indexPath, `${JSON.stringify(index, null, 2)}\n`);
+
+  if (options.json || JSON_ERROR_MODE) {
+    console.log(JSON.stringify(index));
+  } else {
+    console.log(gridPath);
+    if (failed > 0) console.log(`${failed} of ${layout.cells.length} cells failed. Index: ${indexPath}`);
+  }
+  return failed > 0 ? 1 : 0;
+}
+
+// --- Cost estimation ---
+
+/**
+ * Lists the projects this run (or one batch job's `opts`) would submit, as
+ * estimate parameters plus a `label` and `kind` ('image', 'edit', 'photobooth' or 'video').
+ */
+function buildCostSteps(opts = options) {
+  const base = { width: opts.width, height: opts.height, numberOfMedia: opts.count };
+  const videoTiming = (segmentCount) => (opts.frames
+    ? { frames: segmentCount > 1 ? Math.max(17, Math.round(opts.frames / segmentCount)) : opts.frames }
+    : { duration: segmentCount > 1 ? Math.max(1, Math.round(opts.duration / segmentCount)) : opts.duration });
+  const videoSegments = (modelId, segmentCount, label) => {
+    const steps = resolveVideoSteps(modelId, getModelDefaults(modelId, openclawConfig), opts.steps);
+    return Array.from({ length: segmentCount }, (_, i) => ({
+      label: `${label} ${i + 1}/${segmentCount}`,
+      kind: 'video',
+      modelId,
+      ...base,
+      numberOfMedia: 1,
+      fps: opts.fps,
+      steps,
+      ...videoTiming(segmentCount)
+    }));
+  };
+
+  if (opts.multiAngle) {
+    const modelDefaults = getModelDefaults(opts.model, openclawConfig);
+    const steps = opts.steps ?? modelDefaults?.steps ?? (opts.model.includes('lightning') ? 4 : 20);
+    const azimuths = opts.angles360 ? MULTI_ANGLE_AZIMUTHS.map((a) => a.key) : [opts.azimuth];
+    const costSteps = azimuths.map((azimuth) => ({
+      label: `angle ${azimuth}`,
+      kind: 'edit',
+      modelId: opts.model,
+      ...base,
+      steps,
+      contextImages: 1
+    }));
+    if (opts.angles360Video) {
+      const videoModelId = opts.videoModel || openclawConfig?.videoModels?.i2v || VIDEO_WORKFLOW_DEFAULT_MODELS.i2v;
+      costSteps.push(...videoSegments(videoModelId, azimuths.length, '360 video segment'));
+    }
+    return costSteps;
+  }
+  if (opts.keyframes.length > 0) {
+    const modelId = cliSet.model ? opts.model : (openclawConfig?.videoModels?.i2v || VIDEO_WORKFLOW_DEFAULT_MODELS.i2v);
+    const segmentCount = opts.closeLoop ? opts.keyframes.length : opts.keyframes.length - 1;
+    return videoSegments(modelId, segmentCount, 'keyframe segment');
+  }
+  const modelDefaults = getModelDefaults(opts.model, openclawConfig);
+  if (opts.video) {
+    const clip = {
+      kind: 'video',
+      modelId: opts.model,
+      ...base,
+      fps: opts.fps,
+      steps: resolveVideoSteps(opts.model, modelDefaults, opts.steps),
+      ...videoTiming(1)
+    };
+    if (opts._longAudioPlan) {
+      const { segments } = opts._longAudioPlan;
+      return segments.map((segment, i) => ({
+        label: `long-audio segment ${i + 1}/${segments.length}`,
+        ...clip,
+        duration: segment.duration
+      }));
+    }
+    const costSteps = [{ label: `video (${opts.videoWorkflow})`, ...clip }];
+    if (opts.looping && opts.loopMode === 'render') costSteps.push({ label: 'looping return clip (B→A)', ...clip });
+    return costSteps;
+  }
+  if (opts.photobooth) {
+    return [{
+      label: 'photobooth',
+      kind: 'photobooth',
+      modelId: opts.model,
+      ...base,
+      steps: opts.steps ?? modelDefaults?.steps ?? 7
+    }];
+  }
+  if (opts.contextImages.length > 0) {
+    return [{
+      label: 'edit',
+      kind: 'edit',
+      modelId: opts.model,
+      ...base,
+      steps: opts.steps ?? modelDefaults?.steps ?? (opts.model.includes('lightning') ? 4 : 20),
+      contextImages: opts.contextImages.length
+    }];
+  }
+  const imageSteps = opts.steps ?? modelDefaults?.steps;
+  return [{
+    label: 'image',
+    kind: 'image',
+    modelId: opts.model,
+    ...base,
+    ...(imageSteps ? { steps: imageSteps } : {})
+  }];
+}
+
+/**
+ * Prices each step from buildCostSteps() (identical steps are estimated once)
+ * and returns `{ tokenType, steps, cost, usd }`; `cost` is in `tokenType` and
+ * null when any step could not be priced.
+ */
+async function estimateCostSteps(client, costSteps, tokenType = options.tokenType || 'spark') {
+  const cache = new Map();
+  const priced = [];
+  for (const { label, kind, ...params } of costSteps) {
+    const key = JSON.stringify([kind, params]);
+    if (!cache.has(key)) {
+      const request = { ...params, tokenType };
+      if (kind === 'video') {
+        cache.set(key, client.estimateVideoCost(request));
+      } else if (typeof client.estimateImageCost === 'function') {
+        cache.set(key, client.estimateImageCost(request));
+      } else {
+        const err = new Error('This Sogni client cannot estimate image costs.');
+        err.code = 'COST_ESTIMATE_UNAVAILABLE';
+        err.hint = 'Update @sogni-ai/sogni-client-wrapper.';
+        throw err;
+      }
+    }
+    const estimate = await cache.get(key);
+    const usd = Number.parseFloat(estimate?.usd);
+    priced.push({
+      label,
+      kind,
+      model: params.modelId,
+      count: params.numberOfMedia,
+      width: params.width,
+      height: params.height,
+      steps: params.steps ?? null,
+      ...(kind === 'video' ? { fps: params.fps, ...(params.frames ? { frames: params.frames } : { duration: params.duration }) } : {}),
+      cost: parseCostEstimate(estimate, tokenType),
+      usd: Number.isFinite(usd) ? usd : null,
+      estimate
+    });
+  }
+  const sum = (key) => (priced.every((step) => Number.isFinite(step[key]))
+    ? Number(priced.reduce((total, step) => total + step[key], 0).toFixed(6))
+    : null);
+  return { tokenType, steps: priced, cost: sum('cost'), usd: sum('usd') };
+}
+
+// Image, edit and photobooth steps need client.estimateImageCost, which not
+// every wrapper version provides. Without it the pre-flight is skipped quietly
+// unless a budget is set, which then refuses the render.
+function canEstimateCostSteps(client, costSteps) {
+  return typeof client.estimateImageCost === 'function' || costSteps.every((step) => step.kind === 'video');
+}
+
+function resolveCostEstimateMode(opts = options) {
+  if (opts.angles360Video) return 'angles-360-video';
+  if (opts.angles360) return 'angles-360';
+  if (opts.multiAngle) return 'multi-angle';
+  if (opts.keyframes.length > 0) return 'keyframes';
+  if (opts.video) return 'video';
+  if (opts.photobooth) return 'photobooth';
+  return opts.contextImages.length > 0 ? 'edit' : 'image';
+}
+
+async function runEstimateCost(client) {
+  const breakdown = await estimateCostSteps(client, buildCostSteps());
+  const tokenLabel = breakdown.tokenType.toUpperCase();
+  if (options.json) {
+    console.log(JSON.stringify({
+      success: true,
+      type: 'cost-estimate',
+      mode: resolveCostEstimateMode(),
+      ...breakdown
+    }));
+    return;
+  }
+  for (const step of breakdown.steps) {
+    console.log(`${step.label}: ~${formatTokenValue(step.cost)} ${tokenLabel}${step.usd !== null ? ` ($${step.usd})` : ''}`);
+  }
+  console.log(`Total: ~${formatTokenValue(breakdown.cost)} ${tokenLabel}${breakdown.usd !== null ? ` ($${breakdown.usd})` : ''}`);
+}
+
+// --- Spending budget and ledger ---
+
+// The spend ledger (spend.jsonl) gets a line when a render is reserved
+// ({ id, timestamp, tokenType, estimatedCost, workflow, model }) and another
+// when it settles ({ id, settledAt, status, actualCost, actualCostSource,
+// durationSec }). No per-project cost is read from the wrapper, so actualCost
+// is the account balance delta across the render (actualCostSource
+// "balance-delta"); a top-up or refund mid-render skews it.
+
+// Tokens reserved so far by this process; --max-cost caps the total, so a
+// batch, sweep or storyboard counts every job against one budget. `open`
+// holds reservations not yet settled, by ledger id.
+const RUN_SPEND = { reserved: 0, open: new Map() };
+
+function appendSpendRecord(record) {
+  try {
+    mkdirSync(dirname(SPEND_LEDGER_PATH), { recursive: true });
+    appendFileSync(SPEND_LEDGER_PATH, `${JSON.stringify(record)}\n`);
+  } catch {
+    // The ledger feeds maxCostPerDay and --usage; never fail a render over it.
+  }
+}
+
+/** Ledger renders, oldest first, with each reservation merged with its settlement. */
+function readSpendLedger() {
+  if (!existsSync(SPEND_LEDGER_PATH)) return [];
+  const renders = new Map();
+  for (const line of readFileSync(SPEND_LEDGER_PATH, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      continue;
+    }
+    if (!record?.id) continue;
+    renders.set(record.id, { ...renders.get(record.id), ...record });
+  }
+  return [...renders.values()].filter((render) => render.timestamp);
+}
+
+// Settled renders count what they actually cost when that is known.
+function spendOf(render) {
+  return Number.isFinite(render.actualCost) ? render.actualCost : (render.estimatedCost ?? 0);
+}
+
+function formatLocalDay(timestamp) {
+  const date = new Date(timestamp);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Totals ledger renders since `since` per `groupBy` key and token type for
+ * --usage. Costs only sum known values; `measured` counts renders whose
+ * actual cost (a balance delta) is known.
+ */
+function summarizeUsage({ since, groupBy }) {
+  const sinceMs = since ? Date.parse(since) : -Infinity;
+  const keyOf = {
+    day: (render) => formatLocalDay(render.timestamp),
+    model: (render) => render.model || 'unknown',
+    workflow: (render) => render.workflow || 'unknown'
+  }[groupBy];
+  const groups = new Map();
+  const totals = new Map();
+  const add = (map, key, tokenType, render) => {
+    const id = `${key}\u0000${tokenType}`;
+    if (!map.has(id)) {
+      map.set(id, { ...(key !== null ? { key } : {}), tokenType, renders: 0, failed: 0, measured: 0, estimatedCost: 0, actualCost: 0, durationSec: 0 });
+    }
+    const group = map.get(id);
+    group.renders += 1;
+    if (render.status && render.status !== 'success') group.failed += 1;
+    if (Number.isFinite(render.estimatedCost)) group.estimatedCost += render.estimatedCost;
+    if (Number.isFinite(render.actualCost)) {
+      group.actualCost += render.actualCost;
+      group.measured += 1;
+    }
+    if (Number.isFinite(render.durationSec)) group.durationSec += render.durationSec;
+  };
+  for (const render of readSpendLedger()) {
+    if (Date.parse(render.timestamp) < sinceMs) continue;
+    add(groups, keyOf(render), render.tokenType, render);
+    add(totals, null, render.tokenType, render);
+  }
+  const round = (group) => ({
+    ...group,
+    estimatedCost: Number(group.estimatedCost.toFixed(6)),
+    actualCost: Number(group.actualCost.toFixed(6))
+  });
+  return {
+    groups: [...groups.values()].map(round).sort((a, b) => String(a.key).localeCompare(String(b.key)) || a.tokenType.localeCompare(b.tokenType)),
+    totals: [...totals.values()].map(round)
+  };
+}
 
-      const clipConfig = {
-        modelId: videoModelId,
-        positivePrompt: videoPrompt,
-        negativePrompt: '',
-        stylePrompt: '',
-        numberOfMedia: 1,
-        referenceImage: startBuffer,
-        referenceImageEnd: endBuffer,
-        fps: options.fps,
-        width: clipWidth,
-        height: clipHeight,
-        tokenType: options.tokenType || 'spark',
-        waitForCompletion: true,
-        disableNSFWFilter: true
-      };
-      if (segmentFrames) {
-        clipConfig.frames = segmentFrames;
-      } else {
-        clipConfig.duration = segmentDuration;
-      }
-      if (videoSteps) {
-        clipConfig.steps = videoSteps;
-      }
-      if (videoGuidance !== null && videoGuidance !== undefined) {
-        clipConfig.guidance = videoGuidance;
-      }
-      if (options.autoResizeVideoAssets !== null) {
-        clipConfig.autoResizeVideoAssets = options.autoResizeVideoAssets;
-      }
-      const clipResult = await client.createVideoProject(clipConfig);
+function startOfLocalDay() {
+  const midnight = new Date();
+  midnight.setHours(0, 0, 0, 0);
+  return midnight.getTime();
+}
 
-      // Check for errors in the response (e.g., insufficient tokens)
-      if (clipResult?.error || clipResult?.message) {
-        throw new Error(clipResult.error || clipResult.message);
-      }
+/** Sums the ledger's `tokenType` spend since local midnight. */
+function readSpendToday(tokenType) {
+  const since = startOfLocalDay();
+  return readSpendLedger()
+    .filter((render) => render.tokenType === tokenType && Date.parse(render.timestamp) >= since)
+    .reduce((total, render) => total + spendOf(render), 0);
+}
 
-      const clipUrl = clipResult?.videoUrls?.[0];
-      if (!clipUrl) {
-        throw new Error('No video URL returned for 360 segment.');
-      }
-      const clipPath = join(clipDir, `segment-${i + 1}.mp4`);
-      await downloadUrlToFile(clipUrl, clipPath);
-      clipPaths.push(clipPath);
+/**
+ * Throws BUDGET_EXCEEDED when `cost` would take this run past --max-cost /
+ * maxCostPerRun or today's spend past maxCostPerDay.
+ */
+function checkSpendBudget(cost, tokenType) {
+  const tokenLabel = tokenType.toUpperCase();
+  const costHint = 'lower --count, --steps, --duration or the size (--estimate-cost shows the breakdown).';
+  if (Number.isFinite(options.maxCost) && RUN_SPEND.reserved + cost > options.maxCost) {
+    throw buildBudgetError(
+      `Estimated cost ~${formatTokenValue(cost)} ${tokenLabel} exceeds the per-run budget of ` +
+      `${formatTokenValue(options.maxCost)}${RUN_SPEND.reserved > 0 ? ` (${formatTokenValue(RUN_SPEND.reserved)} already used by this run)` : ''}.`,
+      { scope: 'run', tokenType, estimated: cost, reserved: RUN_SPEND.reserved, limit: options.maxCost },
+      `Raise --max-cost (config maxCostPerRun) or ${costHint}`
+    );
+  }
+  if (Number.isFinite(options.maxCostPerDay)) {
+    const spentToday = readSpendToday(tokenType);
+    if (spentToday + cost > options.maxCostPerDay) {
+      throw buildBudgetError(
+        `Estimated cost ~${formatTokenValue(cost)} ${tokenLabel} exceeds today's remaining budget ` +
+        `(${formatTokenValue(spentToday)} of ${formatTokenValue(options.maxCostPerDay)} used).`,
+        { scope: 'day', tokenType, estimated: cost, spentToday, limit: options.maxCostPerDay, ledger: SPEND_LEDGER_PATH },
+        `maxCostPerDay resets at local midnight; raise it in the openclaw config or ${costHint}`
+      );
     }
+  }
+}
 
-    await buildConcatVideoFromClips(videoOutputPath, clipPaths);
-    if (!options.quiet) {
-      console.error(`Saved 360 video: ${videoOutputPath}`);
+/**
+ * Checks an estimated cost against the spending budget, then records it in
+ * the spend ledger and returns the ledger id. Synchronous so that concurrent
+ * jobs cannot both pass the check before either is recorded. `cost` is null
+ * when the render could not be estimated.
+ */
+function reserveSpend(cost, tokenType, opts, balanceBefore) {
+  checkSpendBudget(cost, tokenType);
+  RUN_SPEND.reserved += cost ?? 0;
+  const mode = resolveCostEstimateMode(opts);
+  const record = {
+    id: generateHistoryId(),
+    timestamp: new Date().toISOString(),
+    tokenType,
+    estimatedCost: cost,
+    workflow: mode === 'video' ? (opts.videoWorkflow || 'video') : mode,
+    model: opts.model
+  };
+  // Balance deltas only measure a render that had the account to itself.
+  for (const reservation of RUN_SPEND.open.values()) reservation.exclusive = false;
+  RUN_SPEND.open.set(record.id, {
+    tokenType,
+    startedAt: Date.now(),
+    balanceBefore,
+    exclusive: RUN_SPEND.open.size === 0
+  });
+  appendSpendRecord(record);
+  return record.id;
+}
+
+/**
+ * Records how a reserved render ended. `actualCost` is the balance drop
+ * across the render, or null when another render of this run overlapped it,
+ * the balance is unavailable or it did not go down.
+ */
+async function settleSpend(client, id, status) {
+  const reservation = RUN_SPEND.open.get(id);
+  if (!reservation) return;
+  let balanceAfter = null;
+  if (client && reservation.exclusive && Number.isFinite(reservation.balanceBefore)) {
+    try {
+      const balance = await Promise.race([
+        client.getBalance(),
+        new Promise((resolve) => setTimeout(() => resolve(null), CANCEL_TIMEOUT_MS).unref())
+      ]);
+      balanceAfter = reservation.tokenType === 'sogni' ? balance?.sogni : balance?.spark;
+    } catch {
+      // Leave actualCost unknown.
     }
   }
-  if (videoOutputPath) {
-    renderInfo.videoPath = videoOutputPath;
-    renderInfo.videoModel = videoModelId;
+  RUN_SPEND.open.delete(id);
+  const balanceDelta = reservation.exclusive && Number.isFinite(balanceAfter)
+    ? Number((reservation.balanceBefore - balanceAfter).toFixed(6))
+    : null;
+  const measured = balanceDelta !== null && balanceDelta > 0;
+  appendSpendRecord({
+    id,
+    settledAt: new Date().toISOString(),
+    status,
+    actualCost: measured ? balanceDelta : null,
+    actualCostSource: measured ? 'balance-delta' : null,
+    durationSec: Math.round((Date.now() - reservation.startedAt) / 1000)
+  });
+}
+
+/** Settles every open reservation, e.g. when the run ends or is cancelled. */
+async function settleOpenSpend(client, status) {
+  for (const id of [...RUN_SPEND.open.keys()]) {
+    await settleSpend(client, id, status);
   }
-  saveLastRender(renderInfo);
+}
 
-  if (options.json) {
-    console.log(JSON.stringify({
-      success: true,
-      type: renderInfo.type,
-      model: renderInfo.model,
-      width: renderInfo.width,
-      height: renderInfo.height,
-      count: renderInfo.count,
-      tokenType: renderInfo.tokenType,
-      seed: renderInfo.seed,
-      seedStrategy: renderInfo.seedStrategy,
-      outputFormat: renderInfo.outputFormat,
-      sampler: renderInfo.sampler,
-      scheduler: renderInfo.scheduler,
-      loras: renderInfo.loras,
-      loraStrengths: renderInfo.loraStrengths,
-      videoPath: renderInfo.videoPath || null,
-      videoModel: renderInfo.videoModel || null,
-      angles: angleResults
-    }));
-  } else {
-    if (videoOutputPath) {
-      console.log(`video: ${videoOutputPath}`);
-    }
-    angleResults.forEach((angle) => {
-      angle.urls.forEach((url, index) => {
-        const suffix = angle.urls.length > 1 ? `#${index + 1}` : '';
-        console.log(`${angle.azimuth}${suffix}: ${url}`);
-      });
-    });
+/**
+ * With --token-fallback, switches `opts.tokenType` to the other token when
+ * its balance covers the render and records the switch in
+ * `opts._tokenFallback`. Returns the new `{ tokenType, available, required }`,
+ * or null when the other token cannot cover it either.
+ */
+async function tryTokenFallback(client, log, opts, balance, shortfall) {
+  const to = shortfall.tokenType === 'sogni' ? 'spark' : 'sogni';
+  const available = to === 'sogni' ? balance?.sogni : balance?.spark;
+  if (!Number.isFinite(available) || available <= 0) return null;
+  let required = null;
+  try {
+    ({ cost: required } = await estimateCostSteps(client, buildCostSteps(opts), to));
+  } catch (err) {
+    // Without an estimate there is nothing to compare the balance against.
   }
+  if (!Number.isFinite(required) || available < required) return null;
+  opts._tokenFallback = {
+    from: shortfall.tokenType,
+    to,
+    reason: 'insufficient-balance',
+    available: { [shortfall.tokenType]: shortfall.available, [to]: available },
+    required: { [shortfall.tokenType]: shortfall.required, [to]: required }
+  };
+  opts.tokenType = to;
+  if (!options.quiet) {
+    log(`${shortfall.tokenType.toUpperCase()} balance is short (have ${formatTokenValue(shortfall.available)}); ` +
+      `paying with ${to.toUpperCase()} instead (need ~${formatTokenValue(required)}, have ${formatTokenValue(available)}).`);
+  }
+  return { tokenType: to, available, required };
 }
 
-async function ensureSufficientVideoBalance(client, log) {
-  if (!options.video || options.estimateVideoCost) return;
-  const tokenType = options.tokenType || 'spark';
-  const tokenLabel = tokenType.toUpperCase();
-  let balance;
+/**
+ * Pre-flight check before submitting anything: estimates the whole render
+ * (every angle, segment and return clip), fails on an insufficient balance
+ * (or switches token with --token-fallback) and enforces the spending
+ * budget. Returns the spend ledger id to settle. Batch, sweep, storyboard
+ * and extend call it once per job with that job's options; all but batch
+ * check the run as a whole with ensurePlanAffordable() first.
+ */
+async function ensureSufficientBalance(client, log, opts = options) {
+  if (opts.estimateVideoCost || opts.estimateCost) return;
+  let tokenType = opts.tokenType || 'spark';
+  const budgeted = Number.isFinite(options.maxCost) || Number.isFinite(options.maxCostPerDay);
+  let balance = null;
   try {
     balance = await client.getBalance();
   } catch (err) {
     if (!options.quiet) {
       log(`Warning: Could not fetch balance (${err?.message || 'error'})`);
     }
-    return;
   }
-  const available = tokenType === 'sogni' ? balance.sogni : balance.spark;
-  if (!Number.isFinite(available)) return;
-  if (available <= 0) {
-    throw buildBalanceError(
-      `Insufficient ${tokenLabel} balance (have ${formatTokenValue(available)}).`,
-      { tokenType, available }
-    );
+  let available = tokenType === 'sogni' ? balance?.sogni : balance?.spark;
+
+  const costSteps = buildCostSteps(opts);
+  const priceable = canEstimateCostSteps(client, costSteps);
+  let required = null;
+  if (priceable && (!Number.isFinite(available) || available > 0)) {
+    try {
+      ({ cost: required } = await estimateCostSteps(client, costSteps, tokenType));
+    } catch (err) {
+      if (!budgeted && !options.quiet) {
+        log(`Warning: Could not estimate cost (${err?.message || 'error'})`);
+      }
+    }
+  }
+  if (Number.isFinite(available) && (available <= 0 || (Number.isFinite(required) && available < required))) {
+    const shortfall = { tokenType, available, required };
+    const fallback = options.tokenFallback ? await tryTokenFallback(client, log, opts, balance, shortfall) : null;
+    if (!fallback) {
+      const tokenLabel = tokenType.toUpperCase();
+      const err = buildBalanceError(
+        Number.isFinite(required)
+          ? `Insufficient ${tokenLabel} balance for this render (need ~${formatTokenValue(required)}, have ${formatTokenValue(available)}).`
+          : `Insufficient ${tokenLabel} balance (have ${formatTokenValue(available)}).`,
+        Number.isFinite(required) ? { tokenType, available, required } : { tokenType, available }
+      );
+      err.hint = options.tokenFallback
+        ? `The ${tokenType === 'sogni' ? 'SPARK' : 'SOGNI'} balance cannot cover it either.`
+        : `Pass --token-fallback to pay with ${tokenType === 'sogni' ? 'SPARK' : 'SOGNI'} when the ${tokenLabel} balance is short.`;
+      throw err;
+    }
+    ({ tokenType, available, required } = fallback);
   }
 
-  const modelDefaults = getModelDefaults(options.model, openclawConfig);
-  const steps = resolveVideoSteps(options.model, modelDefaults, options.steps);
-  if (!Number.isFinite(steps) || steps <= 0) return;
+  if (!Number.isFinite(required)) {
+    if (!budgeted) return reserveSpend(null, tokenType, opts, available);
+    // Fail closed: refuse a render whose cost the budget cannot be checked against.
+    throw buildUnpricedBudgetError(tokenType, priceable ? null : 'COST_ESTIMATE_UNAVAILABLE');
+  }
+  return reserveSpend(required, tokenType, opts, available);
+}
+
+/** `reason` is COST_ESTIMATE_UNAVAILABLE when the client cannot price image renders at all. */
+function buildUnpricedBudgetError(tokenType, reason = null) {
+  const err = new Error('Could not estimate the cost of this render, so the spending budget cannot be checked.');
+  err.code = 'BUDGET_EXCEEDED';
+  err.details = {
+    tokenType,
+    maxCost: options.maxCost,
+    maxCostPerDay: options.maxCostPerDay,
+    ...(reason ? { code: reason } : {})
+  };
+  err.hint = 'Retry once cost estimation is available, or run without --max-cost / maxCostPerRun / maxCostPerDay.';
+  return err;
+}
 
-  let estimate;
+/**
+ * Pre-flight for runs of several renders: prices every job in `plan` (a list
+ * of job options) together and fails before the first render when the total
+ * is over the spending budget or the balance. Reserves nothing; each job
+ * still reserves its own cost when it starts.
+ */
+async function ensurePlanAffordable(client, log, plan) {
+  if (plan.length === 0 || options.estimateVideoCost || options.estimateCost) return;
+  const tokenType = options.tokenType || 'spark';
+  const budgeted = Number.isFinite(options.maxCost) || Number.isFinite(options.maxCostPerDay);
+  const costSteps = plan.flatMap((opts) => buildCostSteps(opts));
+  if (!canEstimateCostSteps(client, costSteps)) {
+    if (budgeted) throw buildUnpricedBudgetError(tokenType, 'COST_ESTIMATE_UNAVAILABLE');
+    return;
+  }
+  let required = null;
   try {
-    estimate = await client.estimateVideoCost({
-      modelId: options.model,
-      width: options.width,
-      height: options.height,
-      fps: options.fps,
-      steps,
-      numberOfMedia: options.count,
-      tokenType,
-      ...(options.frames ? { frames: options.frames } : { duration: options.duration })
-    });
+    ({ cost: required } = await estimateCostSteps(client, costSteps, tokenType));
   } catch (err) {
-    if (!options.quiet) {
-      log(`Warning: Could not estimate video cost (${err?.message || 'error'})`);
+    if (!budgeted && !options.quiet) {
+      log(`Warning: Could not estimate cost (${err?.message || 'error'})`);
     }
+  }
+  if (!Number.isFinite(required)) {
+    if (budgeted) throw buildUnpricedBudgetError(tokenType);
+    return;
+  }
+  checkSpendBudget(required, tokenType);
+  // With --token-fallback each job can still switch token on its own.
+  if (options.tokenFallback) return;
+  let balance = null;
+  try {
+    balance = await client.getBalance();
+  } catch {
     return;
   }
-  const required = parseCostEstimate(estimate, tokenType);
-  if (Number.isFinite(required) && available < required) {
-    throw buildBalanceError(
-      `Insufficient ${tokenLabel} balance for video render (need ~${formatTokenValue(required)}, ` +
-      `have ${formatTokenValue(available)}).`,
-      { tokenType, available, required }
+  const available = tokenType === 'sogni' ? balance?.sogni : balance?.spark;
+  if (Number.isFinite(available) && available < required) {
+    const tokenLabel = tokenType.toUpperCase();
+    const err = buildBalanceError(
+      `Insufficient ${tokenLabel} balance for this run of ${plan.length} render(s) (need ~${formatTokenValue(required)}, have ${formatTokenValue(available)}).`,
+      { tokenType, available, required, renders: plan.length }
     );
+    err.hint = `Pass --token-fallback to pay with ${tokenType === 'sogni' ? 'SPARK' : 'SOGNI'} when the ${tokenLabel} balance is short.`;
+    throw err;
   }
 }
 
@@ -2656,6 +6727,36 @@ async function main() {
       return;
     }
 
+    if (options.muxVideo) {
+      const videoPath = sanitizePath(options.muxVideo, '--mux-audio video');
+      if (!existsSync(videoPath)) {
+        const err = new Error(`Video file not found: ${videoPath}`);
+        err.code = 'FILE_NOT_FOUND';
+        throw err;
+      }
+      const ext = extname(videoPath);
+      const outputPath = sanitizePath(options.output || `${videoPath.slice(0, videoPath.length - ext.length)}-muxed${ext}`, '--output path');
+      if (outputPath !== videoPath) copyFileSync(videoPath, trackCleanupPath(outputPath));
+      const soundtrack = { track: options.muxAudio, source: 'mux-audio', offset: options.audioOffset, fit: options.audioFit };
+      await attachSoundtrack([outputPath], soundtrack, log);
+      releaseCleanupPath(outputPath);
+      if (options.json || JSON_ERROR_MODE) {
+        console.log(JSON.stringify({
+          success: true,
+          type: 'mux-audio',
+          videoPath,
+          audioPath: options.muxAudio,
+          outputPath,
+          offset: options.audioOffset,
+          fit: options.audioFit,
+          timestamp: new Date().toISOString()
+        }));
+      } else {
+        console.log(`Muxed ${options.muxAudio} into: ${outputPath}`);
+      }
+      return;
+    }
+
     if (options.listMedia) {
       const mediaType = options.listMedia;
       const baseDir = MEDIA_INBOUND_DIR;
@@ -2721,6 +6822,85 @@ async function main() {
       return;
     }
 
+    if (options.usage) {
+      const { groups, totals } = summarizeUsage({ since: options.usageSince, groupBy: options.usageGroupBy });
+      if (options.json || JSON_ERROR_MODE) {
+        console.log(JSON.stringify({
+          success: true,
+          type: 'usage',
+          since: options.usageSince,
+          groupBy: options.usageGroupBy,
+          ledger: SPEND_LEDGER_PATH,
+          groups,
+          totals,
+          timestamp: new Date().toISOString()
+        }));
+      } else if (groups.length === 0) {
+        console.log(`No spending recorded in ${SPEND_LEDGER_PATH}${options.usageSince ? ` since ${options.usageSince}` : ''}`);
+      } else {
+        const rows = [
+          [options.usageGroupBy.toUpperCase(), 'TOKEN', 'RENDERS', 'FAILED', 'ESTIMATED', 'BALANCE DELTA', 'TIME'],
+          ...[...groups, ...totals.map((total) => ({ ...total, key: 'total' }))].map((group) => [
+            group.key,
+            group.tokenType,
+            String(group.renders),
+            String(group.failed),
+            formatTokenValue(group.estimatedCost),
+            group.measured > 0 ? formatTokenValue(group.actualCost) : '-',
+            `${group.durationSec}s`
+          ])
+        ];
+        const widths = rows[0].map((_, col) => Math.max(...rows.map((row) => row[col].length)));
+        for (const row of rows) {
+          console.log(row.map((cell, col) => (col < 2 ? cell.padEnd(widths[col]) : cell.padStart(widths[col]))).join('  '));
+        }
+      }
+      return;
+    }
+
+    if (options.history) {
+      const { total, entries } = queryHistory({
+        limit: options.historyLimit,
+        type: options.historyType,
+        model: cliSet.model ? options.model : null,
+        search: options.historySearch
+      });
+      if (options.json || JSON_ERROR_MODE) {
+        console.log(JSON.stringify({
+          success: true,
+          type: 'history',
+          total,
+          entries,
+          timestamp: new Date().toISOString()
+        }));
+      } else if (entries.length === 0) {
+        console.log(`No renders found in ${HISTORY_PATH}`);
+      } else {
+        for (const entry of entries) {
+          const prompt = entry.prompt || entry.angleDescription || '';
+          const links = [
+            entry.parents?.length ? `from ${entry.parents.join(',')}` : '',
+            entry.children?.length ? `used by ${entry.children.join(',')}` : ''
+          ].filter(Boolean).join('; ');
+          console.log(
+            `${entry.id}  ${entry.timestamp}  ${entry.type}  ${entry.model}  seed ${entry.seed ?? '-'}  ` +
+            `${JSON.stringify(prompt.length > 60 ? `${prompt.slice(0, 57)}...` : prompt)}${links ? `  (${links})` : ''}` +
+            `${entry.status ? `  [${entry.status}]` : ''}`
+          );
+        }
+        if (total > entries.length) console.log(`(${total - entries.length} more; use --limit)`);
+      }
+      return;
+    }
+
+    installCancelHandlers(log);
+    options._referenceMedia = await prepareReferenceMedia(options, log);
+    if (options.longAudio) {
+      options._longAudioPlan = await planLongAudioSegments(options);
+    } else {
+      options._durationFromAudio = await applyRefAudioDuration(options, log);
+    }
+
     const creds = loadCredentials();
     log('Connecting to Sogni...');
     client = new SogniClientWrapper({
@@ -2758,7 +6938,43 @@ async function main() {
       return;
     }
 
-    await ensureSufficientVideoBalance(client, log);
+    if (options.estimateCost) {
+      await runEstimateCost(client);
+      return;
+    }
+
+    if (options.sweep.length > 0) {
+      process.exitCode = await runSweep(client, log);
+      return;
+    }
+
+    if (options.storyboard) {
+      await runStoryboard(client, log);
+      return;
+    }
+
+    if (options.extend) {
+      await runExtend(client, log);
+      return;
+    }
+
+    if (options.longAudio) {
+      await runLongAudio(client, log);
+      return;
+    }
+
+    if (options.batch) {
+      // Early returns skip the process.exit() below, so set the code directly.
+      process.exitCode = await runBatch(client, log);
+      return;
+    }
+
+    await ensureSufficientBalance(client, log);
+
+    if (options.keyframes.length > 0) {
+      await runKeyframesFlow(client, log);
+      return;
+    }
 
     if (options.estimateVideoCost) {
       const modelDefaults = getModelDefaults(options.model, openclawConfig);
@@ -2817,62 +7033,84 @@ async function main() {
     const results = [];
     let completedJobs = 0;
     let loopingStartImageBuffer;
+    // Set when --resume restores the first looping clip(s) instead of rendering them.
+    let resumedFirstClips = false;
+    // Effective steps/guidance after model defaults, recorded in embedded metadata.
+    let resolvedSteps = null;
+    let resolvedGuidance = null;
     
-    const completionPromise = new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        reject(new Error(`Timeout after ${options.timeout / 1000}s`));
-      }, options.timeout);
-      
-      client.on(ClientEvent.JOB_COMPLETED, (data) => {
-        const jobData = data.job?.data || {};
-        results.push({
-          imageUrl: data.imageUrl,
-          videoUrl: data.videoUrl,
-          seed: jobData.seed,
-          jobIndex: data.jobIndex,
-          projectId: data.projectId
-        });
-        completedJobs++;
-        log(`${options.video ? 'Video' : 'Image'} ${completedJobs}/${options.count} completed`);
-        
-        if (completedJobs >= options.count) {
-          clearTimeout(timeout);
+    // Set by the branch below; called once per submission (see --retries).
+    let createProject = null;
+    // The submission in flight; replaced when a transient failure is retried.
+    let submission = null;
+    const waitForSubmission = () => new Promise((resolve, reject) => {
+      const watchdog = startProgressWatchdog(options.timeout, reject);
+      submission = {
+        projectId: null,
+        watchdog,
+        resolve: () => {
+          watchdog.stop();
           resolve();
+        },
+        reject: (error) => {
+          watchdog.stop();
+          reject(error);
         }
+      };
+    });
+    // Events from an earlier, failed submission's project are ignored.
+    const isStaleEvent = (data) => Boolean(submission?.projectId && data?.projectId && data.projectId !== submission.projectId);
+    let completionPromise = waitForSubmission();
+
+    client.on(ClientEvent.JOB_COMPLETED, (data) => {
+      if (isStaleEvent(data)) return;
+      const jobData = data.job?.data || {};
+      results.push({
+        imageUrl: data.imageUrl,
+        videoUrl: data.videoUrl,
+        seed: jobData.seed,
+        jobIndex: data.jobIndex,
+        projectId: data.projectId
       });
+      completedJobs++;
+      log(`${options.video ? 'Video' : 'Image'} ${completedJobs}/${options.count} completed`);
       
-      client.on(ClientEvent.JOB_FAILED, (data) => {
-        clearTimeout(timeout);
-        reject(new Error(data.error || 'Job failed'));
-      });
+      if (completedJobs >= options.count) {
+        submission.resolve();
+      } else {
+        submission.watchdog.progress();
+      }
+    });
+    
+    client.on(ClientEvent.JOB_FAILED, (data) => {
+      if (isStaleEvent(data)) return;
+      submission.reject(new Error(data.error || 'Job failed'));
+    });
 
-      client.on(ClientEvent.PROJECT_FAILED, (data) => {
-        clearTimeout(timeout);
-        const message = data?.message || data?.error || 'Project failed';
-        reject(new Error(message));
-      });
+    client.on(ClientEvent.PROJECT_FAILED, (data) => {
+      if (isStaleEvent(data)) return;
+      const message = data?.message || data?.error || 'Project failed';
+      submission.reject(new Error(message));
+    });
 
-      client.on(ClientEvent.PROJECT_EVENT, (event) => {
-        if (event?.type !== 'error') return;
-        clearTimeout(timeout);
-        const message = event?.error?.message || event?.error?.error || 'Project failed';
-        reject(new Error(message));
-      });
+    client.on(ClientEvent.PROJECT_EVENT, (event) => {
+      if (event?.type !== 'error' || isStaleEvent(event)) return;
+      const message = event?.error?.message || event?.error?.error || 'Project failed';
+      submission.reject(new Error(message));
+    });
 
-      client.on(ClientEvent.JOB_EVENT, (event) => {
-        if (event?.type !== 'error') return;
-        clearTimeout(timeout);
-        const message = event?.error?.message || event?.error?.error || 'Job failed';
-        reject(new Error(message));
-      });
-      
-      // Progress for video
-      if (options.video) {
-        client.on(ClientEvent.PROJECT_PROGRESS, (data) => {
-          if (data.percentage && data.percentage > 0) {
-            log(`Progress: ${Math.round(data.percentage)}%`);
-          }
-        });
+    client.on(ClientEvent.JOB_EVENT, (event) => {
+      if (event?.type !== 'error' || isStaleEvent(event)) return;
+      const message = event?.error?.message || event?.error?.error || 'Job failed';
+      submission.reject(new Error(message));
+    });
+    
+    // Progress feeds --queue-timeout/--idle-timeout; it is only logged for video
+    client.on(ClientEvent.PROJECT_PROGRESS, (data) => {
+      if (isStaleEvent(data)) return;
+      submission.watchdog.progress();
+      if (options.video && data.percentage && data.percentage > 0) {
+        log(`Progress: ${Math.round(data.percentage)}%`);
       }
     });
     
@@ -2886,8 +7124,8 @@ async function main() {
       
       let imageBuffer = options.refImage ? await fetchMediaBuffer(options.refImage) : undefined;
       let endImageBuffer = options.refImageEnd ? await fetchMediaBuffer(options.refImageEnd) : undefined;
-      const audioBuffer = options.refAudio ? await fetchMediaBuffer(options.refAudio) : undefined;
-      const videoBuffer = options.refVideo ? await fetchMediaBuffer(options.refVideo) : undefined;
+      const audioBuffer = options.refAudio ? await fetchMediaBuffer(referenceUpload(options, 'audio')) : undefined;
+      const videoBuffer = options.refVideo ? await fetchMediaBuffer(referenceUpload(options, 'video')) : undefined;
 
       // Pre-resize reference images to div-16 dimensions if needed for i2v workflow
       if (options.videoWorkflow === 'i2v' && imageBuffer && options._needsRefResize) {
@@ -2924,12 +7162,14 @@ async function main() {
       const modelDefaults = getModelDefaults(options.model, openclawConfig);
       const steps = resolveVideoSteps(options.model, modelDefaults, options.steps);
       const guidance = options.guidance ?? modelDefaults?.guidance;
+      resolvedSteps = Number.isFinite(steps) ? steps : null;
+      resolvedGuidance = guidance ?? null;
       
       const projectConfig = {
         modelId: options.model,
         positivePrompt: options.prompt,
-        negativePrompt: '',
-        stylePrompt: '',
+        negativePrompt: options.negativePrompt || '',
+        stylePrompt: options.stylePrompt || '',
         numberOfMedia: options.count,
         referenceImage: imageBuffer,
         fps: options.fps,
@@ -2991,11 +7231,17 @@ async function main() {
         projectConfig.lastFrameStrength = options.lastFrameStrength;
       }
 
-      const videoResult = await client.createVideoProject(projectConfig);
-
-      // Check for errors in the response (e.g., insufficient tokens)
-      if (videoResult?.error || videoResult?.message) {
-        throw new Error(videoResult.error || videoResult.message);
+      const savedLoops = RESUME_STATE?.kind === 'looping' ? RESUME_STATE.loops || {} : null;
+      resumedFirstClips = Boolean(savedLoops) && Array.from({ length: options.count }, (_, i) => savedLoops[i])
+        .every((loop) => loop?.first && isNonEmptyFile(loop.first.path));
+      if (resumedFirstClips) {
+        log(`Reusing first clip(s) from job ${RESUME_STATE.id}`);
+        for (let i = 0; i < options.count; i++) {
+          const { url, seed, projectId } = savedLoops[i].first;
+          results.push({ videoUrl: url, seed, jobIndex: i, projectId });
+        }
+      } else {
+        createProject = () => client.createVideoProject(projectConfig);
       }
     } else if (options.contextImages.length > 0) {
       // Image editing with context images
@@ -3010,6 +7256,8 @@ async function main() {
       const modelDefaults = getModelDefaults(options.model, openclawConfig);
       const steps = options.steps ?? modelDefaults?.steps ?? (options.model.includes('lightning') ? 4 : 20);
       const guidance = options.guidance ?? modelDefaults?.guidance ?? (options.model.includes('lightning') ? 3.5 : 7.5);
+      resolvedSteps = steps;
+      resolvedGuidance = guidance;
       
       const editConfig = {
         modelId: options.model,
@@ -3024,6 +7272,12 @@ async function main() {
         disableNSFWFilter: true
       };
 
+      if (options.negativePrompt) {
+        editConfig.negativePrompt = options.negativePrompt;
+      }
+      if (options.stylePrompt) {
+        editConfig.stylePrompt = options.stylePrompt;
+      }
       if (options.outputFormat) {
         editConfig.outputFormat = options.outputFormat;
       }
@@ -3044,7 +7298,7 @@ async function main() {
         editConfig.seed = options.seed;
       }
       
-      await client.createImageEditProject(editConfig);
+      createProject = () => client.createImageEditProject(editConfig);
     } else if (options.photobooth) {
       // Photobooth: face transfer with InstantID ControlNet
       log(`Photobooth with ${options.model}...`);
@@ -3054,12 +7308,14 @@ async function main() {
       const modelDefaults = getModelDefaults(options.model, openclawConfig);
       const steps = options.steps ?? modelDefaults?.steps ?? 7;
       const guidance = options.guidance ?? modelDefaults?.guidance ?? 2;
+      resolvedSteps = steps;
+      resolvedGuidance = guidance;
 
       const projectConfig = {
         modelId: options.model,
         positivePrompt: options.prompt,
-        negativePrompt: '',
-        stylePrompt: '',
+        negativePrompt: options.negativePrompt || '',
+        stylePrompt: options.stylePrompt || '',
         numberOfMedia: options.count,
         tokenType: options.tokenType || 'spark',
         waitForCompletion: false,
@@ -3086,12 +7342,7 @@ async function main() {
       if (options.loras.length > 0) projectConfig.loras = options.loras;
       if (options.loraStrengths.length > 0) projectConfig.loraStrengths = options.loraStrengths;
 
-      const projectResult = await client.createImageProject(projectConfig);
-
-      // Check for errors in the response (e.g., insufficient tokens)
-      if (projectResult?.error || projectResult?.message) {
-        throw new Error(projectResult.error || projectResult.message);
-      }
+      createProject = () => client.createImageProject(projectConfig);
     } else {
       // Standard image generation
       log(`Generating with ${options.model}...`);
@@ -3099,12 +7350,14 @@ async function main() {
       const modelDefaults = getModelDefaults(options.model, openclawConfig);
       const guidance = options.guidance ?? modelDefaults?.guidance ?? 1.0;
       const steps = options.steps ?? modelDefaults?.steps;
+      resolvedSteps = steps ?? null;
+      resolvedGuidance = guidance;
       
       const projectConfig = {
         modelId: options.model,
         positivePrompt: options.prompt,
-        negativePrompt: '',
-        stylePrompt: '',
+        negativePrompt: options.negativePrompt || '',
+        stylePrompt: options.stylePrompt || '',
         numberOfMedia: options.count,
         tokenType: options.tokenType || 'spark',
         waitForCompletion: false,
@@ -3131,16 +7384,56 @@ async function main() {
         projectConfig.seed = options.seed;
       }
       
-      await client.createImageProject(projectConfig);
+      createProject = () => client.createImageProject(projectConfig);
     }
     
-    // Wait for completion via events
-    await completionPromise;
+    // Submit and wait for completion via events, resubmitting transient failures
+    let attempts = [];
+    if (resumedFirstClips) {
+      completionPromise.catch(() => {});
+    } else {
+      ({ attempts } = await runWithRetries(async (attemptNumber) => {
+        if (attemptNumber > 1) {
+          results.length = 0;
+          completedJobs = 0;
+          completionPromise = waitForSubmission();
+        }
+        try {
+          const projectResult = await createProject();
+          submission.projectId = projectResult?.project?.id || null;
+          submission.watchdog.submitted();
+          trackProject(client, submission.projectId);
+
+          // Check for errors in the response (e.g., insufficient tokens)
+          if (projectResult?.error || projectResult?.message) {
+            throw new Error(projectResult.error || projectResult.message);
+          }
+          await completionPromise;
+          return { projectId: submission.projectId };
+        } catch (error) {
+          completionPromise.catch(() => {});
+          error.projectId = submission.projectId;
+          untrackProject(submission.projectId);
+          throw error;
+        }
+      }, { client, log }));
+    }
+    untrackClientProjects(client);
     
     if (results.length > 0) {
-      const urls = results.map(r => options.video ? r.videoUrl : r.imageUrl).filter(Boolean);
+      const urlResults = results.filter(r => options.video ? r.videoUrl : r.imageUrl);
+      const urls = urlResults.map(r => options.video ? r.videoUrl : r.imageUrl);
       const firstResult = results[0];
-      
+
+      const localPaths = options.output
+        ? urlResults.map((r, i) => resolveResultOutputPath(options.output, options, i, urls.length, {
+            seed: r.seed ?? options.seed,
+            project_id: r.projectId
+          }))
+        : [];
+
+      const soundtrack = options.output ? resolveSoundtrack() : null;
+
       // Save last render info
       const seeds = results.map(r => r.seed ?? options.seed);
       const renderInfo = {
@@ -3155,9 +7448,16 @@ async function main() {
         seeds,
         projectId: firstResult.projectId,
         urls: urls,
-        localPath: options.output || null,
+        localPath: localPaths[0] || null,
+        localPaths,
         tokenType: options.tokenType || 'spark'
       };
+      if (options.negativePrompt) {
+        renderInfo.negativePrompt = options.negativePrompt;
+      }
+      if (options.stylePrompt) {
+        renderInfo.stylePrompt = options.stylePrompt;
+      }
       if (options.outputFormat) {
         renderInfo.outputFormat = options.outputFormat;
       }
@@ -3185,6 +7485,7 @@ async function main() {
         renderInfo.refImageEnd = options.refImageEnd;
         if (options.refAudio) renderInfo.refAudio = options.refAudio;
         if (options.refVideo) renderInfo.refVideo = options.refVideo;
+        if (soundtrack) renderInfo.audio = soundtrack;
         if (options.videoControlNetName) {
           renderInfo.controlNet = {
             name: options.videoControlNetName,
@@ -3203,136 +7504,57 @@ async function main() {
         renderInfo.photobooth = true;
         renderInfo.refImage = options.refImage;
       }
+      if (resolvedSteps != null) renderInfo.steps = resolvedSteps;
+      if (resolvedGuidance != null) renderInfo.guidance = resolvedGuidance;
+      if (options.fromFile) {
+        renderInfo.fromFile = options.fromFile;
+      }
+      if (options.rerun) {
+        renderInfo.rerunOf = options.rerun;
+      }
       saveLastRender(renderInfo);
       
       // Save to file if requested
-      if (options.output && urls[0]) {
-        const response = await fetch(urls[0]);
-        const buffer = Buffer.from(await response.arrayBuffer());
-
-        const dir = dirname(options.output);
-        if (dir && dir !== '.' && !existsSync(dir)) mkdirSync(dir, { recursive: true });
-
-        // Handle looping for i2v workflow
-        if (options.looping && options.videoWorkflow === 'i2v' && options.refImage) {
-          log('Creating looping video (A→B→A)...');
-
-          // Save first clip temporarily
-          const tempDir = mkdtempSync(join(tmpdir(), 'sogni-loop-'));
-          const clip1Path = join(tempDir, 'clip1.mp4');
-          const lastFramePath = join(tempDir, 'last-frame.png');
-          const clip2Path = join(tempDir, 'clip2.mp4');
-
-          writeFileSync(clip1Path, buffer);
-          log('Extracting last frame...');
-          await extractLastFrameFromVideo(clip1Path, lastFramePath);
-
-          // Generate second clip (last frame → original image)
-          log('Generating return clip (B→A)...');
-
-          // Get model defaults for steps and guidance
-          const modelDefaults2 = getModelDefaults(options.model, openclawConfig);
-          const steps2 = resolveVideoSteps(options.model, modelDefaults2, options.steps);
-          const guidance2 = options.guidance ?? modelDefaults2?.guidance;
-
-          const projectConfig2 = {
-            modelId: options.model,
-            positivePrompt: options.prompt,
-            negativePrompt: '',
-            stylePrompt: '',
-            numberOfMedia: 1,
-            referenceImage: readFileSync(lastFramePath),
-            referenceImageEnd: loopingStartImageBuffer,
-            fps: options.fps,
-            width: options.width,
-            height: options.height,
-            tokenType: options.tokenType || 'spark',
-            waitForCompletion: false,
-            disableNSFWFilter: true
-          };
-
-          if (options.frames) projectConfig2.frames = options.frames;
-          else if (options.duration) projectConfig2.duration = options.duration;
-          if (Number.isFinite(steps2)) projectConfig2.steps = steps2;
-          if (guidance2 !== null && guidance2 !== undefined) projectConfig2.guidance = guidance2;
-
-          // Create a new client for second clip to avoid event conflicts
-          const creds = loadCredentials();
-          const client2 = new SogniClientWrapper({
-            network: openclawConfig?.defaultNetwork || 'fast',
-            autoConnect: false,
-            ...(creds.SOGNI_API_KEY
-              ? { apiKey: creds.SOGNI_API_KEY, authType: 'apiKey' }
-              : {
-                  username: creds.SOGNI_USERNAME,
-                  password: creds.SOGNI_PASSWORD,
-                  authType: 'token'
-                })
-          });
-          await client2.connect();
-
-          // Create second clip and wait for completion via events
-          const clip2Promise = new Promise((resolve, reject) => {
-            const timeout = setTimeout(() => {
-              reject(new Error('Second clip generation timed out'));
-            }, options.timeout);
-
-            client2.on(ClientEvent.JOB_COMPLETED, async (data) => {
-              try {
-                clearTimeout(timeout);
-                const clip2Url = data.videoUrl;
-                if (!clip2Url) {
-                  reject(new Error('No video URL returned for second clip.'));
-                  return;
-                }
-
-                // Download second clip
-                const response2 = await fetch(clip2Url);
-                const buffer2 = Buffer.from(await response2.arrayBuffer());
-                writeFileSync(clip2Path, buffer2);
-
-                await client2.disconnect();
-                resolve();
-              } catch (err) {
-                clearTimeout(timeout);
-                reject(err);
-              }
-            });
-
-            client2.on(ClientEvent.JOB_FAILED, (data) => {
-              clearTimeout(timeout);
-              reject(new Error(data.error || 'Second clip generation failed'));
-            });
-
-            client2.on(ClientEvent.PROJECT_FAILED, (data) => {
-              clearTimeout(timeout);
-              reject(new Error(data?.message || 'Second clip project failed'));
+      const loopJobState = options.output && options.looping && options.videoWorkflow === 'i2v' && options.refImage
+        ? startJobState('looping')
+        : null;
+      const saveOutputs = async () => {
+        for (let i = 0; i < urls.length; i++) {
+          const savedFirstClip = loopJobState?.loops?.[i]?.first;
+          const buffer = savedFirstClip && isNonEmptyFile(savedFirstClip.path)
+            ? readFileSync(savedFirstClip.path)
+            : await downloadUrlToBuffer(urls[i]);
+          const filePath = localPaths[i];
+          const metadata = options.embedMetadata
+            ? buildEmbeddedMetadata(options, {
+                seed: urlResults[i].seed ?? options.seed,
+                steps: resolvedSteps,
+                guidance: resolvedGuidance,
+                projectId: urlResults[i].projectId
+              })
+            : null;
+
+          // Handle looping for i2v workflow
+          if (loopJobState) {
+            await saveLoopingVideo(buffer, loopingStartImageBuffer, filePath, log, loopJobState, i, {
+              url: urls[i],
+              seed: urlResults[i].seed ?? options.seed,
+              projectId: urlResults[i].projectId ?? null
             });
-
-            // Show progress for second clip
-            client2.on(ClientEvent.PROJECT_PROGRESS, (data) => {
-              if (data.percentage && data.percentage > 0) {
-                log(`Progress: ${Math.round(data.percentage)}%`);
-              }
-            });
-          });
-
-          const clip2Result = await client2.createVideoProject(projectConfig2);
-
-          // Check for errors in the response (e.g., insufficient tokens)
-          if (clip2Result?.error || clip2Result?.message) {
-            throw new Error(clip2Result.error || clip2Result.message);
+            log(`Saved looping video to ${filePath}`);
+            if (metadata) await embedVideoMetadata(filePath, metadata, log);
+          } else {
+            await writeResultFile(buffer, filePath, metadata, options.video, log);
           }
-
-          await clip2Promise;
-
-          log('Concatenating clips...');
-          await buildConcatVideoFromClips(options.output, [clip1Path, clip2Path]);
-          log(`Saved looping video to ${options.output}`);
-        } else {
-          writeFileSync(options.output, buffer);
-          log(`Saved to ${options.output}`);
         }
+      };
+      if (loopJobState) {
+        await runWithJobState(loopJobState, saveOutputs);
+      } else if (options.output) {
+        await saveOutputs();
+      }
+      if (soundtrack) {
+        await attachSoundtrack(localPaths, soundtrack, log);
       }
       
       // Output result
@@ -3340,6 +7562,7 @@ async function main() {
         const output = {
           success: true,
           type: options.video ? 'video' : 'image',
+          historyId: renderInfo.id || null,
           prompt: options.prompt,
           model: options.model,
           width: options.width,
@@ -3348,9 +7571,16 @@ async function main() {
           seedStrategy: options.seedStrategy || null,
           seeds,
           urls: urls,
-          localPath: options.output || null,
+          localPath: localPaths[0] || null,
+          localPaths,
           tokenType: options.tokenType || 'spark'
         };
+        if (options.negativePrompt) {
+          output.negativePrompt = options.negativePrompt;
+        }
+        if (options.stylePrompt) {
+          output.stylePrompt = options.stylePrompt;
+        }
         if (options.outputFormat) {
           output.outputFormat = options.outputFormat;
         }
@@ -3379,6 +7609,9 @@ async function main() {
           if (options.refImageEnd) output.refImageEnd = options.refImageEnd;
           if (options.refAudio) output.refAudio = options.refAudio;
           if (options.refVideo) output.refVideo = options.refVideo;
+          if (soundtrack) output.audio = soundtrack;
+          if (options._durationFromAudio) output.durationFromAudio = options._durationFromAudio;
+          if (options._referenceMedia) output.referenceMedia = options._referenceMedia.ranges;
           if (options.videoControlNetName) {
             output.controlNet = {
               name: options.videoControlNetName,
@@ -3387,6 +7620,7 @@ async function main() {
           }
           if (options.sam2Coordinates) output.sam2Coordinates = options.sam2Coordinates;
           if (options.trimEndFrame) output.trimEndFrame = true;
+          if (options.looping) output.loopMode = options.loopMode;
           if (options.firstFrameStrength != null) output.firstFrameStrength = options.firstFrameStrength;
           if (options.lastFrameStrength != null) output.lastFrameStrength = options.lastFrameStrength;
           if (options._effectiveVideoDims?.width && options._effectiveVideoDims?.height) {
@@ -3413,6 +7647,11 @@ async function main() {
             guidanceEnd: options.cnGuidanceEnd ?? 0.6,
           };
         }
+        if (attempts.length > 0) output.attempts = attempts;
+        if (loopJobState && options.loopMode !== 'boomerang') {
+          output.returnClipAttempts = urls.map((_, i) => loopJobState.loops?.[i]?.second?.attempts ?? null);
+        }
+        if (options._tokenFallback) output.tokenFallback = options._tokenFallback;
         console.log(JSON.stringify(output));
       } else {
         urls.forEach(url => console.log(url));
@@ -3468,6 +7707,8 @@ async function main() {
       if (error.hint) console.error(`Hint: ${error.hint}`);
     }
   } finally {
+    await settleOpenSpend(client, exitCode === 0 ? 'success' : 'failed');
+    if (options._referenceMedia) removeTempDir(options._referenceMedia.tempDir);
     try {
       if (client?.isConnected?.()) {
         await Promise.race([
@@ -1,12 +1,34 @@
 import { EventEmitter } from 'node:events';
 import { writeFileSync } from 'node:fs';
 
+// Projects debit the balance by what estimateImageCost/estimateVideoCost quote.
+const IMAGE_PROJECT_COST = 0.5;
+const VIDEO_PROJECT_COST = 1;
+
 const ClientEvent = {
   JOB_COMPLETED: 'JOB_COMPLETED',
   JOB_FAILED: 'JOB_FAILED',
   PROJECT_PROGRESS: 'PROJECT_PROGRESS'
 };
 
+// 8x8 PNG served as a data: URL when SOGNI_GEN_TEST_DATA_URLS=1 so the CLI can
+// "download" results without network access.
+const TEST_PNG_BASE64 = 'iVBORw0KGgoAAAANSUhEUgAAAAgAAAAICAIAAABLbSncAAAACXBIWXMAAAPoAAAD6AG1e1JrAAAAEUlEQVR4nGM4oaGBFTEMLQkAgl1GAWqNFmsAAAAASUVORK5CYII=';
+// 8x8 JPEG served instead for outputFormat 'jpg'.
+const TEST_JPEG_BASE64 = '/9j/2wBDABALDA4MChAODQ4SERATGCgaGBYWGDEjJR0oOjM9PDkzODdASFxOQERXRTc4UG1RV19iZ2hnPk1xeXBkeFxlZ2P/2wBDARESEhgVGC8aGi9jQjhCY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2P/wAARCAAIAAgDASIAAhEBAxEB/8QAFQABAQAAAAAAAAAAAAAAAAAAAAT/xAAUEAEAAAAAAAAAAAAAAAAAAAAA/8QAFQEBAQAAAAAAAAAAAAAAAAAABQb/xAAUEQEAAAAAAAAAAAAAAAAAAAAA/9oADAMBAAIRAxEAPwCAAaoH/9k=';
+
+function buildResultUrl(urlField, index, outputFormat) {
+  if (process.env.SOGNI_GEN_TEST_DATA_URLS === '1') {
+    if (urlField === 'videoUrl') {
+      return `data:video/mp4;base64,${Buffer.from(`video-${index + 1}`).toString('base64')}`;
+    }
+    return outputFormat === 'jpg'
+      ? `data:image/jpeg;base64,${TEST_JPEG_BASE64}`
+      : `data:image/png;base64,${TEST_PNG_BASE64}`;
+  }
+  return `https://example.com/${urlField}-${index + 1}.png`;
+}
+
 function getState() {
   if (!globalThis.__SOGNI_GEN_TEST_STATE__) {
     globalThis.__SOGNI_GEN_TEST_STATE__ = { instances: [] };
@@ -24,7 +46,11 @@ function persistState() {
       lastVideoProject: state.lastVideoProject ?? null,
       lastEditProject: state.lastEditProject ?? null,
       lastEstimateVideoCost: state.lastEstimateVideoCost ?? null,
-      emittedJobs: state.emittedJobs ?? null
+      lastEstimateImageCost: state.lastEstimateImageCost ?? null,
+      imageCostEstimates: state.imageCostEstimates ?? 0,
+      emittedJobs: state.emittedJobs ?? null,
+      videoProjects: state.videoProjects ?? 0,
+      cancelledProjects: state.cancelledProjects ?? []
     }));
   } catch (err) {
     // Ignore persistence errors in tests.
@@ -40,8 +66,13 @@ class SogniClientWrapper extends EventEmitter {
     this.lastVideoProject = null;
     this.lastEditProject = null;
     this.emittedJobs = 0;
+    this.projectCount = 0;
     const state = getState();
     state.instances.push(this);
+    // SOGNI_GEN_TEST_NO_IMAGE_ESTIMATE=1 mimics a wrapper without estimateImageCost.
+    if (process.env.SOGNI_GEN_TEST_NO_IMAGE_ESTIMATE === '1') {
+      this.estimateImageCost = undefined;
+    }
   }
 
   async connect() {
@@ -60,37 +91,74 @@ class SogniClientWrapper extends EventEmitter {
     const state = getState();
     this.lastImageProject = config;
     state.lastImageProject = config;
+    state.spent = (state.spent ?? 0) + IMAGE_PROJECT_COST;
     persistState();
-    this._emitJobs('imageUrl', config.numberOfMedia ?? 1, config.seed);
-    return { project: { id: 'proj-1' } };
+    const projectId = this._nextProjectId();
+    this._emitJobs('imageUrl', config.numberOfMedia ?? 1, config.seed, projectId, config.outputFormat);
+    return { project: { id: projectId } };
   }
 
   async createImageEditProject(config) {
     const state = getState();
     this.lastEditProject = config;
     state.lastEditProject = config;
+    state.spent = (state.spent ?? 0) + IMAGE_PROJECT_COST;
     persistState();
-    this._emitJobs('imageUrl', config.numberOfMedia ?? 1, config.seed);
-    return { project: { id: 'proj-1' } };
+    const projectId = this._nextProjectId();
+    this._emitJobs('imageUrl', config.numberOfMedia ?? 1, config.seed, projectId);
+    return { project: { id: projectId } };
   }
 
   async createVideoProject(config) {
     const state = getState();
     this.lastVideoProject = config;
     state.lastVideoProject = config;
+    state.videoProjects = (state.videoProjects ?? 0) + 1;
+    state.spent = (state.spent ?? 0) + VIDEO_PROJECT_COST;
+    persistState();
+    const projectId = this._nextProjectId();
+    // SOGNI_GEN_TEST_FAIL_VIDEO_AT=3 fails the third video project of the run
+    // with SOGNI_GEN_TEST_FAIL_ERROR (default: "Simulated failure").
+    const failAt = (process.env.SOGNI_GEN_TEST_FAIL_VIDEO_AT || '').split(',').map(Number);
+    if (failAt.includes(state.videoProjects)) {
+      const error = process.env.SOGNI_GEN_TEST_FAIL_ERROR || 'Simulated failure';
+      queueMicrotask(() => this.emit(ClientEvent.JOB_FAILED, { error, projectId }));
+      return config.waitForCompletion ? { error } : { project: { id: projectId } };
+    }
+    this._emitJobs('videoUrl', config.numberOfMedia ?? 1, config.seed, projectId);
+    return { project: { id: projectId }, videoUrls: [process.env.SOGNI_GEN_TEST_DATA_URLS === '1' ? buildResultUrl('videoUrl', 0) : 'https://example.com/video.mp4'] };
+  }
+
+  async cancelProject(projectId) {
+    const state = getState();
+    state.cancelledProjects = [...(state.cancelledProjects ?? []), projectId];
     persistState();
-    this._emitJobs('videoUrl', config.numberOfMedia ?? 1, config.seed);
-    return { project: { id: 'proj-1' }, videoUrls: ['https://example.com/video.mp4'] };
   }
 
   async getBalance() {
+    // SOGNI_GEN_TEST_SPARK_BALANCE=0.2 starts the SPARK balance low.
+    const spent = getState().spent ?? 0;
+    const spark = Number(process.env.SOGNI_GEN_TEST_SPARK_BALANCE || 100);
     return {
-      sogni: 100,
-      spark: 100,
+      sogni: 100 - spent,
+      spark: spark - spent,
       lastUpdated: new Date()
     };
   }
 
+  async estimateImageCost(params) {
+    const state = getState();
+    state.imageCostEstimates = (state.imageCostEstimates ?? 0) + 1;
+    state.lastEstimateImageCost = params ?? null;
+    persistState();
+    return {
+      token: '0.5',
+      usd: '0.005',
+      spark: '0.5',
+      sogni: '0.5'
+    };
+  }
+
   async estimateVideoCost() {
     const state = getState();
     state.lastEstimateVideoCost = arguments[0] ?? null;
@@ -103,17 +171,30 @@ class SogniClientWrapper extends EventEmitter {
     };
   }
 
-  _emitJobs(urlField, count, seed) {
+  _nextProjectId() {
+    this.projectCount += 1;
+    return `proj-${this.projectCount}`;
+  }
+
+  _emitJobs(urlField, count, seed, projectId, outputFormat) {
+    // SOGNI_GEN_TEST_HANG=1 leaves projects running until the CLI is signalled
+    // or times out; SOGNI_GEN_TEST_PROGRESS=1 reports progress once before stalling.
+    if (process.env.SOGNI_GEN_TEST_HANG === '1') {
+      if (process.env.SOGNI_GEN_TEST_PROGRESS === '1') {
+        queueMicrotask(() => this.emit(ClientEvent.PROJECT_PROGRESS, { projectId, percentage: 10 }));
+      }
+      return;
+    }
     queueMicrotask(() => {
       const state = getState();
       for (let i = 0; i < count; i++) {
         this.emittedJobs += 1;
         state.emittedJobs = this.emittedJobs;
         this.emit(ClientEvent.JOB_COMPLETED, {
-          [urlField]: `https://example.com/${urlField}-${i + 1}.png`,
+          [urlField]: buildResultUrl(urlField, i, outputFormat),
           job: { data: { seed: seed ?? 123 } },
           jobIndex: i,
-          projectId: 'proj-1'
+          projectId
         });
       }
       persistState();
@@ -1,9 +1,9 @@
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
-import { spawnSync } from 'node:child_process';
-import { mkdtempSync, readFileSync } from 'node:fs';
+import { spawn, spawnSync } from 'node:child_process';
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
 import { tmpdir } from 'node:os';
-import { join } from 'node:path';
+import { dirname, join } from 'node:path';
 
 const MIN_NODE_VERSION = [22, 11, 0];
 
@@ -24,7 +24,7 @@ if (!isVersionAtLeast(currentNodeVersion, MIN_NODE_VERSION)) {
 const PACKAGE_VERSION = JSON.parse(readFileSync(join(process.cwd(), 'package.json'), 'utf8')).version;
 const SCREENSHOT_FIXTURE = join(process.cwd(), 'docs', 'screenshot.jpg');
 
-function runCli(args, envOverrides = {}) {
+function runCli(args, envOverrides = {}, { cwd } = {}) {
   const tempHome = mkdtempSync(join(tmpdir(), 'sogni-gen-test-'));
   const statePath = join(tempHome, 'state.json');
   const loaderPath = join(process.cwd(), 'test', 'loader.mjs');
@@ -47,7 +47,7 @@ function runCli(args, envOverrides = {}) {
   const result = spawnSync(
     process.execPath,
     ['--loader', loaderPath, cliPath, ...args],
-    { env, encoding: 'utf8' }
+    { env, encoding: 'utf8', cwd }
   );
 
   if (result.error) {
@@ -576,3 +576,1066 @@ test('new utility flags appear in --help output', () => {
   assert.ok(stdout.includes('--concat-videos'), 'Help should include --concat-videos');
   assert.ok(stdout.includes('--list-media'), 'Help should include --list-media');
 });
+
+// --- Negative / style prompt tests ---
+
+test('--negative-prompt and --style-prompt are forwarded to image generation', () => {
+  const { exitCode, state, stdout } = runCli([
+    '--json',
+    '--negative-prompt', 'extra fingers, watermark',
+    '--style-prompt', 'film photography',
+    'a portrait of a pianist'
+  ]);
+  assert.equal(exitCode, 0);
+  assert.equal(state.lastImageProject.negativePrompt, 'extra fingers, watermark');
+  assert.equal(state.lastImageProject.stylePrompt, 'film photography');
+  const payload = JSON.parse(stdout.trim());
+  assert.equal(payload.negativePrompt, 'extra fingers, watermark');
+  assert.equal(payload.stylePrompt, 'film photography');
+});
+
+test('--negative-prompt is forwarded to image edit and video projects', () => {
+  const edit = runCli(['-c', SCREENSHOT_FIXTURE, '--negative-prompt', 'text', 'make it a beach']);
+  assert.equal(edit.exitCode, 0);
+  assert.equal(edit.state.lastEditProject.negativePrompt, 'text');
+
+  const video = runCli(['--video', '--negative-prompt', 'flicker', 'ocean waves']);
+  assert.equal(video.exitCode, 0);
+  assert.equal(video.state.lastVideoProject.negativePrompt, 'flicker');
+  assert.equal(video.state.lastVideoProject.stylePrompt, '');
+});
+
+test('defaultNegativePrompt from OpenClaw config applies unless overridden', () => {
+  const config = JSON.stringify({ defaultNegativePrompt: 'blurry' });
+  const fromConfig = runCli(['a cat'], { OPENCLAW_PLUGIN_CONFIG: config });
+  assert.equal(fromConfig.exitCode, 0);
+  assert.equal(fromConfig.state.lastImageProject.negativePrompt, 'blurry');
+
+  const overridden = runCli(['--negative-prompt', 'text', 'a cat'], { OPENCLAW_PLUGIN_CONFIG: config });
+  assert.equal(overridden.exitCode, 0);
+  assert.equal(overridden.state.lastImageProject.negativePrompt, 'text');
+});
+
+test('prompt-hash seed changes with negative prompt but not without one', () => {
+  const base = JSON.parse(runCli(['--json', 'a cat']).stdout.trim());
+  const again = JSON.parse(runCli(['--json', 'a cat']).stdout.trim());
+  const negative = JSON.parse(runCli(['--json', '--negative-prompt', 'dog', 'a cat']).stdout.trim());
+  assert.equal(base.seed, again.seed);
+  assert.notEqual(base.seed, negative.seed);
+});
+
+// --- Multi-result saving tests ---
+
+test('-o with --count > 1 saves every result with an indexed name', () => {
+  const outDir = mkdtempSync(join(tmpdir(), 'sogni-gen-out-'));
+  const outPath = join(outDir, 'out.png');
+  const { exitCode, stdout } = runCli(
+    ['--json', '-n', '3', '-o', outPath, 'a watercolor landscape'],
+    { SOGNI_GEN_TEST_DATA_URLS: '1' }
+  );
+  assert.equal(exitCode, 0);
+  const payload = JSON.parse(stdout.trim());
+  const expected = [1, 2, 3].map((n) => join(outDir, `out-${n}.png`));
+  assert.deepEqual(payload.localPaths, expected);
+  assert.equal(payload.localPath, expected[0]);
+  for (const filePath of expected) {
+    assert.ok(existsSync(filePath), `${filePath} was not written`);
+  }
+  assert.ok(!existsSync(outPath));
+});
+
+test('-o with a single result keeps the exact path and records it in last-render.json', () => {
+  const outDir = mkdtempSync(join(tmpdir(), 'sogni-gen-out-'));
+  const outPath = join(outDir, 'single.png');
+  const lastRenderPath = join(outDir, 'last-render.json');
+  const { exitCode } = runCli(
+    ['-o', outPath, 'a watercolor landscape'],
+    { SOGNI_GEN_TEST_DATA_URLS: '1', SOGNI_LAST_RENDER_PATH: lastRenderPath }
+  );
+  assert.equal(exitCode, 0);
+  assert.ok(existsSync(outPath));
+  const lastRender = JSON.parse(readFileSync(lastRenderPath, 'utf8'));
+  assert.deepEqual(lastRender.localPaths, [outPath]);
+  assert.equal(lastRender.localPath, outPath);
+});
+
+// --- Output path template tests ---
+
+test('-o template expands model, seed, index and ext for each result', () => {
+  const outDir = mkdtempSync(join(tmpdir(), 'sogni-gen-out-'));
+  const template = join(outDir, '{workflow}', '{model}-{seed}-{index}.{ext}');
+  const { exitCode, stdout } = runCli(
+    ['--json', '-n', '2', '-s', '42', '-o', template, 'a watercolor landscape'],
+    { SOGNI_GEN_TEST_DATA_URLS: '1' }
+  );
+  assert.equal(exitCode, 0);
+  const payload = JSON.parse(stdout.trim());
+  const expected = [1, 2].map((n) => join(outDir, 'image', `z_image_turbo_bf16-42-${n}.png`));
+  assert.deepEqual(payload.localPaths, expected);
+  for (const filePath of expected) {
+    assert.ok(existsSync(filePath), `${filePath} was not written`);
+  }
+});
+
+test('-o template without {index} still suffixes multiple results', () => {
+  const outDir = mkdtempSync(join(tmpdir(), 'sogni-gen-out-'));
+  const template = join(outDir, '{prompt_slug}.{ext}');
+  const { exitCode, stdout } = runCli(
+    ['--json', '-n', '2', '--output-format', 'jpg', '-o', template, 'A Red Fox, at dawn!'],
+    { SOGNI_GEN_TEST_DATA_URLS: '1' }
+  );
+  assert.equal(exitCode, 0);
+  const payload = JSON.parse(stdout.trim());
+  assert.deepEqual(payload.localPaths, [
+    join(outDir, 'a-red-fox-at-dawn-1.jpg'),
+    join(outDir, 'a-red-fox-at-dawn-2.jpg')
+  ]);
+});
+
+test('json error: -o template rejects unknown variables', () => {
+  const { exitCode, stdout } = runCli(['--json', '-o', '/tmp/{colour}.png', 'a cat']);
+  assert.equal(exitCode, 1);
+  const payload = JSON.parse(stdout.trim());
+  assert.equal(payload.errorCode, 'INVALID_ARGUMENT');
+  assert.ok(String(payload.error).includes('{colour}'));
+});
+
+// --- Embedded metadata tests ---
+
+function readPngTextChunks(buffer) {
+  const chunks = {};
+  let offset = 8;
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    if (type === 'tEXt') {
+      const data = buffer.subarray(offset + 8, offset + 8 + length);
+      const sepIndex = data.indexOf(0);
+      chunks[data.toString('latin1', 0, sepIndex)] = data.toString('latin1', sepIndex + 1);
+    }
+    offset += length + 12;
+  }
+  return chunks;
+}
+
+test('-o embeds generation parameters in PNG tEXt chunks', () => {
+  const outDir = mkdtempSync(join(tmpdir(), 'sogni-gen-out-'));
+  const outPath = join(outDir, 'meta.png');
+  const { exitCode } = runCli(
+    ['-s', '42', '--steps', '6', '--negative-prompt', 'blurry', '-o', outPath, 'a café at night'],
+    { SOGNI_GEN_TEST_DATA_URLS: '1' }
+  );
+  assert.equal(exitCode, 0);
+  const chunks = readPngTextChunks(readFileSync(outPath));
+  assert.equal(chunks.Description, 'a café at night');
+  assert.match(chunks.Software, /^sogni-gen /);
+  const metadata = JSON.parse(chunks['sogni-gen']);
+  assert.equal(metadata.prompt, 'a café at night');
+  assert.equal(metadata.negativePrompt, 'blurry');
+  assert.equal(metadata.model, 'z_image_turbo_bf16');
+  assert.equal(metadata.seed, 42);
+  assert.equal(metadata.steps, 6);
+  assert.equal(metadata.type, 'image');
+});
+
+test('-o embeds EXIF and XMP in JPEG output without re-encoding it', () => {
+  const outDir = mkdtempSync(join(tmpdir(), 'sogni-gen-out-'));
+  const plainPath = join(outDir, 'plain.jpg');
+  const outPath = join(outDir, 'meta.jpg');
+  const env = { SOGNI_GEN_TEST_DATA_URLS: '1' };
+  assert.equal(runCli(['--no-metadata', '--output-format', 'jpg', '-o', plainPath, 'a café at night'], env).exitCode, 0);
+  assert.equal(runCli(['-s', '42', '--output-format', 'jpg', '-o', outPath, 'a café at night'], env).exitCode, 0);
+
+  const saved = readFileSync(outPath);
+  const app1 = [];
+  let offset = 2;
+  while (saved[offset] === 0xff && saved[offset + 1] === 0xe1) {
+    const end = offset + 2 + saved.readUInt16BE(offset + 2);
+    app1.push(saved.subarray(offset + 4, end));
+    offset = end;
+  }
+  assert.equal(app1[0].toString('latin1', 0, 6), 'Exif\0\0');
+  assert.ok(app1[0].includes('a café at night'));
+  assert.ok(app1[1].toString('utf8').startsWith('http://ns.adobe.com/xap/1.0/\0'));
+  assert.deepEqual(Buffer.concat([saved.subarray(0, 2), saved.subarray(offset)]), readFileSync(plainPath));
+
+  const { exitCode, stdout } = runCli(['--json', '--from-file', outPath], env);
+  assert.equal(exitCode, 0);
+  assert.equal(JSON.parse(stdout.trim()).prompt, 'a café at night');
+});
+
+test('--no-metadata saves the downloaded image unchanged', () => {
+  const outDir = mkdtempSync(join(tmpdir(), 'sogni-gen-out-'));
+  const outPath = join(outDir, 'plain.png');
+  const { exitCode } = runCli(
+    ['--no-metadata', '-o', outPath, 'a watercolor landscape'],
+    { SOGNI_GEN_TEST_DATA_URLS: '1' }
+  );
+  assert.equal(exitCode, 0);
+  assert.deepEqual(readPngTextChunks(readFileSync(outPath)), {});
+});
+
+// --- Reproduce from file tests ---
+
+test('--from-file reuses embedded parameters and applies CLI overrides', () => {
+  const outDir = mkdtempSync(join(tmpdir(), 'sogni-gen-out-'));
+  const sourcePath = join(outDir, 'source.png');
+  const lastRenderPath = join(outDir, 'last-render.json');
+  const first = runCli(
+    ['-s', '42', '--steps', '6', '-w', '768', '-h', '640', '--negative-prompt', 'blurry', '-o', sourcePath, 'a lighthouse in fog'],
+    { SOGNI_GEN_TEST_DATA_URLS: '1' }
+  );
+  assert.equal(first.exitCode, 0);
+
+  const { exitCode, stdout } = runCli(
+    ['--json', '--from-file', sourcePath, '-s', '7'],
+    { SOGNI_LAST_RENDER_PATH: lastRenderPath }
+  );
+  assert.equal(exitCode, 0);
+  const payload = JSON.parse(stdout.trim());
+  assert.equal(payload.prompt, 'a lighthouse in fog');
+  assert.equal(payload.width, 768);
+  assert.equal(payload.height, 640);
+  assert.equal(payload.seed, 7);
+  const lastRender = JSON.parse(readFileSync(lastRenderPath, 'utf8'));
+  assert.equal(lastRender.negativePrompt, 'blurry');
+  assert.equal(lastRender.fromFile, sourcePath);
+});
+
+test('json error: --from-file without embedded metadata', () => {
+  const outDir = mkdtempSync(join(tmpdir(), 'sogni-gen-out-'));
+  const sourcePath = join(outDir, 'plain.png');
+  runCli(['--no-metadata', '-o', sourcePath, 'a cat'], { SOGNI_GEN_TEST_DATA_URLS: '1' });
+  const { exitCode, stdout } = runCli(['--json', '--from-file', sourcePath]);
+  assert.equal(exitCode, 1);
+  const payload = JSON.parse(stdout.trim());
+  assert.equal(payload.errorCode, 'NO_EMBEDDED_METADATA');
+});
+
+// --- Render history tests ---
+
+test('renders append to history and --history lists them newest first', () => {
+  const outDir = mkdtempSync(join(tmpdir(), 'sogni-gen-history-'));
+  const env = { SOGNI_LAST_RENDER_PATH: join(outDir, 'last-render.json') };
+  const first = JSON.parse(runCli(['--json', '-s', '1', 'a red barn'], env).stdout.trim());
+  const second = JSON.parse(runCli(['--json', '-s', '2', 'a blue boat'], env).stdout.trim());
+  assert.ok(first.historyId);
+  assert.notEqual(first.historyId, second.historyId);
+
+  const lines = readFileSync(join(outDir, 'history.jsonl'), 'utf8').trim().split('\n');
+  assert.equal(lines.length, 2);
+
+  const { exitCode, stdout } = runCli(['--json', '--history', '--search', 'BARN'], env);
+  assert.equal(exitCode, 0);
+  const payload = JSON.parse(stdout.trim());
+  assert.equal(payload.total, 1);
+  assert.equal(payload.entries[0].id, first.historyId);
+
+  const all = JSON.parse(runCli(['--json', '--history', '--limit', '1'], env).stdout.trim());
+  assert.equal(all.total, 2);
+  assert.deepEqual(all.entries.map((entry) => entry.id), [second.historyId]);
+});
+
+test('--rerun replays a history entry with overrides and links parent and child', () => {
+  const outDir = mkdtempSync(join(tmpdir(), 'sogni-gen-history-'));
+  const env = { SOGNI_LAST_RENDER_PATH: join(outDir, 'last-render.json') };
+  const original = JSON.parse(runCli(['--json', '-s', '5', '-w', '768', 'a misty forest'], env).stdout.trim());
+
+  const { exitCode, stdout } = runCli(['--json', '--rerun', original.historyId, '-s', '6'], env);
+  assert.equal(exitCode, 0);
+  const rerun = JSON.parse(stdout.trim());
+  assert.equal(rerun.prompt, 'a misty forest');
+  assert.equal(rerun.width, 768);
+  assert.equal(rerun.seed, 6);
+
+  const history = JSON.parse(runCli(['--json', '--history'], env).stdout.trim());
+  const parent = history.entries.find((entry) => entry.id === original.historyId);
+  const child = history.entries.find((entry) => entry.id === rerun.historyId);
+  assert.deepEqual(child.parents, [original.historyId]);
+  assert.deepEqual(parent.children, [rerun.historyId]);
+
+  const last = runCli(['--last'], env);
+  assert.equal(JSON.parse(last.stdout).id, rerun.historyId);
+});
+
+test('json error: --rerun with an unknown id', () => {
+  const { exitCode, stdout } = runCli(['--json', '--rerun', 'nope']);
+  assert.equal(exitCode, 1);
+  assert.equal(JSON.parse(stdout.trim()).errorCode, 'HISTORY_NOT_FOUND');
+});
+
+// --- Batch tests ---
+
+test('--batch runs jobs concurrently and writes a results manifest', () => {
+  const outDir = mkdtempSync(join(tmpdir(), 'sogni-gen-batch-'));
+  const batchPath = join(outDir, 'jobs.jsonl');
+  writeFileSync(batchPath, [
+    JSON.stringify({ id: 'fox', prompt: 'a red fox', seed: 11, output: join(outDir, 'fox.png') }),
+    JSON.stringify({ id: 'owls', prompt: 'two owls', count: 2, output: join(outDir, 'owl-{index}.png') }),
+    JSON.stringify({ id: 'bad', prompt: 'typo', sede: 3 })
+  ].join('\n'));
+  const env = { SOGNI_GEN_TEST_DATA_URLS: '1', SOGNI_LAST_RENDER_PATH: join(outDir, 'last-render.json') };
+
+  const { exitCode, stdout } = runCli(['--json', '--batch', batchPath, '--concurrency', '2'], env);
+  assert.equal(exitCode, 1);
+  const payload = JSON.parse(stdout.trim());
+  assert.equal(payload.type, 'batch');
+  assert.equal(payload.completed, 2);
+  assert.equal(payload.failed, 1);
+  const fox = payload.jobs.find((job) => job.id === 'fox');
+  assert.equal(fox.seed, 11);
+  assert.deepEqual(fox.localPaths, [join(outDir, 'fox.png')]);
+  assert.ok(existsSync(join(outDir, 'owl-1.png')));
+  assert.ok(existsSync(join(outDir, 'owl-2.png')));
+  assert.equal(payload.jobs.find((job) => job.id === 'bad').errorCode, 'INVALID_JOB');
+
+  const manifest = readFileSync(join(outDir, 'jobs.results.jsonl'), 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+  assert.equal(manifest.length, 3);
+  const history = readFileSync(join(outDir, 'history.jsonl'), 'utf8').trim().split('\n');
+  assert.equal(history.length, 2);
+});
+
+test('--batch resumes by skipping jobs already recorded as successful', () => {
+  const outDir = mkdtempSync(join(tmpdir(), 'sogni-gen-batch-'));
+  const batchPath = join(outDir, 'jobs.yaml');
+  const manifestPath = join(outDir, 'results.jsonl');
+  writeFileSync(batchPath, 'jobs:\n  - id: one\n    prompt: a lighthouse\n  - id: two\n    prompt: a harbor\n');
+  writeFileSync(manifestPath, `${JSON.stringify({ id: 'one', success: true })}\n`);
+
+  const { exitCode, stdout } = runCli(['--json', '--batch', batchPath, '--batch-results', manifestPath]);
+  assert.equal(exitCode, 0);
+  const payload = JSON.parse(stdout.trim());
+  assert.equal(payload.skipped, 1);
+  assert.deepEqual(payload.jobs.map((job) => job.id), ['two']);
+  assert.equal(payload.jobs[0].prompt, 'a harbor');
+});
+
+// --- Sweep tests ---
+
+test('--sweep renders the cartesian product with one seed into a grid and index', () => {
+  const outDir = mkdtempSync(join(tmpdir(), 'sogni-gen-sweep-'));
+  const gridPath = join(outDir, 'grid.png');
+  const { exitCode, stdout } = runCli([
+    '--json', '-s', '42', '--sweep', 'steps=4,8', '--sweep', 'guidance=1,3.5,5', '-o', gridPath, 'a red fox'
+  ], { SOGNI_GEN_TEST_DATA_URLS: '1' });
+  assert.equal(exitCode, 0);
+  const payload = JSON.parse(stdout.trim());
+  assert.equal(payload.type, 'sweep');
+  assert.equal(payload.columns, 2);
+  assert.equal(payload.rows, 3);
+  assert.equal(payload.cells.length, 6);
+  assert.ok(payload.cells.every((cell) => cell.seed === 42));
+  assert.deepEqual(payload.cells[3].params, { steps: 8, guidance: 3.5 });
+  assert.equal(payload.cells[3].steps, 8);
+  assert.ok(existsSync(gridPath));
+  assert.ok(existsSync(join(outDir, 'grid-6.png')));
+  assert.deepEqual(JSON.parse(readFileSync(join(outDir, 'grid.json'), 'utf8')).axes, { steps: [4, 8], guidance: [1, 3.5, 5] });
+});
+
+test('json error: --sweep over --max-cost fails before rendering any cell', () => {
+  const outDir = mkdtempSync(join(tmpdir(), 'sogni-gen-sweep-budget-'));
+  const { exitCode, stdout, state } = runCli([
+    '--json', '-s', '42', '--max-cost', '2', '--sweep', 'steps=4,8', '--sweep', 'guidance=1,3.5,5',
+    '-o', join(outDir, 'grid.png'), 'a red fox'
+  ], { HOME: outDir, SOGNI_GEN_TEST_DATA_URLS: '1' });
+  assert.equal(exitCode, 1);
+  assert.equal(JSON.parse(stdout.trim()).errorCode, 'BUDGET_EXCEEDED');
+  assert.equal(state.lastImageProject, null);
+});
+
+test('json error: --sweep rejects unknown keys', () => {
+  const { exitCode, stdout } = runCli(['--json', '--sweep', 'cfg=1,2', '-o', 'grid.png', 'a red fox']);
+  assert.equal(exitCode, 1);
+  assert.equal(JSON.parse(stdout.trim()).errorCode, 'INVALID_ARGUMENT');
+});
+
+// --- Storyboard tests ---
+
+// Minimal ffmpeg stand-in: answers -version and writes a placeholder to the
+// output path (last argument), logging every call.
+function createFakeFfmpeg(dir, { duration = '5.0', audio = false } = {}) {
+  const ffmpegPath = join(dir, 'ffmpeg');
+  writeFileSync(ffmpegPath, [
+    '#!/bin/sh',
+    'echo "$*" >> "$(dirname "$0")/ffmpeg.log"',
+    'if [ "$1" = "-version" ]; then echo "ffmpeg version test"; exit 0; fi',
+    'for last; do :; done',
+    '[ "$last" = "-" ] && exit 0',
+    'printf fake > "$last"',
+    ''
+  ].join('\n'), { mode: 0o755 });
+  // ffprobe is looked up next to FFMPEG_PATH.
+  writeFileSync(join(dir, 'ffprobe'), [
+    '#!/bin/sh',
+    `echo '${JSON.stringify({
+      streams: [
+        { codec_type: 'video', width: 832, height: 480, avg_frame_rate: '24/1' },
+        ...(audio ? [{ codec_type: 'audio' }] : [])
+      ],
+      format: { duration }
+    })}'`,
+    ''
+  ].join('\n'), { mode: 0o755 });
+  return ffmpegPath;
+}
+
+test('--storyboard chains scenes from last frames, joins clips and resumes unchanged scenes', { skip: process.platform === 'win32' }, () => {
+  const outDir = mkdtempSync(join(tmpdir(), 'sogni-gen-storyboard-'));
+  const storyPath = join(outDir, 'story.yaml');
+  const filmPath = join(outDir, 'film.mp4');
+  writeFileSync(storyPath, [
+    'seed: 99',
+    'scenes:',
+    '  - prompt: a ship leaves port',
+    '  - prompt: the ship sails into a storm',
+    '  - prompt: calm morning at sea',
+    '    workflow: t2v',
+    ''
+  ].join('\n'));
+  const env = { SOGNI_GEN_TEST_DATA_URLS: '1', FFMPEG_PATH: createFakeFfmpeg(outDir) };
+
+  const first = runCli(['--json', '--storyboard', storyPath, '-o', filmPath], env);
+  assert.equal(first.exitCode, 0);
+  const payload = JSON.parse(first.stdout.trim());
+  assert.equal(payload.type, 'storyboard');
+  assert.equal(payload.videoPath, filmPath);
+  assert.deepEqual(payload.scenes.map((scene) => scene.workflow), ['t2v', 'i2v', 't2v']);
+  assert.equal(payload.scenes[1].startImage, join(outDir, 'film.scenes', 'scene-01-last.png'));
+  assert.ok(payload.scenes.every((scene) => scene.seed === 99));
+  assert.ok(existsSync(filmPath));
+  assert.ok(existsSync(join(outDir, 'film.scenes', 'manifest.json')));
+
+  writeFileSync(storyPath, readFileSync(storyPath, 'utf8').replace('calm morning', 'foggy morning'));
+  const second = JSON.parse(runCli(['--json', '--storyboard', storyPath, '-o', filmPath], env).stdout.trim());
+  assert.equal(second.reused, 2);
+  assert.equal(second.rendered, 1);
+  assert.equal(second.scenes[2].prompt, 'foggy morning at sea');
+});
+
+test('json error: --storyboard over --max-cost fails before rendering the first scene', { skip: process.platform === 'win32' }, () => {
+  const outDir = mkdtempSync(join(tmpdir(), 'sogni-gen-storyboard-budget-'));
+  const storyPath = join(outDir, 'story.yaml');
+  writeFileSync(storyPath, [
+    'scenes:',
+    '  - prompt: a ship leaves port',
+    '  - prompt: the ship sails into a storm',
+    '  - prompt: calm morning at sea',
+    ''
+  ].join('\n'));
+  const { exitCode, stdout, state } = runCli([
+    '--json', '--max-cost', '2', '--storyboard', storyPath, '-o', join(outDir, 'film.mp4')
+  ], { HOME: outDir, SOGNI_GEN_TEST_DATA_URLS: '1', FFMPEG_PATH: createFakeFfmpeg(outDir) });
+  assert.equal(exitCode, 1);
+  assert.equal(JSON.parse(stdout.trim()).errorCode, 'BUDGET_EXCEEDED');
+  assert.equal(state.videoProjects, 0);
+});
+
+test('json error: --storyboard without scenes', () => {
+  const outDir = mkdtempSync(join(tmpdir(), 'sogni-gen-storyboard-'));
+  const storyPath = join(outDir, 'story.json');
+  writeFileSync(storyPath, '{ "fps": 16 }');
+  const { exitCode, stdout } = runCli(['--json', '--storyboard', storyPath]);
+  assert.equal(exitCode, 1);
+  assert.equal(JSON.parse(stdout.trim()).errorCode, 'INVALID_STORYBOARD');
+});
+
+// --- Extend tests ---
+
+test('--extend renders i2v from the last frame at the probed size and fps and appends it', { skip: process.platform === 'win32' }, () => {
+  const outDir = mkdtempSync(join(tmpdir(), 'sogni-gen-extend-'));
+  const clipPath = join(outDir, 'clip.mp4');
+  const outputPath = join(outDir, 'longer.mp4');
+  writeFileSync(clipPath, 'clip');
+  const statePath = join(outDir, 'state.json');
+  const env = {
+    SOGNI_GEN_TEST_DATA_URLS: '1',
+    SOGNI_GEN_TEST_STATE_PATH: statePath,
+    FFMPEG_PATH: createFakeFfmpeg(outDir)
+  };
+
+  const { exitCode, stdout } = runCli(['--json', '--extend', clipPath, '-o', outputPath, 'the camera keeps moving'], env);
+  assert.equal(exitCode, 0);
+  const payload = JSON.parse(stdout.trim());
+  assert.equal(payload.type, 'extend');
+  assert.equal(payload.videoPath, outputPath);
+  assert.ok(existsSync(outputPath));
+
+  const project = JSON.parse(readFileSync(statePath, 'utf8')).lastVideoProject;
+  assert.equal(project.width, 832);
+  assert.equal(project.height, 480);
+  assert.equal(project.fps, 24);
+  assert.ok(project.referenceImage);
+  assert.ok(project.modelId.includes('i2v'));
+
+  const concatCall = readFileSync(join(outDir, 'ffmpeg.log'), 'utf8').split('\n').find((line) => line.includes('concat=n=2'));
+  assert.ok(concatCall.includes('[1:v]scale=832:480:force_original_aspect_ratio=increase,crop=832:480,fps=24,setsar=1[v1]'));
+  assert.ok(concatCall.endsWith(outputPath));
+});
+
+// --- Keyframes tests ---
+
+test('--keyframes renders one i2v segment per pair and --close-loop returns to the first image', { skip: process.platform === 'win32' }, () => {
+  const outDir = mkdtempSync(join(tmpdir(), 'sogni-gen-keyframes-'));
+  const outputPath = join(outDir, 'sequence.mp4');
+  const statePath = join(outDir, 'state.json');
+  const env = {
+    SOGNI_GEN_TEST_DATA_URLS: '1',
+    SOGNI_GEN_TEST_STATE_PATH: statePath,
+    FFMPEG_PATH: createFakeFfmpeg(outDir)
+  };
+  const frames = [SCREENSHOT_FIXTURE, SCREENSHOT_FIXTURE, SCREENSHOT_FIXTURE];
+
+  const { exitCode, stdout } = runCli([
+    '--json', '--keyframes', ...frames, 'smooth morph', '--close-loop',
+    '--duration', '9', '--last-frame-strength', '0.6', '-o', outputPath
+  ], env);
+  assert.equal(exitCode, 0);
+  const payload = JSON.parse(stdout.trim());
+  assert.equal(payload.type, 'keyframes');
+  assert.equal(payload.prompt, 'smooth morph');
+  assert.equal(payload.segments, 3);
+  assert.ok(existsSync(outputPath));
+
+  const project = JSON.parse(readFileSync(statePath, 'utf8')).lastVideoProject;
+  assert.equal(project.duration, 3);
+  assert.equal(project.lastFrameStrength, 0.6);
+  assert.ok(project.referenceImage && project.referenceImageEnd);
+});
+
+test('--keyframes stops scheduling segments and cancels the rest after a segment fails', { skip: process.platform === 'win32' }, () => {
+  const outDir = mkdtempSync(join(tmpdir(), 'sogni-gen-keyframes-fail-'));
+  const frames = [SCREENSHOT_FIXTURE, SCREENSHOT_FIXTURE, SCREENSHOT_FIXTURE];
+  const { exitCode, state } = runCli([
+    '--json', '--keyframes', ...frames, 'smooth morph', '--close-loop', '--concurrency', '2',
+    '-o', join(outDir, 'sequence.mp4')
+  ], {
+    HOME: outDir,
+    SOGNI_GEN_TEST_DATA_URLS: '1',
+    SOGNI_GEN_TEST_HANG: '1',
+    SOGNI_GEN_TEST_FAIL_VIDEO_AT: '2',
+    FFMPEG_PATH: createFakeFfmpeg(outDir)
+  });
+  assert.equal(exitCode, 1);
+  assert.equal(state.videoProjects, 2);
+  assert.deepEqual(state.cancelledProjects, ['proj-1']);
+});
+
+test('json error: --keyframes needs at least two images', () => {
+  const { exitCode, stdout } = runCli(['--json', '--keyframes', 'only.png', '-o', 'out.mp4', 'a prompt']);
+  assert.equal(exitCode, 1);
+  assert.equal(JSON.parse(stdout.trim()).errorCode, 'INVALID_ARGUMENT');
+});
+
+test('--resume finishes a failed --looping render without re-rendering the first clip', { skip: process.platform === 'win32' }, () => {
+  const outDir = mkdtempSync(join(tmpdir(), 'sogni-gen-resume-'));
+  const outputPath = join(outDir, 'loop.mp4');
+  const statePath = join(outDir, 'state.json');
+  const env = {
+    HOME: outDir,
+    USERPROFILE: outDir,
+    SOGNI_GEN_TEST_DATA_URLS: '1',
+    SOGNI_GEN_TEST_STATE_PATH: statePath,
+    FFMPEG_PATH: createFakeFfmpeg(outDir)
+  };
+  const args = ['--json', '--video', '--ref', SCREENSHOT_FIXTURE, '--looping', '-o', outputPath, 'ocean waves'];
+
+  const failed = runCli(args, { ...env, SOGNI_GEN_TEST_FAIL_VIDEO_AT: '2' });
+  assert.equal(failed.exitCode, 1);
+  const errorPayload = JSON.parse(failed.stdout.trim());
+  const jobStatePath = errorPayload.errorDetails.resumeState;
+  assert.ok(existsSync(jobStatePath));
+  const jobState = JSON.parse(readFileSync(jobStatePath, 'utf8'));
+  assert.equal(jobState.status, 'failed');
+  assert.ok(existsSync(jobState.loops[0].first.path));
+
+  const resumed = runCli(['--resume', jobStatePath], env);
+  assert.equal(resumed.exitCode, 0);
+  assert.ok(existsSync(outputPath));
+  assert.equal(JSON.parse(readFileSync(statePath, 'utf8')).videoProjects, 1);
+  assert.equal(existsSync(dirname(jobStatePath)), false);
+});
+
+test('--resume replays relative paths from the directory the job started in', { skip: process.platform === 'win32' }, () => {
+  const workDir = mkdtempSync(join(tmpdir(), 'sogni-gen-resume-cwd-'));
+  const otherDir = mkdtempSync(join(tmpdir(), 'sogni-gen-resume-other-'));
+  writeFileSync(join(workDir, 'start.png'), readFileSync(SCREENSHOT_FIXTURE));
+  const statePath = join(workDir, 'state.json');
+  const env = {
+    HOME: workDir,
+    USERPROFILE: workDir,
+    SOGNI_GEN_TEST_DATA_URLS: '1',
+    SOGNI_GEN_TEST_STATE_PATH: statePath,
+    FFMPEG_PATH: createFakeFfmpeg(workDir)
+  };
+  const args = ['--json', '--video', '--ref', 'start.png', '--looping', '-o', 'loop.mp4', 'ocean waves'];
+
+  const failed = runCli(args, { ...env, SOGNI_GEN_TEST_FAIL_VIDEO_AT: '2' }, { cwd: workDir });
+  assert.equal(failed.exitCode, 1);
+  const jobStatePath = JSON.parse(failed.stdout.trim()).errorDetails.resumeState;
+
+  const resumed = runCli(['--resume', jobStatePath], env, { cwd: otherDir });
+  assert.equal(resumed.exitCode, 0);
+  assert.ok(existsSync(join(workDir, 'loop.mp4')));
+  assert.equal(existsSync(join(otherDir, 'loop.mp4')), false);
+});
+
+test('--looping creates a missing output directory before concatenating', { skip: process.platform === 'win32' }, () => {
+  const outDir = mkdtempSync(join(tmpdir(), 'sogni-gen-loop-dir-'));
+  const outputPath = join(outDir, 'newdir', 'loop.mp4');
+  const { exitCode } = runCli([
+    '--json', '--video', '--ref', SCREENSHOT_FIXTURE, '--looping', '-o', outputPath, 'ocean waves'
+  ], { SOGNI_GEN_TEST_DATA_URLS: '1', FFMPEG_PATH: createFakeFfmpeg(outDir) });
+  assert.equal(exitCode, 0);
+  assert.ok(existsSync(outputPath));
+});
+
+test('--looping renders an LTX return clip from the last frame back to the start image', { skip: process.platform === 'win32' }, () => {
+  const outDir = mkdtempSync(join(tmpdir(), 'sogni-gen-ltx-loop-'));
+  const outputPath = join(outDir, 'loop.mp4');
+  const { exitCode, stdout, state } = runCli([
+    '--json', '--video', '-m', 'ltx2-19b-fp8_i2v_distilled', '--ref', SCREENSHOT_FIXTURE,
+    '--looping', '-o', outputPath, 'ocean waves'
+  ], { SOGNI_GEN_TEST_DATA_URLS: '1', FFMPEG_PATH: createFakeFfmpeg(outDir) });
+  assert.equal(exitCode, 0);
+  assert.equal(JSON.parse(stdout.trim()).loopMode, 'render');
+  assert.equal(state.videoProjects, 2);
+  assert.equal(state.lastVideoProject.modelId, 'ltx2-19b-fp8_i2v_distilled');
+  assert.ok(state.lastVideoProject.referenceImage && state.lastVideoProject.referenceImageEnd);
+  assert.match(readFileSync(join(outDir, 'ffmpeg.log'), 'utf8'), /-f concat/);
+  assert.ok(existsSync(outputPath));
+});
+
+test('--loop-mode boomerang renders one LTX clip and reverses it locally', { skip: process.platform === 'win32' }, () => {
+  const outDir = mkdtempSync(join(tmpdir(), 'sogni-gen-boomerang-'));
+  const outputPath = join(outDir, 'loop.mp4');
+  const { exitCode, stdout, state } = runCli([
+    '--json', '--video', '-m', 'ltx2-19b-fp8_i2v_distilled', '--ref', SCREENSHOT_FIXTURE,
+    '--loop-mode', 'boomerang', '-o', outputPath, 'ocean waves'
+  ], { SOGNI_GEN_TEST_DATA_URLS: '1', FFMPEG_PATH: createFakeFfmpeg(outDir, { audio: true }) });
+  assert.equal(exitCode, 0);
+  const payload = JSON.parse(stdout.trim());
+  assert.equal(payload.loopMode, 'boomerang');
+  assert.equal(state.videoProjects, 1);
+  assert.equal(state.lastVideoProject.modelId, 'ltx2-19b-fp8_i2v_distilled');
+  assert.ok(existsSync(outputPath));
+  const ffmpegCalls = readFileSync(join(outDir, 'ffmpeg.log'), 'utf8');
+  assert.match(ffmpegCalls, /reverse,trim=start_frame=1/);
+  assert.match(ffmpegCalls, /\[asrc\]atrim=start=0\.041667,asetpts=PTS-STARTPTS,areverse,atrim=start=0\.041667,/);
+  assert.doesNotMatch(ffmpegCalls, /-f concat/);
+});
+
+test('s2v renders re-attach --ref-audio to the saved video', { skip: process.platform === 'win32' }, () => {
+  const outDir = mkdtempSync(join(tmpdir(), 'sogni-gen-mux-'));
+  const audioPath = join(outDir, 'speech.mp3');
+  const outputPath = join(outDir, 'talk.mp4');
+  writeFileSync(audioPath, 'audio');
+  const { exitCode, stdout } = runCli([
+    '--json', '--video', '--workflow', 's2v', '--ref', SCREENSHOT_FIXTURE, '--ref-audio', audioPath,
+    '--audio-fit', 'loop', '-o', outputPath, 'talking head'
+  ], { SOGNI_GEN_TEST_DATA_URLS: '1', FFMPEG_PATH: createFakeFfmpeg(outDir) });
+  assert.equal(exitCode, 0);
+  assert.deepEqual(JSON.parse(stdout.trim()).audio, { track: audioPath, source: 'ref-audio', offset: 0, fit: 'loop' });
+  const ffmpegCalls = readFileSync(join(outDir, 'ffmpeg.log'), 'utf8');
+  assert.ok(ffmpegCalls.includes(`-stream_loop -1 -i ${audioPath} -map 0:v:0 -map 1:a:0 -c:v copy`));
+  assert.ok(existsSync(outputPath));
+  assert.equal(existsSync(join(outDir, 'talk.mux.mp4')), false);
+});
+
+test('a2v takes its duration from --ref-audio and refuses audio longer than the model allows', { skip: process.platform === 'win32' }, () => {
+  const outDir = mkdtempSync(join(tmpdir(), 'sogni-gen-audio-duration-'));
+  const audioPath = join(outDir, 'song.mp3');
+  writeFileSync(audioPath, 'audio');
+  const args = ['--json', '--video', '--workflow', 'a2v', '--ref-audio', audioPath, 'visualizer'];
+  const fitting = runCli(args, { SOGNI_GEN_TEST_DATA_URLS: '1', FFMPEG_PATH: createFakeFfmpeg(outDir, { duration: '7.4' }) });
+  assert.equal(fitting.exitCode, 0);
+  assert.equal(fitting.state.lastVideoProject.duration, 8);
+  assert.deepEqual(JSON.parse(fitting.stdout.trim()).durationFromAudio, { audioDuration: 7.4, duration: 8, maxDuration: 20 });
+
+  const overlong = runCli(args, { FFMPEG_PATH: createFakeFfmpeg(outDir, { duration: '95' }) });
+  assert.equal(overlong.exitCode, 1);
+  const payload = JSON.parse(overlong.stdout.trim());
+  assert.equal(payload.errorCode, 'AUDIO_TOO_LONG');
+  assert.equal(payload.errorDetails.maxDuration, 20);
+  assert.equal(overlong.state?.videoProjects ?? 0, 0);
+});
+
+test('--long-audio renders a2v segments, joins them and muxes the full track back', { skip: process.platform === 'win32' }, () => {
+  const outDir = mkdtempSync(join(tmpdir(), 'sogni-gen-long-audio-'));
+  const audioPath = join(outDir, 'song.mp3');
+  const outputPath = join(outDir, 'music-video.mp4');
+  writeFileSync(audioPath, 'audio');
+  const { exitCode, stdout, state } = runCli([
+    '--json', '--video', '--workflow', 'a2v', '--ref-audio', audioPath, '--long-audio', '-o', outputPath, 'neon city'
+  ], { SOGNI_GEN_TEST_DATA_URLS: '1', FFMPEG_PATH: createFakeFfmpeg(outDir, { duration: '47.5' }) });
+  assert.equal(exitCode, 0);
+  const payload = JSON.parse(stdout.trim());
+  assert.equal(payload.type, 'long-audio');
+  assert.equal(payload.segmentDuration, 16);
+  assert.deepEqual(payload.segments.map((segment) => [segment.start, segment.length]), [[0, 16], [16, 16], [32, 15.5]]);
+  assert.equal(state.videoProjects, 3);
+  assert.equal(state.lastVideoProject.modelId, 'ltx2-19b-fp8_a2v_distilled');
+  const ffmpegCalls = readFileSync(join(outDir, 'ffmpeg.log'), 'utf8');
+  assert.ok(ffmpegCalls.includes(`-ss 32 -t 15.5 -i ${audioPath}`));
+  assert.match(ffmpegCalls, /-f concat/);
+  assert.ok(ffmpegCalls.includes(`-i ${outputPath} -i ${audioPath} -map 0:v:0 -map 1:a:0`));
+  assert.ok(existsSync(outputPath));
+});
+
+test('--long-audio checks --max-cost against every segment before rendering the first', { skip: process.platform === 'win32' }, () => {
+  const outDir = mkdtempSync(join(tmpdir(), 'sogni-gen-long-audio-budget-'));
+  const audioPath = join(outDir, 'song.mp3');
+  writeFileSync(audioPath, 'audio');
+  const { exitCode, stdout, state } = runCli([
+    '--json', '--video', '--workflow', 'a2v', '--ref-audio', audioPath, '--long-audio', '--max-cost', '2',
+    '-o', join(outDir, 'music-video.mp4'), 'neon city'
+  ], { HOME: outDir, SOGNI_GEN_TEST_DATA_URLS: '1', FFMPEG_PATH: createFakeFfmpeg(outDir, { duration: '47.5' }) });
+  assert.equal(exitCode, 1);
+  assert.equal(JSON.parse(stdout.trim()).errorCode, 'BUDGET_EXCEEDED');
+  assert.equal(state?.videoProjects ?? 0, 0);
+});
+
+test('--ref-video-start trims, downscales and fps-normalizes the reference video before upload', { skip: process.platform === 'win32' }, () => {
+  const outDir = mkdtempSync(join(tmpdir(), 'sogni-gen-ref-video-'));
+  const videoPath = join(outDir, 'phone.mp4');
+  writeFileSync(videoPath, 'video');
+  const { exitCode, stdout, state } = runCli([
+    '--json', '--video', '--workflow', 'animate-move', '--ref', SCREENSHOT_FIXTURE, '--ref-video', videoPath,
+    '--ref-video-start', '1', 'dance'
+  ], { SOGNI_GEN_TEST_DATA_URLS: '1', FFMPEG_PATH: createFakeFfmpeg(outDir) });
+  assert.equal(exitCode, 0);
+  const { video } = JSON.parse(stdout.trim()).referenceMedia;
+  assert.deepEqual(
+    [video.start, video.end, video.width, video.height, video.fps, video.transcoded],
+    [1, 5, 816, 480, 16, true]
+  );
+  assert.match(readFileSync(join(outDir, 'ffmpeg.log'), 'utf8'), /-ss 1 -t 4 -i \S+phone\.mp4 -vf scale=816:480:force_original_aspect_ratio=increase,crop=816:480,fps=16 -an/);
+  assert.equal(Buffer.from(state.lastVideoProject.referenceVideo.data).toString(), 'fake');
+});
+
+test('--ref-video is uploaded untouched when ffprobe is missing and no range is given', { skip: process.platform === 'win32' }, () => {
+  const outDir = mkdtempSync(join(tmpdir(), 'sogni-gen-ref-video-noprobe-'));
+  const videoPath = join(outDir, 'phone.mp4');
+  writeFileSync(videoPath, 'video');
+  const ffmpegPath = createFakeFfmpeg(outDir);
+  rmSync(join(outDir, 'ffprobe'));
+  const { exitCode, stdout, stderr, state } = runCli([
+    '--json', '--video', '--workflow', 'animate-move', '--ref', SCREENSHOT_FIXTURE, '--ref-video', videoPath, 'dance'
+  ], { SOGNI_GEN_TEST_DATA_URLS: '1', FFMPEG_PATH: ffmpegPath });
+  assert.equal(exitCode, 0);
+  assert.equal(JSON.parse(stdout.trim()).referenceMedia, undefined);
+  assert.match(stderr, /ffprobe is not available/);
+  assert.equal(Buffer.from(state.lastVideoProject.referenceVideo.data).toString(), 'video');
+});
+
+test('--batch downscales each job\'s refVideo before upload', { skip: process.platform === 'win32' }, () => {
+  const outDir = mkdtempSync(join(tmpdir(), 'sogni-gen-batch-ref-video-'));
+  const videoPath = join(outDir, 'phone.mp4');
+  writeFileSync(videoPath, 'video');
+  const batchPath = join(outDir, 'jobs.jsonl');
+  writeFileSync(batchPath, JSON.stringify({
+    id: 'dance', prompt: 'dance', workflow: 'animate-move', ref: SCREENSHOT_FIXTURE, refVideo: videoPath
+  }));
+  const { exitCode, state } = runCli(['--json', '--batch', batchPath], {
+    SOGNI_GEN_TEST_DATA_URLS: '1',
+    FFMPEG_PATH: createFakeFfmpeg(outDir)
+  });
+  assert.equal(exitCode, 0);
+  assert.match(readFileSync(join(outDir, 'ffmpeg.log'), 'utf8'), /-ss 0 -t 5 -i \S+phone\.mp4 -vf scale=816:480:/);
+  assert.equal(Buffer.from(state.lastVideoProject.referenceVideo.data).toString(), 'fake');
+});
+
+test('json error: --resume with a missing job', () => {
+  const { exitCode, stdout } = runCli(['--json', '--resume', 'no-such-job']);
+  assert.equal(exitCode, 1);
+  assert.equal(JSON.parse(stdout.trim()).errorCode, 'INVALID_JOB_STATE');
+});
+
+test('--angles-360-video renders angles and segments concurrently and keeps them in order', { skip: process.platform === 'win32' }, () => {
+  const outDir = mkdtempSync(join(tmpdir(), 'sogni-gen-360-'));
+  const videoPath = join(outDir, 'turntable.mp4');
+  const { exitCode, stdout, state } = runCli([
+    '--json', '--angles-360', '--angles-360-video', videoPath, '-c', SCREENSHOT_FIXTURE,
+    '--concurrency', '4', 'studio portrait'
+  ], {
+    SOGNI_GEN_TEST_DATA_URLS: '1',
+    FFMPEG_PATH: createFakeFfmpeg(outDir)
+  });
+  assert.equal(exitCode, 0);
+  const payload = JSON.parse(stdout.trim());
+  assert.deepEqual(payload.angles.map((angle) => angle.azimuth), [
+    'front', 'front-right', 'right', 'back-right', 'back', 'back-left', 'left', 'front-left'
+  ]);
+  assert.equal(payload.videoPath, videoPath);
+  assert.ok(existsSync(videoPath));
+  assert.equal(state.videoProjects, 8);
+});
+
+test('--angles-360-video without -o writes the video to the working directory, outside the job dir', { skip: process.platform === 'win32' }, () => {
+  const outDir = mkdtempSync(join(tmpdir(), 'sogni-gen-360-cwd-'));
+  const { exitCode, stdout } = runCli([
+    '--json', '--angles-360', '--angles-360-video', '-c', SCREENSHOT_FIXTURE, 'studio portrait'
+  ], {
+    SOGNI_GEN_TEST_DATA_URLS: '1',
+    FFMPEG_PATH: createFakeFfmpeg(outDir)
+  }, { cwd: outDir });
+  assert.equal(exitCode, 0);
+  const payload = JSON.parse(stdout.trim());
+  assert.equal(payload.videoPath, join(outDir, 'angles-360.mp4'));
+  assert.ok(existsSync(payload.videoPath));
+});
+
+test('SIGINT cancels the in-flight project and reports CANCELLED', { skip: process.platform === 'win32' }, async () => {
+  const home = mkdtempSync(join(tmpdir(), 'sogni-gen-cancel-'));
+  const statePath = join(home, 'state.json');
+  const child = spawn(process.execPath, ['--loader', join(process.cwd(), 'test', 'loader.mjs'), join(process.cwd(), 'sogni-gen.mjs'), '--json', '--video', 'a slow pan'], {
+    env: {
+      ...process.env,
+      HOME: home,
+      USERPROFILE: home,
+      OPENCLAW_CONFIG_PATH: join(home, 'openclaw.json'),
+      OPENCLAW_PLUGIN_CONFIG: '',
+      SOGNI_USERNAME: 'test-user',
+      SOGNI_PASSWORD: 'test-pass',
+      SOGNI_GEN_TEST_STATE_PATH: statePath,
+      SOGNI_GEN_TEST_HANG: '1',
+      NODE_NO_WARNINGS: '1'
+    }
+  });
+  let stdout = '';
+  child.stdout.on('data', (chunk) => { stdout += chunk; });
+  const exited = new Promise((resolve) => child.on('close', (code) => resolve(code)));
+
+  // The stub records the project on creation; the balance check writes state earlier.
+  const projectCreated = () => {
+    try {
+      return Boolean(JSON.parse(readFileSync(statePath, 'utf8')).lastVideoProject);
+    } catch {
+      return false;
+    }
+  };
+  for (let i = 0; i < 100 && !projectCreated(); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  child.kill('SIGINT');
+  assert.equal(await exited, 130);
+
+  const payload = JSON.parse(stdout.trim());
+  assert.equal(payload.errorCode, 'CANCELLED');
+  assert.deepEqual(payload.errorDetails.cancelledProjectIds, ['proj-1']);
+  assert.deepEqual(JSON.parse(readFileSync(statePath, 'utf8')).cancelledProjects, ['proj-1']);
+  const lastRender = JSON.parse(readFileSync(join(home, '.config', 'sogni', 'last-render.json'), 'utf8'));
+  assert.equal(lastRender.status, 'CANCELLED');
+
+  const last = runCli(['--last'], { HOME: home, USERPROFILE: home });
+  assert.equal(last.exitCode, 0);
+  assert.equal(JSON.parse(last.stdout).status, 'CANCELLED');
+  const history = runCli(['--history', '--json'], { HOME: home, USERPROFILE: home });
+  assert.equal(JSON.parse(history.stdout.trim()).entries[0].status, 'CANCELLED');
+});
+
+test('--retries resubmits a transient failure with the same seed and reports attempts', () => {
+  const { exitCode, stdout, state } = runCli([
+    '--json', '--video', '--retries', '2', '--retry-backoff', '0', '-s', '77', 'a drifting cloud'
+  ], {
+    SOGNI_GEN_TEST_FAIL_VIDEO_AT: '1',
+    SOGNI_GEN_TEST_FAIL_ERROR: 'Worker disconnected'
+  });
+  assert.equal(exitCode, 0);
+  const payload = JSON.parse(stdout.trim());
+  assert.equal(payload.attempts.length, 2);
+  assert.deepEqual(payload.attempts.map((a) => a.success), [false, true]);
+  assert.equal(payload.attempts[0].error, 'Worker disconnected');
+  assert.equal(state.videoProjects, 2);
+  assert.equal(state.lastVideoProject.seed, 77);
+  assert.deepEqual(state.cancelledProjects, ['proj-1']);
+});
+
+test('--retries also covers the --looping return clip', { skip: process.platform === 'win32' }, () => {
+  const outDir = mkdtempSync(join(tmpdir(), 'sogni-gen-loop-retry-'));
+  const outputPath = join(outDir, 'loop.mp4');
+  const { exitCode, stdout, state } = runCli([
+    '--json', '--video', '--ref', SCREENSHOT_FIXTURE, '--looping', '--retries', '1', '--retry-backoff', '0',
+    '-o', outputPath, 'ocean waves'
+  ], {
+    HOME: outDir,
+    SOGNI_GEN_TEST_DATA_URLS: '1',
+    SOGNI_GEN_TEST_FAIL_VIDEO_AT: '2',
+    SOGNI_GEN_TEST_FAIL_ERROR: 'Worker disconnected',
+    FFMPEG_PATH: createFakeFfmpeg(outDir)
+  });
+  assert.equal(exitCode, 0);
+  assert.equal(state.videoProjects, 3);
+  assert.ok(existsSync(outputPath));
+  const [returnClip] = JSON.parse(stdout.trim()).returnClipAttempts;
+  assert.deepEqual(returnClip.map((a) => a.success), [false, true]);
+});
+
+test('--retries attempts are reported per job in --batch output and its manifest', () => {
+  const outDir = mkdtempSync(join(tmpdir(), 'sogni-gen-batch-retry-'));
+  const batchPath = join(outDir, 'jobs.jsonl');
+  writeFileSync(batchPath, JSON.stringify({ id: 'cloud', prompt: 'a drifting cloud', video: true }));
+  const { exitCode, stdout } = runCli(['--json', '--batch', batchPath, '--retries', '1', '--retry-backoff', '0'], {
+    SOGNI_GEN_TEST_DATA_URLS: '1',
+    SOGNI_GEN_TEST_FAIL_VIDEO_AT: '1',
+    SOGNI_GEN_TEST_FAIL_ERROR: 'Worker disconnected'
+  });
+  assert.equal(exitCode, 0);
+  const [job] = JSON.parse(stdout.trim()).jobs;
+  assert.deepEqual(job.attempts.map((a) => a.success), [false, true]);
+  const [record] = readFileSync(join(outDir, 'jobs.results.jsonl'), 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+  assert.deepEqual(record.attempts, job.attempts);
+});
+
+test('json error: --retries does not resubmit fatal failures', () => {
+  const { exitCode, stdout, state } = runCli([
+    '--json', '--video', '--retries', '3', '--retry-backoff', '0', 'a drifting cloud'
+  ], {
+    SOGNI_GEN_TEST_FAIL_VIDEO_AT: '1',
+    SOGNI_GEN_TEST_FAIL_ERROR: 'Insufficient funds'
+  });
+  assert.equal(exitCode, 1);
+  assert.equal(JSON.parse(stdout.trim()).error, 'Insufficient funds');
+  assert.equal(state.videoProjects, 1);
+});
+
+test('json error: --queue-timeout and --idle-timeout fail stalled projects early', () => {
+  const queued = runCli(['--json', '--video', '--queue-timeout', '1', 'a stalled render'], {
+    SOGNI_GEN_TEST_HANG: '1'
+  });
+  assert.equal(queued.exitCode, 1);
+  assert.match(JSON.parse(queued.stdout.trim()).error, /^Queue timeout: no progress within 1s/);
+
+  const idle = runCli(['--json', '--video', '--queue-timeout', '1', '--idle-timeout', '2', 'a stalled render'], {
+    SOGNI_GEN_TEST_HANG: '1',
+    SOGNI_GEN_TEST_PROGRESS: '1'
+  });
+  assert.equal(idle.exitCode, 1);
+  assert.match(JSON.parse(idle.stdout.trim()).error, /^Idle timeout: no progress for 2s/);
+});
+
+test('json error: --idle-timeout replaces --timeout as the deadline for progressing projects', () => {
+  const progressing = runCli(['--json', '--video', '--timeout', '1', '--idle-timeout', '3', 'a stalled render'], {
+    SOGNI_GEN_TEST_HANG: '1',
+    SOGNI_GEN_TEST_PROGRESS: '1'
+  });
+  assert.equal(progressing.exitCode, 1);
+  assert.match(JSON.parse(progressing.stdout.trim()).error, /^Idle timeout: no progress for 3s/);
+
+  const queued = runCli(['--json', '--video', '--timeout', '1', '--idle-timeout', '3', 'a stalled render'], {
+    SOGNI_GEN_TEST_HANG: '1'
+  });
+  assert.equal(queued.exitCode, 1);
+  assert.match(JSON.parse(queued.stdout.trim()).error, /^Queue timeout: no progress within 1s/);
+});
+
+test('--estimate-cost breaks a 360 video down into angle edits and i2v segments', () => {
+  const { exitCode, stdout, state } = runCli([
+    '--json', '--estimate-cost', '--angles-360', '--angles-360-video', '-c', SCREENSHOT_FIXTURE, 'studio portrait'
+  ]);
+  assert.equal(exitCode, 0);
+  const payload = JSON.parse(stdout.trim());
+  assert.equal(payload.type, 'cost-estimate');
+  assert.equal(payload.mode, 'angles-360-video');
+  assert.equal(payload.steps.filter((step) => step.kind === 'edit').length, 8);
+  assert.equal(payload.steps.filter((step) => step.kind === 'video').length, 8);
+  assert.equal(payload.steps[8].duration, 1);
+  assert.equal(payload.cost, 12);
+  assert.equal(state.imageCostEstimates, 1);
+  assert.equal(state.videoProjects, 0);
+});
+
+test('image renders skip the pre-flight quietly when the client cannot estimate image costs', () => {
+  const outDir = mkdtempSync(join(tmpdir(), 'sogni-gen-no-image-estimate-'));
+  const { exitCode, stderr, state } = runCli(['--json', 'a red fox'], {
+    HOME: outDir,
+    SOGNI_GEN_TEST_NO_IMAGE_ESTIMATE: '1'
+  });
+  assert.equal(exitCode, 0);
+  assert.doesNotMatch(stderr, /Could not estimate cost/);
+  assert.ok(state.lastImageProject);
+});
+
+test('json error: --max-cost refuses an image render the client cannot estimate', () => {
+  const outDir = mkdtempSync(join(tmpdir(), 'sogni-gen-no-image-estimate-'));
+  const { exitCode, stdout, state } = runCli(['--json', '--max-cost', '5', 'a red fox'], {
+    HOME: outDir,
+    SOGNI_GEN_TEST_NO_IMAGE_ESTIMATE: '1'
+  });
+  assert.equal(exitCode, 1);
+  const payload = JSON.parse(stdout.trim());
+  assert.equal(payload.errorCode, 'BUDGET_EXCEEDED');
+  assert.equal(payload.errorDetails.code, 'COST_ESTIMATE_UNAVAILABLE');
+  assert.equal(state?.lastImageProject ?? null, null);
+});
+
+test('json error: --max-cost below the estimate fails with BUDGET_EXCEEDED before submitting', () => {
+  const { exitCode, stdout, state } = runCli([
+    '--json', '--max-cost', '5', '--angles-360', '--angles-360-video', '-c', SCREENSHOT_FIXTURE, 'studio portrait'
+  ]);
+  assert.equal(exitCode, 1);
+  const payload = JSON.parse(stdout.trim());
+  assert.equal(payload.errorCode, 'BUDGET_EXCEEDED');
+  assert.equal(payload.errorDetails.scope, 'run');
+  assert.equal(payload.errorDetails.estimated, 12);
+  assert.ok(payload.hint.includes('--max-cost'));
+  assert.equal(state.lastEditProject, null);
+  assert.equal(state.videoProjects, 0);
+});
+
+test('maxCostPerDay counts earlier renders from the spend ledger', () => {
+  const home = mkdtempSync(join(tmpdir(), 'sogni-gen-budget-'));
+  const env = { HOME: home, USERPROFILE: home, OPENCLAW_PLUGIN_CONFIG: JSON.stringify({ maxCostPerDay: 1 }) };
+  assert.equal(runCli(['--json', 'a cat'], env).exitCode, 0);
+  assert.equal(runCli(['--json', 'a dog'], env).exitCode, 0);
+  const { exitCode, stdout, state } = runCli(['--json', 'a bird'], env);
+  assert.equal(exitCode, 1);
+  const payload = JSON.parse(stdout.trim());
+  assert.equal(payload.errorCode, 'BUDGET_EXCEEDED');
+  assert.equal(payload.errorDetails.scope, 'day');
+  assert.equal(payload.errorDetails.spentToday, 1);
+  assert.equal(state.lastImageProject, null);
+});
+
+test('--token-fallback pays with SOGNI when the SPARK balance is short', () => {
+  const env = { SOGNI_GEN_TEST_SPARK_BALANCE: '0.2' };
+  const refused = runCli(['--json', 'a cat'], env);
+  assert.equal(refused.exitCode, 1);
+  const error = JSON.parse(refused.stdout.trim());
+  assert.equal(error.errorCode, 'INSUFFICIENT_BALANCE');
+  assert.ok(error.hint.includes('--token-fallback'));
+  assert.equal(refused.state.lastImageProject, null);
+
+  const { exitCode, stdout, state } = runCli(['--json', '--token-fallback', 'a cat'], env);
+  assert.equal(exitCode, 0);
+  const payload = JSON.parse(stdout.trim());
+  assert.equal(payload.tokenType, 'sogni');
+  assert.deepEqual(payload.tokenFallback, {
+    from: 'spark',
+    to: 'sogni',
+    reason: 'insufficient-balance',
+    available: { spark: 0.2, sogni: 100 },
+    required: { spark: 0.5, sogni: 0.5 }
+  });
+  assert.equal(state.lastImageProject.tokenType, 'sogni');
+});
+
+test('--usage groups the spend ledger by workflow with estimated and actual cost', () => {
+  const home = mkdtempSync(join(tmpdir(), 'sogni-gen-usage-'));
+  const env = { HOME: home, USERPROFILE: home };
+  assert.equal(runCli(['--json', 'a cat'], env).exitCode, 0);
+  assert.equal(runCli(['--json', '--video', 'ocean waves'], env).exitCode, 0);
+  assert.equal(runCli(['--json', '--video', 'ocean waves'], { ...env, SOGNI_GEN_TEST_FAIL_VIDEO_AT: '1' }).exitCode, 1);
+
+  const { exitCode, stdout } = runCli(['--json', '--usage', '--since', '1d', '--group-by', 'workflow'], env);
+  assert.equal(exitCode, 0);
+  const payload = JSON.parse(stdout.trim());
+  assert.equal(payload.type, 'usage');
+  assert.deepEqual(payload.groups.map(({ key, renders, failed, estimatedCost, actualCost }) => ({ key, renders, failed, estimatedCost, actualCost })), [
+    { key: 'image', renders: 1, failed: 0, estimatedCost: 0.5, actualCost: 0.5 },
+    { key: 't2v', renders: 2, failed: 1, estimatedCost: 2, actualCost: 2 }
+  ]);
+  assert.equal(payload.totals[0].renders, 3);
+  const settlements = readFileSync(join(home, '.config', 'sogni', 'spend.jsonl'), 'utf8')
+    .trim().split('\n').map((line) => JSON.parse(line)).filter((record) => record.settledAt);
+  assert.ok(settlements.every((record) => record.actualCostSource === 'balance-delta'));
+});